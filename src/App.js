@@ -3,40 +3,25 @@
 import chalk from 'chalk';
 import fs from 'fs';
 import nullthrows from 'nullthrows';
-import Particle from 'particle-api-js';
 import readline from 'readline';
-import superagentPromise from 'superagent-promise';
-import testWebhook from './test-webhook.json';
-import path from 'path';
+import url from 'url';
 
-import CryptoManager from './lib/CryptoManager';
-import TCPDevice from './devices/TCPDevice';
+import ConfigStore from './lib/ConfigStore';
+import DashboardServer from './dashboard/DashboardServer';
+import EndpointSelector, { ENDPOINT_POLICIES } from './lib/EndpointSelector';
+import printMetrics from './lib/printMetrics';
+import RunReport from './lib/RunReport';
+import ScenarioEngine from './ScenarioEngine';
+
+import type { Config } from './lib/ConfigStore';
+import type { DashboardOptions } from './dashboard/DashboardServer';
+import type { EngineOptions } from './ScenarioEngine';
 
 type ReadlineInterface = {
   close(): void,
   question(question: string, (answer: string) => void): void,
 };
 
-type ConfigData = {
-  configs: Array<Config>,
-  defaultConfigIndex: number,
-};
-
-type Config = {
-  serverKeyPath: string,
-  serverPort: number,
-  serverUrl: string,
-};
-
-const USERNAME = '__test__@testaccount.com';
-const PASSWORD = 'password';
-const PARTICLE_API_CONFIG = {
-  clientId: 'particle-collider',
-  clientSecret: 'particle-collider',
-};
-const FOLDER_PATH = path.join(process.cwd(), 'data/');
-const CONFIG_FILE_PATH = path.join(FOLDER_PATH, 'configs.json');
-
 const formatOption = (
   key: string | number,
   description: string,
@@ -50,18 +35,17 @@ const formatOption = (
 };
 
 class App {
-  _accessToken: string;
-  _configData: ConfigData;
-  _devices: Array<TCPDevice> = [];
-  _existingDeviceIDs: Array<string> = [];
+  _configStore: ConfigStore = new ConfigStore();
+  _dashboard: ?DashboardServer = null;
+  _engine: ScenarioEngine;
   _exit: boolean = false;
-  _functionInterval: number;
-  _particle: Particle;
   _rl: ReadlineInterface;
-  _variableInterval: number;
-  _webhookInterval: number;
 
-  constructor() {
+  constructor(options?: EngineOptions, dashboard?: ?DashboardOptions) {
+    this._engine = new ScenarioEngine(options);
+    if (dashboard) {
+      this._dashboard = new DashboardServer(this._engine, dashboard);
+    }
     console.log(
       '    ____             __  _      __        ______      _____     __         \n   / __ \\____ ______/ /_(_)____/ /__     / ____/___  / / (_)___/ /__  _____\n  / /_/ / __ `/ ___/ __/ / ___/ / _ \\   / /   / __ \\/ / / / __  / _ \\/ ___/\n / ____/ /_/ / /  / /_/ / /__/ /  __/  / /___/ /_/ / / / / /_/ /  __/ /    \n/_/    \\__,_/_/   \\__/_/\\___/_/\\___/   \\____/\\____/_/_/_/\\__,_/\\___/_/     \n                                                                           \n'
     );
@@ -70,39 +54,67 @@ class App {
   }
 
   run = async (): Promise<void> => {
-    this._setupData();
+    const startedAt = Date.now();
+    this._configStore.load();
 
-    let config = this._getConfig();
+    let config = this._configStore.getDefaultConfig();
     if (!config) {
       config = await this._setupNewConfig();
     }
     try {
-      await this._setup(config);
+      await this._engine.setup(config);
     } catch (error) {
       console.log();
       console.log();
       config = await this._setupNewConfig();
-      await this._setup(config);
+      await this._engine.setup(config);
+    }
+    if (this._dashboard) {
+      await this._dashboard.start();
     }
     while (!this._exit) {
-      const connectedDeviceCount = this._devices.filter((device) =>
-        device.getIsConnected()
-      ).length;
       console.log('');
       console.log(
         chalk.green(
-          `${connectedDeviceCount} of ${this._devices.length} virtual ` +
-            `devices currently connected`
+          `${this._engine.getConnectedDeviceCount()} of ` +
+            `${this._engine.getDeviceCount()} virtual devices currently ` +
+            `connected` +
+            (this._engine.getWorkerCount()
+              ? ` across ${this._engine.getWorkerCount()} workers`
+              : '')
         )
       );
-      console.log(chalk.green(`${this._existingDeviceIDs.length} claimed`));
+      console.log(
+        chalk.green(`${this._engine.getClaimedDeviceCount()} claimed`)
+      );
+      printMetrics(this._engine.getMetrics());
+      const checks = this._engine.getFunctionCheckStats();
+      if (checks.mismatched || checks.wrongDevice || checks.dropped) {
+        console.log(
+          chalk.red(
+            `Function results: ${checks.correct} correct, ` +
+              `${checks.mismatched} wrong, ${checks.wrongDevice} meant for ` +
+              `another device, ${checks.dropped} dropped`
+          )
+        );
+      }
+      const loadStats = this._engine.getLoadStats();
+      if (loadStats && this._engine.isLoadRunning()) {
+        console.log(
+          chalk.green(
+            `Sending ${loadStats.rate} requests/s, ${loadStats.inFlight} in ` +
+              `flight, ${loadStats.dropped} dropped over the limit of ` +
+              `${loadStats.maxInFlight}`
+          )
+        );
+      }
 
       this._renderMenu();
 
       const answer = await this._question();
       switch (answer) {
         case '1': {
-          await this._createDevices(config);
+          await this._createDevices();
           break;
         }
 
@@ -113,8 +125,8 @@ class App {
 
         case '3': {
           await this._setDefaultConfig();
-          config = nullthrows(this._getConfig());
-          await this._setup(config);
+          config = nullthrows(this._configStore.getDefaultConfig());
+          await this._engine.setup(config);
           break;
         }
 
@@ -124,92 +136,142 @@ class App {
         }
 
         case '5': {
-          await this._callFunctions();
+          await this._engine.runStep({
+            actions: ['functions'],
+            type: 'startLoad',
+          });
           break;
         }
 
         case '6': {
-          await this._callVariables();
+          await this._engine.runStep({
+            actions: ['variables'],
+            type: 'startLoad',
+          });
           break;
         }
 
         case '7': {
-          await this._callWebhooks();
+          await this._engine.runStep({
+            actions: ['webhooks'],
+            type: 'startLoad',
+          });
           break;
         }
 
         case '8': {
-          await this._chaosMonkey();
+          await this._engine.runStep({ type: 'chaos' });
           break;
         }
 
-        case 's': {
-          this._clearIntervals();
+        case '9': {
+          try {
+            await this._engine.runStep({ type: 'reconnectStorm' });
+          } catch (error) {
+            console.log(chalk.red(error.message));
+          }
+          break;
+        }
 
+        case 'r': {
+          await this._setRequestRate();
+          break;
+        }
+
+        case 'a': {
+          try {
+            await this._engine.runStep({
+              devices: this._engine.getConnectedDeviceCount(),
+              type: 'crossAccount',
+            });
+          } catch (error) {
+            console.log(chalk.red(error.message));
+          }
+          break;
+        }
+
+        case 'c': {
+          await this._cleanup();
+          break;
+        }
+
+        case 's': {
+          await this._engine.runStep({ type: 'stopLoad' });
+          await this._engine.runStep({ type: 'stopChurn' });
           break;
         }
 
         case 'e': {
-          await this._stopDevices();
-          this._clearIntervals();
+          await this._engine.runStep({ type: 'stopChurn' });
+          await this._engine.runStep({ type: 'stopDevices' });
+          await this._engine.runStep({ type: 'stopLoad' });
+          this._engine.stopEvents();
           this._exit = true;
           break;
         }
       }
     }
 
+    this._engine.shutdown();
+    if (this._dashboard) {
+      await this._dashboard.stop();
+    }
+    printMetrics(this._engine.getMetrics(), true);
+    RunReport.create(this._engine, { startedAt, thresholds: [] })
+      .write()
+      .forEach((filePath) => console.log(`Wrote ${filePath}`));
     this._rl.close();
   };
 
-  _clearIntervals = (): void => {
-    clearInterval(this._functionInterval);
-    clearInterval(this._variableInterval);
-    clearInterval(this._webhookInterval);
-    this._functionInterval = 0;
-    this._variableInterval = 0;
-    this._webhookInterval = 0;
-  };
-
-  _setup = async (config: Config): Promise<void> => {
-    this._setServerKey(config);
-    await this._login(config);
-    await this._setupWebhooks(config);
-
-    this._existingDeviceIDs = fs
-      .readdirSync(path.join(process.cwd(), `data/keys`))
-      .map((file) => path.parse(file).name);
-  };
-
   _renderMenu(): void {
+    const engine = this._engine;
     console.log('');
     console.log('Choose an option:');
     formatOption(1, 'Start Virtual Device(s)');
     formatOption(2, 'Stop Virtual Device(s)');
     formatOption(3, 'Set default config');
     formatOption(4, 'Create new config');
-    formatOption(5, 'Call random device functions', this._functionInterval);
-    formatOption(6, 'Get random device variables', this._variableInterval);
-    formatOption(7, 'Call random webhooks', this._webhookInterval);
+    formatOption(
+      5,
+      'Call random device functions',
+      engine.isLoadRunning('functions')
+    );
+    formatOption(
+      6,
+      'Get random device variables',
+      engine.isLoadRunning('variables')
+    );
+    formatOption(7, 'Call random webhooks', engine.isLoadRunning('webhooks'));
     formatOption(
       8,
       'Chaos-Monkey -- run all the things!',
-      this._functionInterval && this._variableInterval && this._webhookInterval
+      engine.isLoadRunning('functions') &&
+        engine.isLoadRunning('variables') &&
+        engine.isLoadRunning('webhooks') &&
+        engine.isChurnRunning()
     );
+    formatOption(9, 'Reconnect storm -- drop every connection at once');
+    formatOption('r', 'Send requests at a fixed rate');
+    if (engine.getAccountCount() > 1) {
+      formatOption('a', "Try every device from another user's account");
+    }
 
-    if (
-      this._functionInterval ||
-      this._variableInterval ||
-      this._webhookInterval
-    ) {
-      formatOption('s', 'Stop random calls');
+    if (engine.isLoadRunning() || engine.isChurnRunning()) {
+      formatOption('s', 'Stop random calls and churn');
     }
 
+    formatOption('c', 'Clean up the server and exit');
     formatOption('e', 'Exit');
     console.log('');
   }
 
   _setupNewConfig = async (): Promise<Config> => {
-    const config = { serverKeyPath: '', serverPort: 8080, serverUrl: '' };
+    const config: Config = {
+      apiUrl: 'http://localhost:8080',
+      deviceEndpoints: [],
+      endpointPolicy: 'roundRobin',
+      serverKeyPath: '',
+    };
 
     const getServerKey = async (): Promise<void> => {
       console.log(
@@ -229,47 +291,88 @@ class App {
       config.serverKeyPath = serverKeyPath;
     };
 
-    const getServerUrl = async (): Promise<void> => {
-      console.log('Now we need the host name or IP address of your server.');
+    const getApiUrl = async (): Promise<void> => {
+      console.log('Now we need the URL of your server API.');
       console.log(
-        'It can look like 192.168.0.175 or https://cloud.particle.io'
+        'It can look like http://192.168.0.175:8080 or ' +
+          `https://cloud.particle.io. Default is ${config.apiUrl}`
       );
-      const serverUrl = await this._question();
-      config.serverUrl = serverUrl;
+      const apiUrl = (await this._question()).trim();
+      if (!apiUrl) {
+        return;
+      }
+
+      config.apiUrl =
+        apiUrl.indexOf('://') < 0 ? `http://${apiUrl}` : apiUrl;
     };
 
-    const getServerPort = async (): Promise<void> => {
-      console.log('What is your server port? Default is 8080');
-      const port = await this._question();
+    const getDeviceEndpoints = async (): Promise<void> => {
+      const defaultEndpoint = EndpointSelector.parse(
+        url.parse(config.apiUrl).hostname || 'localhost'
+      );
+      console.log(
+        'Which host:port do the devices connect to? Separate device ' +
+          'servers with commas. Default is ' +
+          EndpointSelector.format(defaultEndpoint)
+      );
+      const answer = (await this._question()).trim();
+      config.deviceEndpoints = answer
+        ? answer.split(',').map(EndpointSelector.parse)
+        : [defaultEndpoint];
+    };
 
-      if (port && isNaN(port)) {
-        await getServerPort();
+    const getEndpointPolicy = async (): Promise<void> => {
+      console.log(
+        'How should devices be spread over them? ' +
+          `${ENDPOINT_POLICIES.join(', ')}. Default is roundRobin`
+      );
+      const policy = (await this._question()).trim();
+      if (policy && ENDPOINT_POLICIES.indexOf((policy: any)) < 0) {
+        await getEndpointPolicy();
+        return;
       }
+      config.endpointPolicy = (policy: any) || config.endpointPolicy;
 
-      config.serverPort = port ? parseInt(port, 10) : config.serverPort;
+      if (config.endpointPolicy !== 'weighted') {
+        return;
+      }
+      for (const endpoint of config.deviceEndpoints) {
+        console.log(
+          `What weight for ${EndpointSelector.format(endpoint)}? Default is 1`
+        );
+        const weight = await this._question();
+        endpoint.weight = weight && !isNaN(weight) ? parseFloat(weight) : 1;
+      }
     };
 
     await getServerKey();
-    await getServerUrl();
-    await getServerPort();
+    await getApiUrl();
+    await getDeviceEndpoints();
+    if (config.deviceEndpoints.length > 1) {
+      await getEndpointPolicy();
+    }
 
-    console.log('Your server config has been correctly set.');
+    try {
+      ConfigStore.migrate(config);
+    } catch (error) {
+      console.log(chalk.red(error.message));
+      return this._setupNewConfig();
+    }
 
-    this._configData.configs.push(config);
-    this._configData.defaultConfigIndex = this._configData.configs.length - 1;
+    console.log('Your server config has been correctly set.');
 
-    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(this._configData));
+    this._configStore.addConfig(config);
 
-    await this._setup(config);
+    await this._engine.setup(config);
 
     return config;
   };
 
   _setDefaultConfig = async (): Promise<void> => {
     console.log('Pick a default config');
-    const configs = this._configData.configs;
+    const configs = this._configStore.getConfigs();
     configs.map((config, index) =>
-      console.log(`${chalk.green(index + 1)} ${config.serverUrl}`)
+      console.log(`${chalk.green(index + 1)} ${config.apiUrl}`)
     );
     const answer = await this._question();
     if (!answer) {
@@ -289,15 +392,14 @@ class App {
       return;
     }
 
-    if (this._configData.defaultConfigIndex !== configIndex) {
-      this._killDevices(this._devices.length);
+    if (this._configStore.getDefaultConfigIndex() !== configIndex) {
+      await this._engine.runStep({ type: 'stopDevices' });
     }
 
-    this._configData.defaultConfigIndex = configIndex;
-    this._saveConfig();
+    this._configStore.setDefaultConfigIndex(configIndex);
   };
 
-  _createDevices = async (config: Config): Promise<void> => {
+  _createDevices = async (): Promise<void> => {
     console.log('How many devices do you want to create?');
     const amountString = await this._question();
 
@@ -305,223 +407,73 @@ class App {
       return;
     }
 
-    const amount = parseInt(amountString, 10);
-    for (let ii = 0; ii < amount; ii++) {
-      const index = this._devices.length;
-      let deviceID =
-        this._existingDeviceIDs.length > index
-          ? this._existingDeviceIDs[index]
-          : null;
-
-      if (
-        deviceID &&
-        !fs.existsSync(path.join(process.cwd(), `data/keys/${deviceID}.pem`))
-      ) {
-        this._existingDeviceIDs.splice(ii, 1);
-        deviceID = null;
-      }
+    console.log(
+      'Which product should they be added to? It is created if it does not ' +
+        'exist. Leave empty for none.'
+    );
+    const product = (await this._question()).trim();
 
-      const device = new TCPDevice({
-        deviceID,
-        // Simulate devices that take longer to send data
-        networkDelay: Math.floor(Math.random() * 1000),
-        serverAddress: config.serverUrl,
+    try {
+      await this._engine.runStep({
+        count: parseInt(amountString, 10),
+        product: product || undefined,
+        type: 'createDevices',
       });
-
-      // If the device doesn't already exist, we need to send the key and
-      // claim the device.
-      if (!deviceID) {
-        deviceID = device.getDeviceID();
-        this._existingDeviceIDs.push(deviceID);
-        await this._promise(
-          this._particle.sendPublicKey({
-            auth: this._accessToken,
-            deviceId: deviceID,
-            key: device.getPublicKey(),
-          })
-        );
-      }
-
-      console.log(`Adding ${this._devices.length}: ${deviceID}`);
-      this._devices.push(device);
+    } catch (error) {
+      console.log(chalk.red(error.message));
     }
-
-    this._devices
-      .filter((device) => !device.getIsConnected())
-      .map((device) => device.connect());
-
-    console.time('Time To Connect Devices');
-    new Promise((resolve) =>
-      setInterval(() => {
-        if (this._devices.every((device) => device.getIsConnected())) {
-          resolve();
-        }
-      })
-    ).then(() => console.timeEnd('Time To Connect Devices'));
   };
 
-  _stopDevices = async (): Promise<void> => {
-    console.log('How many devices do you want to stop?');
-    const amountString = await this._question();
-
-    if (isNaN(amountString)) {
+  // The test users are gone afterwards so there's nothing left to do but exit
+  _cleanup = async (): Promise<void> => {
+    console.log(
+      'This stops every device and removes them, the webhooks and the test ' +
+        `users from ${this._engine.getApiUrl()}. Type "yes" to go on.`
+    );
+    if ((await this._question()).trim() !== 'yes') {
       return;
     }
 
-    let amount = parseInt(amountString, 10);
-    this._killDevices(amount);
-  };
-
-  _killDevices(amount: number): void {
-    const idsToAdd = [];
-    while (amount) {
-      amount -= 1;
-      const index = Math.floor(Math.random() * this._devices.length);
-      const device = this._devices[index];
-      if (!device) {
-        continue;
-      }
-      const deviceID = device.getDeviceID();
-      this._devices = this._devices.filter(
-        (device) => device.getDeviceID() !== deviceID
-      );
-      idsToAdd.push(deviceID);
-      this._existingDeviceIDs = this._existingDeviceIDs.filter(
-        (id) => id !== deviceID
-      );
-
-      device.disconnect();
-    }
-
-    console.log(this._devices.length);
-
-    this._existingDeviceIDs = this._existingDeviceIDs.concat(idsToAdd);
-  }
-
-  _login = async (config: Config): Promise<void> => {
-    this._particle = new Particle({
-      ...PARTICLE_API_CONFIG,
-      baseUrl: config.serverUrl + `:${config.serverPort}`,
-    });
+    console.log('Delete local keys that are no longer registered? (y/n)');
+    const pruneKeys = (await this._question()).trim().toLowerCase() === 'y';
 
-    const credentials = {
-      password: PASSWORD,
-      username: USERNAME,
-    };
-    const login = () => this._promise(this._particle.login(credentials));
-    let loginData = null;
     try {
-      loginData = await login();
-    } catch (error) {}
-
-    if (!loginData) {
-      await this._promise(this._particle.createUser(credentials));
-      loginData = await login();
-    }
-
-    this._accessToken = loginData.body.access_token;
-  };
-
-  // Runs server actions with 10% of devices
-  _runServerAction(callback: (device: TCPDevice) => *): number {
-    if (!this._devices.length) {
-      console.log();
-      console.log(chalk.red("You don't have any devices running. Start some"));
-      return 0;
-    }
-
-    const INTERVAL = 5000;
-    const callAction = () => {
-      let devices = this._devices.filter((device) => device.getIsConnected());
-      devices = devices.slice(0, Math.ceil(devices.length * 0.1));
-      devices.forEach((device) =>
-        setTimeout(() => callback(device), Math.random() * INTERVAL)
-      );
-    };
-
-    callAction();
-    return setInterval(callAction, INTERVAL);
-  }
-
-  _callFunctions = async (): Promise<void> => {
-    if (this._functionInterval) {
-      return;
+      await this._engine.runStep({ pruneKeys, type: 'cleanup' });
+    } catch (error) {
+      console.log(chalk.red(error.message));
     }
-
-    this._functionInterval = this._runServerAction((device) =>
-      this._promise(
-        this._particle.callFunction({
-          auth: this._accessToken,
-          deviceId: device.getDeviceID(),
-          name: 'testFn',
-          argument: Math.random(),
-        })
-      )
-    );
+    this._exit = true;
   };
 
-  _callVariables = async (): Promise<void> => {
-    if (this._variableInterval) {
-      return;
-    }
-
-    this._variableInterval = this._runServerAction((device) =>
-      this._promise(
-        this._particle.getVariable({
-          auth: this._accessToken,
-          deviceId: device.getDeviceID(),
-          name: 'testVar',
-        })
-      )
+  _setRequestRate = async (): Promise<void> => {
+    console.log(
+      'How many requests per second? Functions, variables and webhooks are ' +
+        'mixed evenly.'
     );
-  };
+    const rateString = await this._question();
 
-  _callWebhooks = async (): Promise<void> => {
-    if (this._webhookInterval) {
+    if (!rateString || isNaN(rateString)) {
       return;
     }
 
-    this._webhookInterval = this._runServerAction((device) =>
-      device.sendWebhook()
-    );
-  };
-
-  _chaosMonkey = async (): Promise<void> => {
-    this._callFunctions();
-    this._callVariables();
-    this._callWebhooks();
+    this._engine.startRateLoad({
+      mix: { functions: 1, variables: 1, webhooks: 1 },
+      rate: parseFloat(rateString),
+    });
   };
 
-  _setupWebhooks = async (config: Config): Promise<void> => {
-    const webhooks = await this._promise(
-      this._particle.listWebhooks({ auth: this._accessToken })
-    );
+  _stopDevices = async (): Promise<void> => {
+    console.log('How many devices do you want to stop?');
+    const amountString = await this._question();
 
-    if (webhooks && webhooks.body.length) {
-      const promises = webhooks.body.map((webhook) =>
-        this._promise(
-          this._particle.deleteWebhook({
-            auth: this._accessToken,
-            hookId: webhook.id,
-          })
-        )
-      );
-      await Promise.all(promises);
+    if (isNaN(amountString)) {
+      return;
     }
 
-    await this._promise(
-      this._particle.createWebhook({
-        ...testWebhook,
-        auth: this._accessToken,
-        url:
-          (config.serverPort === 443 ? 'https' : 'http') +
-          '://' +
-          config.serverUrl +
-          ':' +
-          config.serverPort +
-          '/v1/ping',
-      })
-    );
+    await this._engine.runStep({
+      count: parseInt(amountString, 10),
+      type: 'stopDevices',
+    });
   };
 
   _question = async (): Promise<string> => {
@@ -529,46 +481,6 @@ class App {
       this._rl.question('', (answer) => resolve(answer));
     });
   };
-
-  _setupData(): void {
-    if (!fs.existsSync(FOLDER_PATH)) {
-      fs.mkdirSync(FOLDER_PATH);
-    }
-
-    if (!fs.existsSync(`${FOLDER_PATH}/keys`)) {
-      fs.mkdirSync(`${FOLDER_PATH}/keys`);
-    }
-
-    if (!fs.existsSync(CONFIG_FILE_PATH)) {
-      this._configData = { configs: [], defaultConfigIndex: -1 };
-      this._saveConfig();
-    } else {
-      this._configData = JSON.parse(fs.readFileSync(CONFIG_FILE_PATH, 'utf8'));
-    }
-  }
-
-  _getConfig(): ?Config {
-    const { configs, defaultConfigIndex } = this._configData;
-    if (defaultConfigIndex === -1 || defaultConfigIndex >= configs.length) {
-      return null;
-    }
-    return configs[defaultConfigIndex];
-  }
-
-  _setServerKey(config: Config): void {
-    const keyString = fs.readFileSync(config.serverKeyPath, 'utf8');
-    CryptoManager.setServerKey(keyString);
-  }
-
-  _promise(fakePromise: Object): Promise<*> {
-    return new Promise((resolve, reject): void => {
-      fakePromise.then(resolve, reject);
-    }).catch((error) => console.error(error.errorDescription, error.error));
-  }
-
-  _saveConfig(): void {
-    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(this._configData));
-  }
 }
 
 export default App;
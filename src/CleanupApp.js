@@ -0,0 +1,53 @@
+// @flow
+
+import chalk from 'chalk';
+
+import ConfigStore from './lib/ConfigStore';
+import ScenarioEngine from './ScenarioEngine';
+
+import type { CleanupOptions, EngineOptions } from './ScenarioEngine';
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+
+// Removes what the collider left on the default config's server without any
+// prompts and resolves to the process exit code.
+class CleanupApp {
+  _configStore: ConfigStore = new ConfigStore();
+  _engine: ScenarioEngine;
+  _options: CleanupOptions;
+
+  constructor(cleanupOptions: CleanupOptions, options?: EngineOptions) {
+    this._engine = new ScenarioEngine(options);
+    this._options = cleanupOptions;
+  }
+
+  run = async (): Promise<number> => {
+    this._configStore.load();
+    const config = this._configStore.getDefaultConfig();
+    if (!config) {
+      console.error(
+        chalk.red('No default config to clean up. Create one from the menu.'),
+      );
+      return EXIT_FAILURE;
+    }
+
+    try {
+      // Logs in as every test user, which is what lets them be deleted
+      await this._engine.setup(config);
+      await this._engine.runStep({
+        pruneKeys: this._options.pruneKeys,
+        type: 'cleanup',
+      });
+    } catch (error) {
+      console.error(chalk.red(`Could not clean up: ${error.message}`));
+      return EXIT_FAILURE;
+    } finally {
+      this._engine.shutdown();
+    }
+
+    return EXIT_SUCCESS;
+  };
+}
+
+export default CleanupApp;
@@ -0,0 +1,319 @@
+// @flow
+
+import fs from 'fs';
+
+import CoapCounter from './lib/CoapCounter';
+import CryptoManager from './lib/CryptoManager';
+import DeviceKeys from './lib/DeviceKeys';
+import DeviceProfiles from './lib/DeviceProfiles';
+import EndpointSelector from './lib/EndpointSelector';
+import EventGenerator from './lib/EventGenerator';
+import ReconnectPolicy from './lib/ReconnectPolicy';
+import TCPDevice, {
+  CONNECT_ERROR_EVENT,
+  CONNECTED_EVENT,
+  DESCRIBED_EVENT,
+  DISCONNECTED_EVENT,
+  PHASE_EVENT,
+  PUBLISH_ACK_EVENT,
+  PUBLISH_ERROR_EVENT,
+  RECEIVED_EVENT,
+  SUBSCRIBED_EVENT,
+  VARIABLE_VALUE_EVENT,
+  WEBHOOK_MISMATCH_EVENT,
+  WEBHOOK_RESPONSE_EVENT,
+  WEBHOOK_TIMEOUT_EVENT,
+} from './devices/TCPDevice';
+
+import type { CoapCounts } from './lib/CoapCounter';
+import type { Config } from './lib/ConfigStore';
+import type { DeviceEndpoint } from './lib/EndpointSelector';
+import type { EventSpec } from './lib/EventGenerator';
+import type { NetworkProfile } from './lib/NetworkProfiles';
+import type { ProductIdentity } from './devices/TCPDevice';
+import type { ReconnectPolicySpec } from './lib/ReconnectPolicy';
+
+type CreateDeviceCommand = {
+  type: 'createDevice',
+  deviceID: ?string,
+  endpoint: ?DeviceEndpoint,
+  handle: number,
+  network?: NetworkProfile,
+  product?: ?ProductIdentity,
+  // Profile name, the worker loads it itself
+  profile: string,
+  reconnect?: ReconnectPolicySpec,
+};
+
+// Sent from the coordinator. `handle` identifies a device across processes
+// because new devices don't have an ID until the worker creates their key.
+export type WorkerCommand =
+  | { type: 'setup', config: Config }
+  | CreateDeviceCommand
+  | { type: 'connect', handle: number }
+  | { type: 'disconnect', handle: number }
+  | { type: 'dropConnection', handle: number }
+  | { type: 'abortHandshake', handle: number }
+  | { type: 'goSilent', halfOpenTime: number, handle: number }
+  | { type: 'reconnectWhileAlive', halfOpenTime: number, handle: number }
+  | { type: 'generateKey', handle: number }
+  | { type: 'sendWebhook', handle: number, token: ?string }
+  | { type: 'subscribe', handle: number, prefix: string }
+  // `data` is base64 because Buffers don't survive IPC
+  | {
+      type: 'publishEvent',
+      data: string,
+      handle: number,
+      isPrivate: boolean,
+      name: string,
+      ttl?: ?number,
+    }
+  // Every worker publishes from its own devices
+  | { type: 'startEvents', events: Array<EventSpec> }
+  | { type: 'stopEvents' };
+
+// Sent to the coordinator
+export type WorkerMessage =
+  | { type: 'ready' }
+  | { type: 'coapCounts', counts: CoapCounts }
+  | { type: 'created', deviceID: string, handle: number, publicKey: string }
+  | { type: 'createFailed', error: string, handle: number }
+  | { type: 'event', event: string, handle: number, value: mixed }
+  | { type: 'keyGenerated', deviceID: string, handle: number };
+
+const COAP_COUNTS_INTERVAL = 1000;
+
+const FORWARDED_EVENTS = [
+  CONNECT_ERROR_EVENT,
+  CONNECTED_EVENT,
+  DESCRIBED_EVENT,
+  DISCONNECTED_EVENT,
+  PHASE_EVENT,
+  PUBLISH_ACK_EVENT,
+  PUBLISH_ERROR_EVENT,
+  RECEIVED_EVENT,
+  SUBSCRIBED_EVENT,
+  VARIABLE_VALUE_EVENT,
+  WEBHOOK_MISMATCH_EVENT,
+  WEBHOOK_RESPONSE_EVENT,
+  WEBHOOK_TIMEOUT_EVENT,
+];
+
+// Runs inside a worker process started by FleetCoordinator and owns the
+// devices the coordinator assigns to it.
+class FleetWorker {
+  _config: ?Config = null;
+  _devices: Map<number, TCPDevice> = new Map();
+  _eventGenerator: ?EventGenerator = null;
+
+  start(): void {
+    process.on('message', this._onCommand);
+    // The coordinator went away so there's nobody left to report to
+    process.on('disconnect', this._stop);
+    // Messages are far too many to forward one by one
+    setInterval(
+      () => this._send({ counts: CoapCounter.getCounts(), type: 'coapCounts' }),
+      COAP_COUNTS_INTERVAL,
+    );
+  }
+
+  _onCommand = (command: WorkerCommand): void => {
+    switch (command.type) {
+      case 'setup': {
+        const { config } = command;
+        CryptoManager.setServerKey(
+          fs.readFileSync(config.serverKeyPath, 'utf8'),
+        );
+        this._config = config;
+        this._send({ type: 'ready' });
+        break;
+      }
+
+      case 'createDevice': {
+        this._createDevice(command);
+        break;
+      }
+
+      case 'connect': {
+        this._withDevice(command.handle, (device) => device.connect());
+        break;
+      }
+
+      case 'disconnect': {
+        this._withDevice(command.handle, (device) => device.disconnect());
+        this._devices.delete(command.handle);
+        break;
+      }
+
+      case 'dropConnection': {
+        this._withDevice(command.handle, (device) => device.dropConnection());
+        break;
+      }
+
+      case 'abortHandshake': {
+        this._withDevice(command.handle, (device) => device.abortHandshake());
+        this._devices.delete(command.handle);
+        break;
+      }
+
+      case 'goSilent': {
+        const { halfOpenTime } = command;
+        this._withDevice(command.handle, (device) =>
+          device.goSilent(halfOpenTime),
+        );
+        this._devices.delete(command.handle);
+        break;
+      }
+
+      case 'reconnectWhileAlive': {
+        const { halfOpenTime } = command;
+        this._withDevice(command.handle, (device) =>
+          device.reconnectWhileAlive(halfOpenTime),
+        );
+        break;
+      }
+
+      case 'sendWebhook': {
+        const { token } = command;
+        this._withDevice(command.handle, (device) => device.sendWebhook(token));
+        break;
+      }
+
+      case 'subscribe': {
+        const { prefix } = command;
+        this._withDevice(command.handle, (device) => device.subscribe(prefix));
+        break;
+      }
+
+      case 'publishEvent': {
+        const { data, isPrivate, name, ttl } = command;
+        this._withDevice(command.handle, (device) =>
+          device.publishEvent({
+            data: Buffer.from(data, 'base64'),
+            isPrivate,
+            name,
+            ttl,
+          }),
+        );
+        break;
+      }
+
+      case 'startEvents': {
+        this._stopEvents();
+        const eventGenerator = new EventGenerator(command.events, () =>
+          Array.from(this._devices.values()),
+        );
+        eventGenerator.start();
+        this._eventGenerator = eventGenerator;
+        break;
+      }
+
+      case 'stopEvents': {
+        this._stopEvents();
+        break;
+      }
+
+      // Only writes the key file, the coordinator keeps the registry
+      case 'generateKey': {
+        this._send({
+          deviceID: DeviceKeys.create(),
+          handle: command.handle,
+          type: 'keyGenerated',
+        });
+        break;
+      }
+
+      default: {
+        console.error(`Unknown worker command ${(command: any).type}`);
+      }
+    }
+  };
+
+  _createDevice({
+    deviceID,
+    endpoint,
+    handle,
+    network,
+    product,
+    profile,
+    reconnect,
+  }: CreateDeviceCommand): void {
+    const config = this._config;
+    if (!config) {
+      this._send({
+        error: 'The worker has not been set up',
+        handle,
+        type: 'createFailed',
+      });
+      return;
+    }
+
+    let device = null;
+    try {
+      // The coordinator can't pin a device before it has a key
+      const id = deviceID || DeviceKeys.create();
+      device = new TCPDevice({
+        deviceID: id,
+        endpoint:
+          endpoint ||
+          new EndpointSelector(
+            config.deviceEndpoints,
+            config.endpointPolicy,
+          ).getPinned(id),
+        network,
+        product,
+        profile: DeviceProfiles.load(profile),
+        reconnectPolicy: new ReconnectPolicy(reconnect),
+      });
+    } catch (error) {
+      this._send({ error: error.message, handle, type: 'createFailed' });
+      return;
+    }
+
+    this._addDevice(handle, device);
+  }
+
+  _addDevice(handle: number, device: TCPDevice): void {
+    FORWARDED_EVENTS.forEach((event) =>
+      device.on(event, (value: mixed) =>
+        this._send({ event, handle, type: 'event', value }),
+      ),
+    );
+    this._devices.set(handle, device);
+    this._send({
+      deviceID: device.getDeviceID(),
+      handle,
+      publicKey: device.getPublicKey(),
+      type: 'created',
+    });
+  }
+
+  _withDevice(handle: number, callback: (device: TCPDevice) => void): void {
+    const device = this._devices.get(handle);
+    if (device) {
+      callback(device);
+    }
+  }
+
+  _send(message: WorkerMessage): void {
+    if (process.send && process.connected) {
+      // Fails when the coordinator just went away, 'disconnect' cleans up
+      process.send(message, () => {});
+    }
+  }
+
+  _stopEvents(): void {
+    if (this._eventGenerator) {
+      this._eventGenerator.stop();
+      this._eventGenerator = null;
+    }
+  }
+
+  _stop = (): void => {
+    this._devices.forEach((device) => device.disconnect());
+    this._devices.clear();
+    process.exit(0);
+  };
+}
+
+export default FleetWorker;
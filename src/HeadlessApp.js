@@ -0,0 +1,184 @@
+// @flow
+
+import chalk from 'chalk';
+
+import ConfigStore from './lib/ConfigStore';
+import DashboardServer from './dashboard/DashboardServer';
+import FakeSparkServer from './server/FakeSparkServer';
+import printMetrics from './lib/printMetrics';
+import RunReport from './lib/RunReport';
+import ScenarioEngine from './ScenarioEngine';
+import ScenarioLoader from './lib/ScenarioLoader';
+import Thresholds from './lib/Thresholds';
+
+import type { Config } from './lib/ConfigStore';
+import type { DashboardOptions } from './dashboard/DashboardServer';
+import type { Scenario } from './ScenarioEngine';
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+
+// Runs a scenario file without any prompts and resolves to the process exit
+// code.
+class HeadlessApp {
+  _configStore: ConfigStore = new ConfigStore();
+  _dashboard: ?DashboardOptions;
+  _engine: ScenarioEngine;
+  _overrides: { accounts?: ?number, workers?: ?number };
+  _scenarioPath: string;
+
+  // `accounts` and `workers` override the scenario's own settings
+  constructor(
+    scenarioPath: string,
+    overrides: { accounts?: ?number, workers?: ?number } = {},
+    dashboard?: ?DashboardOptions,
+  ) {
+    this._dashboard = dashboard;
+    this._overrides = overrides;
+    this._scenarioPath = scenarioPath;
+  }
+
+  run = async (): Promise<number> => {
+    let scenario = null;
+    try {
+      scenario = ScenarioLoader.load(this._scenarioPath);
+    } catch (error) {
+      console.error(chalk.red(`Could not load scenario: ${error.message}`));
+      return EXIT_FAILURE;
+    }
+
+    const { accounts, workers } = this._overrides;
+    this._engine = new ScenarioEngine({
+      accounts: accounts == null ? scenario.accounts : accounts,
+      webhookReceiver: scenario.webhookReceiver,
+      workers: workers == null ? scenario.workers : workers,
+    });
+    this._configStore.load();
+
+    let fakeServer = null;
+    let config = null;
+    if (scenario.fakeServer) {
+      fakeServer = new FakeSparkServer(scenario.fakeServer);
+      try {
+        config = await fakeServer.start();
+      } catch (error) {
+        console.error(
+          chalk.red(`Could not start the fake server: ${error.message}`),
+        );
+        return EXIT_FAILURE;
+      }
+    } else {
+      config = this._getConfig(scenario);
+    }
+
+    if (!config) {
+      console.error(
+        chalk.red(
+          'No config to run against. Create one from the menu or add ' +
+            '"config" to the scenario.',
+        ),
+      );
+      return EXIT_FAILURE;
+    }
+
+    const startedAt = Date.now();
+    let dashboard = null;
+    let error = null;
+    try {
+      await this._engine.setup(config);
+      if (fakeServer) {
+        this._engine.clearRegistrations();
+      }
+      if (this._dashboard) {
+        dashboard = new DashboardServer(this._engine, this._dashboard);
+        await dashboard.start();
+      }
+      for (let ii = 0; ii < scenario.steps.length; ii++) {
+        const step = scenario.steps[ii];
+        console.log(chalk.green(`Step ${ii + 1}: ${step.type}`));
+        await this._engine.runStep(step);
+      }
+    } catch (stepError) {
+      error = stepError.message;
+      console.error(chalk.red(`Scenario failed: ${error}`));
+    } finally {
+      this._engine.stopLoad();
+      this._engine.stopChurn();
+      this._engine.stopEvents();
+      this._engine.stopDevices(this._engine.getDeviceCount());
+      this._engine.shutdown();
+      if (dashboard) {
+        await dashboard.stop();
+      }
+      if (fakeServer) {
+        await fakeServer.stop();
+      }
+    }
+
+    printMetrics(this._engine.getMetrics(), true);
+
+    const report = RunReport.create(this._engine, {
+      error,
+      startedAt,
+      thresholds: scenario.thresholds,
+    });
+    report
+      .write(scenario.report)
+      .forEach((filePath) => console.log(`Wrote ${filePath}`));
+    report
+      .getFailedThresholds()
+      .forEach((result) =>
+        console.error(
+          chalk.red(`Threshold failed: ${Thresholds.format(result)}`),
+        ),
+      );
+    report
+      .getFailedFuzzCases()
+      .forEach((result) =>
+        console.error(
+          chalk.red(
+            `Fuzz case ${result.mutation} with seed ${result.seed} left the ` +
+              `server ${result.outcome}`,
+          ),
+        ),
+      );
+    report
+      .getFailedFanOuts()
+      .forEach((result) =>
+        console.error(
+          chalk.red(
+            `Fan-out to ${result.prefix} had ${result.missing} missing and ` +
+              `${result.duplicates} duplicate deliveries of ${result.expected}`,
+          ),
+        ),
+      );
+    report
+      .getFailedCrossAccounts()
+      .forEach((result) =>
+        console.error(
+          chalk.red(
+            `Cross-account checks: ${result.failures.length} of ` +
+              `${result.requests} requests on other accounts' devices went ` +
+              'through',
+          ),
+        ),
+      );
+
+    return report.getPassed() ? EXIT_SUCCESS : EXIT_FAILURE;
+  };
+
+  _getConfig(scenario: Scenario): ?Config {
+    const { config } = scenario;
+    if (config == null) {
+      return this._configStore.getDefaultConfig();
+    }
+
+    if (typeof config === 'number') {
+      return this._configStore.getConfig(config);
+    }
+
+    return config;
+  }
+}
+
+export default HeadlessApp;
@@ -0,0 +1,54 @@
+// @flow
+
+import chalk from 'chalk';
+
+import ConfigStore from './lib/ConfigStore';
+import ScenarioEngine from './ScenarioEngine';
+
+import type { EngineOptions } from './ScenarioEngine';
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+
+// Warms up the key pool for the default config without any prompts and
+// resolves to the process exit code.
+class KeyPoolApp {
+  _configStore: ConfigStore = new ConfigStore();
+  _engine: ScenarioEngine;
+  _size: number;
+
+  constructor(size: number, options?: EngineOptions) {
+    this._engine = new ScenarioEngine(options);
+    this._size = size;
+  }
+
+  run = async (): Promise<number> => {
+    this._configStore.load();
+    const config = this._configStore.getDefaultConfig();
+    if (!config) {
+      console.error(
+        chalk.red(
+          'No default config to register the keys on. Create one ' +
+            'from the menu first.',
+        ),
+      );
+      return EXIT_FAILURE;
+    }
+
+    try {
+      await this._engine.setup(config);
+      await this._engine.createKeyPool(this._size);
+    } catch (error) {
+      console.error(
+        chalk.red(`Could not create the key pool: ${error.message}`),
+      );
+      return EXIT_FAILURE;
+    } finally {
+      this._engine.shutdown();
+    }
+
+    return EXIT_SUCCESS;
+  };
+}
+
+export default KeyPoolApp;
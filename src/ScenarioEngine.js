@@ -0,0 +1,2088 @@
+// @flow
+
+import chalk from 'chalk';
+import fs from 'fs';
+import Particle from 'particle-api-js';
+import testWebhook from './test-webhook.json';
+
+import AccountManager from './lib/AccountManager';
+import CoapCounter from './lib/CoapCounter';
+import CryptoManager from './lib/CryptoManager';
+import DeviceHandlers from './lib/DeviceHandlers';
+import DeviceKeys from './lib/DeviceKeys';
+import DeviceProfiles from './lib/DeviceProfiles';
+import DeviceRegistry from './lib/DeviceRegistry';
+import ChurnGenerator from './lib/ChurnGenerator';
+import EndpointSelector from './lib/EndpointSelector';
+import EventGenerator from './lib/EventGenerator';
+import FanOutCheck from './lib/FanOutCheck';
+import FleetCoordinator from './lib/FleetCoordinator';
+import LoadGenerator from './lib/LoadGenerator';
+import MetricsCollector from './lib/MetricsCollector';
+import RampProfile from './lib/RampProfile';
+import ReconnectPolicy from './lib/ReconnectPolicy';
+import WebhookReceiver from './lib/WebhookReceiver';
+import FuzzDevice, { FUZZ_MUTATIONS } from './devices/FuzzDevice';
+import RemoteDevice from './devices/RemoteDevice';
+import TCPDevice, {
+  CONNECT_ERROR_EVENT,
+  CONNECTED_EVENT,
+  DISCONNECTED_EVENT,
+  PUBLISH_ACK_EVENT,
+  PUBLISH_ERROR_EVENT,
+  RECEIVED_EVENT,
+  SUBSCRIBED_EVENT,
+  WEBHOOK_MISMATCH_EVENT,
+  WEBHOOK_RESPONSE_EVENT,
+  WEBHOOK_TIMEOUT_EVENT,
+} from './devices/TCPDevice';
+
+import type {
+  ChurnExit,
+  ChurnSettings,
+  ChurnStats,
+} from './lib/ChurnGenerator';
+import type { CoapCounts } from './lib/CoapCounter';
+import type { Config } from './lib/ConfigStore';
+import type { DeviceProfile } from './lib/DeviceProfiles';
+import type {
+  DevicePhase,
+  ProductIdentity,
+  ReceivedEvent,
+} from './devices/TCPDevice';
+import type { EventSpec } from './lib/EventGenerator';
+import type { FanOutOptions, FanOutResult } from './lib/FanOutCheck';
+import type { FuzzMutation, FuzzResult } from './devices/FuzzDevice';
+import type { FakeSparkServerOptions } from './server/FakeSparkServer';
+import type { LoadSettings, LoadStats } from './lib/LoadGenerator';
+import type { NetworkProfile } from './lib/NetworkProfiles';
+import type { Operation } from './lib/MetricsCollector';
+import type { RampStage, RampStageResult } from './lib/RampProfile';
+import type { ReconnectPolicySpec } from './lib/ReconnectPolicy';
+import type { ReportOptions } from './lib/RunReport';
+import type { Threshold } from './lib/Thresholds';
+import type {
+  WebhookReceiverOptions,
+  WebhookReceiverStats,
+} from './lib/WebhookReceiver';
+
+export type LoadAction = 'functions' | 'variables' | 'webhooks';
+
+export type ScenarioStep =
+  | {
+      type: 'createDevices',
+      count: number,
+      network?: NetworkProfile,
+      product?: ProductSpec,
+      profile?: string,
+      reconnect?: ReconnectPolicySpec,
+    }
+  | { type: 'stopDevices', count?: number }
+  // With a `rate` the load runs at that many requests per second, otherwise
+  // 10% of the connected devices get a request every 5 seconds
+  | ({ type: 'startLoad', actions: Array<LoadAction> } & LoadSettings)
+  // Changes a running `rate` load
+  | ({ type: 'setLoad' } & LoadSettings)
+  // Every load action plus device churn
+  | ({ type: 'chaos', churn?: ChurnSettings } & DeviceOptions)
+  | { type: 'stopLoad' }
+  // Changes the settings of churn that's running
+  | ({ type: 'startChurn' } & ChurnSettings & DeviceOptions)
+  | { type: 'stopChurn' }
+  | { type: 'wait', duration: number }
+  | { type: 'waitForConnected', timeout?: number }
+  | { type: 'reconnectStorm', timeout?: number }
+  | { type: 'keyPool', size: number }
+  | ({ type: 'ramp', stages: Array<RampStage> } & DeviceOptions)
+  | ({ type: 'fuzz' } & FuzzOptions)
+  | ({ type: 'fanOut' } & FanOutOptions)
+  | ({ type: 'crossAccount' } & CrossAccountOptions)
+  // Stops everything and removes what the run left on the server
+  | ({ type: 'cleanup' } & CleanupOptions)
+  // Replaces the events of a startEvents that's running
+  | { type: 'startEvents', events: Array<EventSpec> }
+  | { type: 'stopEvents' };
+
+export type FuzzOptions = {
+  // Cases per mutation
+  count?: number,
+  mutations?: Array<FuzzMutation>,
+  // Case n uses seed + n. Random when not set.
+  seed?: number,
+  // ms to watch the server after each mutation
+  timeout?: number,
+};
+
+export type CleanupOptions = {
+  // Also deletes local keys that no server knows about afterwards
+  pruneKeys?: boolean,
+};
+
+export type CleanupResult = {
+  // What the server wouldn't remove, like `webhook <id>: 403`
+  failures: Array<string>,
+  prunedKeys: number,
+  removedDevices: number,
+  removedUsers: number,
+  removedWebhooks: number,
+};
+
+export type CrossAccountOptions = {
+  // Devices to try from another account
+  devices?: number,
+};
+
+// What another account could do to a device
+export type CrossAccountRequest = 'events' | 'function' | 'variable';
+
+export type CrossAccountResult = {
+  // Requests the server refused with 401, 403 or 404
+  denied: number,
+  durationMs: number,
+  // Requests that went through, each one is a hole in the authorization
+  failures: Array<{
+    caller: string,
+    deviceID: string,
+    owner: string,
+    request: CrossAccountRequest,
+  }>,
+  passed: boolean,
+  requests: number,
+  // Responses by status, `ok` for the ones that went through
+  statuses: { [status: string]: number },
+};
+
+// Devices run in this process unless the engine has fleet workers
+export type VirtualDevice = RemoteDevice | TCPDevice;
+
+export type EngineOptions = {
+  // Users to spread new devices over
+  accounts?: number,
+  // Points the test webhook at a local receiver instead of the server's
+  // own /v1/ping
+  webhookReceiver?: ?WebhookReceiverOptions,
+  // Worker processes to spread the devices over. 0 keeps them in process.
+  workers?: number,
+};
+
+// A product found or created by name, either `"fleet"` or an object like
+// `{ "name": "fleet", "firmwareVersion": 3 }`
+export type ProductSpec =
+  | string
+  | {
+      // What the devices say they run, 1 by default
+      firmwareVersion?: number,
+      name: string,
+    };
+
+export type DeviceOptions = {
+  network?: NetworkProfile,
+  // Devices are added to it and say they're part of it in the hello
+  product?: ProductSpec,
+  profile?: string,
+  reconnect?: ReconnectPolicySpec,
+};
+
+export type Scenario = {
+  accounts?: number,
+  config?: number | Config,
+  // Runs against an in-process fake spark-server instead of a config
+  fakeServer?: ?FakeSparkServerOptions,
+  report?: ReportOptions,
+  steps: Array<ScenarioStep>,
+  thresholds: Array<Threshold>,
+  webhookReceiver?: ?WebhookReceiverOptions,
+  workers?: number,
+};
+
+export type DeviceStats = {
+  claimed: number,
+  // Includes devices that were stopped
+  disconnects: number,
+  peakConnected: number,
+  started: number,
+};
+
+// What came back from the function calls. Only handlers with a known result
+// are checked, the rest count as unchecked.
+export type FunctionCheckStats = {
+  correct: number,
+  // Timed out or never answered
+  dropped: number,
+  // Failed with anything else
+  failed: number,
+  // A value no recent call expected
+  mismatched: number,
+  unchecked: number,
+  // The value another device was expected to return
+  wrongDevice: number,
+};
+
+type RecentFunctionCall = { calledAt: number, deviceID: string };
+
+const PARTICLE_API_CONFIG = {
+  clientId: 'particle-collider',
+  clientSecret: 'particle-collider',
+};
+const LOAD_INTERVAL = 5000;
+const CONNECTED_POLL_INTERVAL = 100;
+const DEFAULT_FUZZ_TIMEOUT = 10000;
+const DEFAULT_FAN_OUT_PREFIX = 'collider/fanout';
+const DEFAULT_FAN_OUT_TIMEOUT = 10000;
+const DEFAULT_CROSS_ACCOUNT_DEVICES = 10;
+// What spark-server should answer when the device belongs to someone else
+const DENIED_STATUSES = ['401', '403', '404'];
+const CROSS_ACCOUNT_REQUESTS: Array<CrossAccountRequest> = [
+  'events',
+  'function',
+  'variable',
+];
+const REGISTER_CONCURRENCY = 20;
+const KEY_PROGRESS_INTERVAL = 100;
+// How long createDevices keeps checking to log the time to connect
+const CONNECT_LOG_TIMEOUT = 120000;
+// How long waitForConnected and reconnectStorm wait without a timeout, a
+// device that never comes back would block them forever
+export const DEFAULT_CONNECT_TIMEOUT = 60000;
+const RAMP_TICK = 250;
+// How long expected function results are remembered to catch replies that
+// went to the wrong call
+const RECENT_FUNCTION_CALL_TIME = 60000;
+// Statuses for a function call that never got an answer from the device
+const DROPPED_STATUSES = ['408', '504', 'network'];
+// The connected devices are looked up at most this often for rate load
+const CONNECTED_CACHE_TIME = 100;
+
+// Owns the virtual devices and the API session. Both the interactive menu and
+// headless scenario files run through `runStep`.
+class ScenarioEngine {
+  _accounts: AccountManager;
+  _config: Config;
+  _churnGenerator: ?ChurnGenerator = null;
+  _cleanupResult: ?CleanupResult = null;
+  // What the last churn did once it stopped
+  _churnStats: ?ChurnStats = null;
+  _connectedDevices: { devices: Array<VirtualDevice>, updatedAt: number } = {
+    devices: [],
+    updatedAt: 0,
+  };
+  _coordinator: ?FleetCoordinator = null;
+  _crossAccountResults: Array<CrossAccountResult> = [];
+  _devices: Array<VirtualDevice> = [];
+  _disconnectCount: number = 0;
+  _endpoints: EndpointSelector;
+  _eventGenerator: ?EventGenerator = null;
+  _existingDeviceIDs: Array<string> = [];
+  _fanOutResults: Array<FanOutResult> = [];
+  _functionCheckStats: FunctionCheckStats = {
+    correct: 0,
+    dropped: 0,
+    failed: 0,
+    mismatched: 0,
+    unchecked: 0,
+    wrongDevice: 0,
+  };
+  _fuzzDeviceID: ?string = null;
+  _fuzzResults: Array<FuzzResult> = [];
+  _loadGenerator: ?LoadGenerator = null;
+  _loadIntervals: { [action: string]: number } = {};
+  // What the last rate load did once it stopped
+  _loadStats: ?LoadStats = null;
+  _metrics: MetricsCollector = new MetricsCollector();
+  _particle: Particle;
+  _peakConnectedDeviceCount: number = 0;
+  // Devices added to a product during this run
+  _productDeviceIDs: Set<string> = new Set();
+  // By name
+  _productIDs: Map<string, number> = new Map();
+  _rampResults: Array<RampStageResult> = [];
+  // The device each recent call was expected to return that value for,
+  // oldest first
+  _recentFunctionCalls: Map<number, RecentFunctionCall> = new Map();
+  _registry: DeviceRegistry = new DeviceRegistry();
+  // IDs a _startDevices call picked and hasn't added to `_devices` yet
+  _reservedDeviceIDs: Set<string> = new Set();
+  _server: string = '';
+  // Connect metrics for the ramp stage that's running
+  _stageMetrics: ?MetricsCollector = null;
+  _startedDeviceCount: number = 0;
+  _webhookReceiver: ?WebhookReceiver = null;
+
+  constructor({
+    accounts = 1,
+    webhookReceiver,
+    workers = 0,
+  }: EngineOptions = {}) {
+    this._accounts = new AccountManager(accounts);
+    if (workers > 0) {
+      this._coordinator = new FleetCoordinator(workers);
+    }
+    if (webhookReceiver) {
+      this._webhookReceiver = new WebhookReceiver(
+        webhookReceiver,
+        this._metrics,
+      );
+    }
+  }
+
+  setup = async (config: Config): Promise<void> => {
+    this._config = config;
+    this._endpoints = new EndpointSelector(
+      config.deviceEndpoints,
+      config.endpointPolicy,
+    );
+    this._server = DeviceRegistry.getServer(config);
+    this._setServerKey(config);
+    await this._login(config);
+    if (this._webhookReceiver) {
+      await this._webhookReceiver.start();
+    }
+    await this._setupWebhooks(config);
+    if (this._coordinator) {
+      await this._coordinator.start(config);
+    }
+
+    this._registry.load();
+    this._existingDeviceIDs = this._registry.getDeviceIDs();
+  };
+
+  runStep = async (step: ScenarioStep): Promise<void> => {
+    switch (step.type) {
+      case 'createDevices': {
+        await this.createDevices(step.count, {
+          network: step.network,
+          product: step.product,
+          profile: step.profile,
+          reconnect: step.reconnect,
+        });
+        break;
+      }
+
+      case 'stopDevices': {
+        const { count } = step;
+        this.stopDevices(count == null ? this._devices.length : count);
+        break;
+      }
+
+      case 'startLoad': {
+        const { actions, maxInFlight, mix, rate } = step;
+        if (rate == null) {
+          actions.forEach(this.startLoad);
+          break;
+        }
+
+        const equalMix = {};
+        actions.forEach((action) => {
+          equalMix[action] = 1;
+        });
+        this.startRateLoad({ maxInFlight, mix: mix || equalMix, rate });
+        break;
+      }
+
+      case 'setLoad': {
+        const loadGenerator = this._loadGenerator;
+        if (!loadGenerator) {
+          throw new Error('setLoad needs a startLoad with a rate first');
+        }
+        loadGenerator.update({
+          maxInFlight: step.maxInFlight,
+          mix: step.mix,
+          rate: step.rate,
+        });
+        break;
+      }
+
+      case 'chaos': {
+        this.startLoad('functions');
+        this.startLoad('variables');
+        this.startLoad('webhooks');
+        const { churn, network, product, profile, reconnect } = step;
+        this.startChurn(churn || {}, { network, product, profile, reconnect });
+        break;
+      }
+
+      case 'startChurn': {
+        const { network, product, profile, reconnect, ...settings } = step;
+        this.startChurn(settings, { network, product, profile, reconnect });
+        break;
+      }
+
+      case 'stopChurn': {
+        this.stopChurn();
+        break;
+      }
+
+      case 'stopLoad': {
+        this.stopLoad();
+        break;
+      }
+
+      case 'startEvents': {
+        this.startEvents(step.events);
+        break;
+      }
+
+      case 'stopEvents': {
+        this.stopEvents();
+        break;
+      }
+
+      case 'wait': {
+        await this._sleep(step.duration);
+        break;
+      }
+
+      case 'waitForConnected': {
+        const { timeout = DEFAULT_CONNECT_TIMEOUT } = step;
+        const isConnected = await this.waitForConnected(timeout);
+        if (!isConnected) {
+          throw new Error(
+            `Only ${this.getConnectedDeviceCount()} of ` +
+              `${this._devices.length} devices connected within ${timeout}ms`,
+          );
+        }
+        break;
+      }
+
+      case 'fuzz': {
+        await this.fuzz(step);
+        break;
+      }
+
+      case 'fanOut': {
+        await this.fanOut(step);
+        break;
+      }
+
+      case 'crossAccount': {
+        await this.crossAccount(step);
+        break;
+      }
+
+      case 'cleanup': {
+        const result = await this.cleanup(step);
+        if (result.failures.length) {
+          throw new Error(
+            `Cleanup left ${result.failures.length} things on the server`,
+          );
+        }
+        break;
+      }
+
+      case 'keyPool': {
+        await this.createKeyPool(step.size);
+        break;
+      }
+
+      case 'ramp': {
+        await this.ramp(step.stages, {
+          network: step.network,
+          product: step.product,
+          profile: step.profile,
+          reconnect: step.reconnect,
+        });
+        break;
+      }
+
+      case 'reconnectStorm': {
+        const { timeout = DEFAULT_CONNECT_TIMEOUT } = step;
+        const isConnected = await this.reconnectStorm(timeout);
+        if (!isConnected) {
+          throw new Error(
+            `The reconnect storm timed out, only ` +
+              `${this.getConnectedDeviceCount()} of ${this._devices.length} ` +
+              `devices reconnected within ${timeout}ms`,
+          );
+        }
+        break;
+      }
+
+      default: {
+        throw new Error(`Unknown scenario step ${(step: any).type}`);
+      }
+    }
+  };
+
+  getDeviceCount(): number {
+    return this._devices.length;
+  }
+
+  getConnectedDeviceCount(): number {
+    return this._devices.filter((device) => device.getIsConnected()).length;
+  }
+
+  // Devices in each phase, phases without any devices are left out
+  getPhaseCounts(): { [phase: DevicePhase]: number } {
+    const counts = {};
+    this._devices.forEach((device) => {
+      const phase = device.getPhase();
+      counts[phase] = (counts[phase] || 0) + 1;
+    });
+    return counts;
+  }
+
+  getClaimedDeviceCount(): number {
+    return this._registry.getClaimedDeviceIDs(this._server).length;
+  }
+
+  getDeviceStats(): DeviceStats {
+    return {
+      claimed: this.getClaimedDeviceCount(),
+      disconnects: this._disconnectCount,
+      peakConnected: this._peakConnectedDeviceCount,
+      started: this._startedDeviceCount,
+    };
+  }
+
+  // The fake server starts without any keys so nothing is registered on it
+  clearRegistrations(): void {
+    this._registry.clearServer(this._server);
+    this._registry.save();
+  }
+
+  // CoAP messages of the devices here and in the fleet workers
+  getCoapCounts(): CoapCounts {
+    const coordinator = this._coordinator;
+    return CoapCounter.merge(
+      [CoapCounter.getCounts()].concat(
+        coordinator ? coordinator.getCoapCounts() : [],
+      ),
+    );
+  }
+
+  getWorkerCount(): number {
+    return this._coordinator ? this._coordinator.getWorkerCount() : 0;
+  }
+
+  getApiUrl(): string {
+    return this._config ? this._config.apiUrl : '';
+  }
+
+  // `host:port` of every device server endpoint
+  getDeviceEndpoints(): Array<string> {
+    return this._config
+      ? this._config.deviceEndpoints.map(EndpointSelector.format)
+      : [];
+  }
+
+  getMetrics(): MetricsCollector {
+    return this._metrics;
+  }
+
+  getFuzzResults(): Array<FuzzResult> {
+    return this._fuzzResults;
+  }
+
+  getRampResults(): Array<RampStageResult> {
+    return this._rampResults;
+  }
+
+  getFanOutResults(): Array<FanOutResult> {
+    return this._fanOutResults;
+  }
+
+  getCrossAccountResults(): Array<CrossAccountResult> {
+    return this._crossAccountResults;
+  }
+
+  getCleanupResult(): ?CleanupResult {
+    return this._cleanupResult;
+  }
+
+  // The ones that could log in
+  getAccountCount(): number {
+    return this._accounts.getUsernames().length;
+  }
+
+  getFunctionCheckStats(): FunctionCheckStats {
+    return { ...this._functionCheckStats };
+  }
+
+  // Only when the webhook goes to a WebhookReceiver
+  getWebhookReceiverStats(): ?WebhookReceiverStats {
+    return this._webhookReceiver ? this._webhookReceiver.getStats() : null;
+  }
+
+  isLoadRunning(action?: LoadAction): boolean {
+    const loadGenerator = this._loadGenerator;
+    if (action) {
+      return (
+        !!this._loadIntervals[action] ||
+        (!!loadGenerator && loadGenerator.hasAction(action))
+      );
+    }
+
+    return (
+      !!loadGenerator ||
+      Object.keys(this._loadIntervals).some((key) => !!this._loadIntervals[key])
+    );
+  }
+
+  getLoadStats(): ?LoadStats {
+    return this._loadGenerator
+      ? this._loadGenerator.getStats()
+      : this._loadStats;
+  }
+
+  createDevices = async (
+    amount: number,
+    options?: DeviceOptions = {},
+  ): Promise<void> => {
+    await this._startDevices(amount, options);
+
+    console.time('Time To Connect Devices');
+    this.waitForConnected(CONNECT_LOG_TIMEOUT).then((isConnected) =>
+      isConnected
+        ? console.timeEnd('Time To Connect Devices')
+        : console.log(
+            `Only ${this.getConnectedDeviceCount()} of ` +
+              `${this._devices.length} devices connected within ` +
+              `${CONNECT_LOG_TIMEOUT}ms`,
+          ),
+    );
+  };
+
+  // Picks the first existing IDs that no device runs under and no other
+  // _startDevices call has picked, null for each device that needs a new key.
+  // Has to run before any await so overlapping calls can't pick the same IDs.
+  _reserveDeviceIDs(amount: number): Array<?string> {
+    const runningIDs = new Set(
+      this._devices.map((device) => device.getDeviceID()),
+    );
+    const deviceIDs = [];
+    let index = 0;
+    while (
+      deviceIDs.length < amount &&
+      index < this._existingDeviceIDs.length
+    ) {
+      const deviceID = this._existingDeviceIDs[index];
+      if (runningIDs.has(deviceID) || this._reservedDeviceIDs.has(deviceID)) {
+        index += 1;
+        continue;
+      }
+
+      // An ID without keys is dropped and the next one moves up into its place
+      if (!DeviceKeys.exists(deviceID)) {
+        this._existingDeviceIDs.splice(index, 1);
+        continue;
+      }
+
+      this._reservedDeviceIDs.add(deviceID);
+      deviceIDs.push(deviceID);
+      index += 1;
+    }
+
+    while (deviceIDs.length < amount) {
+      deviceIDs.push(null);
+    }
+    return deviceIDs;
+  }
+
+  // Creates, registers and connects devices without waiting for them to
+  // connect
+  _startDevices = async (
+    amount: number,
+    options: DeviceOptions,
+  ): Promise<void> => {
+    const deviceIDs = this._reserveDeviceIDs(amount);
+    const reservedIDs = [];
+    deviceIDs.forEach((deviceID) => {
+      if (deviceID) {
+        reservedIDs.push(deviceID);
+      }
+    });
+    try {
+      await this._startReservedDevices(deviceIDs, reservedIDs, options);
+    } finally {
+      // The devices are in `_devices` by now, or failed to start
+      reservedIDs.forEach((deviceID) =>
+        this._reservedDeviceIDs.delete(deviceID),
+      );
+    }
+  };
+
+  // New keys are reserved in `reservedIDs` too until the devices are added
+  _startReservedDevices = async (
+    deviceIDs: Array<?string>,
+    reservedIDs: Array<string>,
+    options: DeviceOptions,
+  ): Promise<void> => {
+    const { network } = options;
+    const profile = DeviceProfiles.load(options.profile);
+    const reconnectPolicy = new ReconnectPolicy(options.reconnect);
+    const product = options.product
+      ? await this._getProduct(options.product, profile)
+      : null;
+
+    // Workers create their devices side by side, new keys take a while
+    const devices = await Promise.all(
+      deviceIDs.map((deviceID) => {
+        const deviceOptions = {
+          deviceID,
+          // Without a network profile simulate devices that take longer to
+          // send data
+          network: network || { latency: Math.floor(Math.random() * 1000) },
+          product,
+          profile,
+        };
+        const endpoint = this._endpoints.select(deviceID);
+        const coordinator = this._coordinator;
+        if (coordinator) {
+          return coordinator.createDevice({
+            ...deviceOptions,
+            endpoint,
+            reconnect: options.reconnect,
+          });
+        }
+
+        // Pinned devices need their key before they get an endpoint
+        const id = deviceID || DeviceKeys.create();
+        return new TCPDevice({
+          ...deviceOptions,
+          deviceID: id,
+          endpoint: endpoint || this._endpoints.getPinned(id),
+          reconnectPolicy,
+        });
+      }),
+    );
+
+    const newDeviceIDs = [];
+    devices.forEach((device, index) => {
+      if (!deviceIDs[index]) {
+        newDeviceIDs.push(device.getDeviceID());
+        this._registry.add(device.getDeviceID());
+        this._reservedDeviceIDs.add(device.getDeviceID());
+        reservedIDs.push(device.getDeviceID());
+      }
+    });
+    this._existingDeviceIDs = this._existingDeviceIDs.concat(newDeviceIDs);
+    await this._registerDevices(
+      devices
+        .map((device) => device.getDeviceID())
+        .filter(
+          (deviceID) => !this._registry.isRegistered(deviceID, this._server),
+        ),
+    );
+    if (product) {
+      await this._addDevicesToProduct(
+        product.id,
+        devices
+          .map((device) => device.getDeviceID())
+          .filter((deviceID) => !this._productDeviceIDs.has(deviceID)),
+      );
+    }
+
+    devices.forEach((device) => {
+      device.on(WEBHOOK_RESPONSE_EVENT, (duration: number) =>
+        this._metrics.record('webhook', duration),
+      );
+      device.on(WEBHOOK_TIMEOUT_EVENT, () =>
+        this._metrics.recordError(
+          'webhook',
+          `${device.getDeviceID()} got no hook-response`,
+        ),
+      );
+      device.on(WEBHOOK_MISMATCH_EVENT, (message: string) => {
+        this._metrics.recordMismatch('webhook');
+        console.error(chalk.red(message));
+      });
+      device.on(CONNECTED_EVENT, (duration: number) => {
+        this._metrics.record('connect', duration);
+        if (this._stageMetrics) {
+          this._stageMetrics.record('connect', duration);
+        }
+        this._peakConnectedDeviceCount = Math.max(
+          this._peakConnectedDeviceCount,
+          this.getConnectedDeviceCount(),
+        );
+      });
+      device.on(PUBLISH_ACK_EVENT, (duration: number) =>
+        this._metrics.record('publish', duration),
+      );
+      device.on(PUBLISH_ERROR_EVENT, (reason: string) =>
+        this._metrics.recordError(
+          'publish',
+          reason === 'rejected'
+            ? `The server rejected an event from ${device.getDeviceID()}`
+            : `${device.getDeviceID()} got no ACK for an event`,
+        ),
+      );
+      device.on(DISCONNECTED_EVENT, () => {
+        this._disconnectCount += 1;
+      });
+      device.on(CONNECT_ERROR_EVENT, () => {
+        this._metrics.recordError(
+          'connect',
+          `${device.getDeviceID()} lost its socket before the handshake ` +
+            'finished',
+        );
+        if (this._stageMetrics) {
+          this._stageMetrics.recordError('connect');
+        }
+      });
+
+      console.log(`Adding ${this._devices.length}: ${device.getDeviceID()}`);
+      this._devices.push(device);
+      this._startedDeviceCount += 1;
+    });
+
+    this._devices
+      .filter((device) => !device.getIsConnected())
+      .map((device) => device.connect());
+  };
+
+  // Makes sure at least `size` device keys exist and that all of them are
+  // registered on the server, so devices can start without waiting on either.
+  // Keys are generated in the fleet workers when there are any.
+  createKeyPool = async (size: number): Promise<void> => {
+    const missing = Math.max(0, size - this._registry.getDeviceIDs().length);
+    if (missing) {
+      console.log(`Generating ${missing} device keys`);
+    }
+
+    let generated = 0;
+    const coordinator = this._coordinator;
+    const deviceIDs = await Promise.all(
+      Array.from({ length: missing }, () =>
+        (coordinator
+          ? coordinator.generateKey()
+          : Promise.resolve(DeviceKeys.create())
+        ).then((deviceID) => {
+          generated += 1;
+          if (generated % KEY_PROGRESS_INTERVAL === 0) {
+            console.log(`Generated ${generated} of ${missing} keys`);
+          }
+          return deviceID;
+        }),
+      ),
+    );
+    deviceIDs.forEach((deviceID) => this._registry.add(deviceID));
+    this._registry.save();
+    this._existingDeviceIDs = this._existingDeviceIDs.concat(deviceIDs);
+
+    const unregisteredIDs = this._registry
+      .getDeviceIDs()
+      .filter(
+        (deviceID) => !this._registry.isRegistered(deviceID, this._server),
+      );
+    if (unregisteredIDs.length) {
+      console.log(
+        `Registering ${unregisteredIDs.length} device keys on ${this._server}`,
+      );
+    }
+    await this._registerDevices(unregisteredIDs);
+    console.log(
+      `${this._registry.getRegisteredDeviceIDs(this._server).length} device ` +
+        `keys are registered on ${this._server}`,
+    );
+  };
+
+  stopDevices(amount: number): void {
+    while (amount) {
+      amount -= 1;
+      const device = this._pickRandom(this._devices);
+      if (!device) {
+        continue;
+      }
+      this._removeDevice(device);
+      device.disconnect();
+    }
+
+    console.log(`${this._devices.length} devices are still running`);
+  }
+
+  // Stopped IDs go to the back of the line so new devices get them last
+  _removeDevice(device: VirtualDevice): void {
+    const deviceID = device.getDeviceID();
+    this._devices = this._devices.filter(
+      (item) => item.getDeviceID() !== deviceID,
+    );
+    this._existingDeviceIDs = this._existingDeviceIDs
+      .filter((id) => id !== deviceID)
+      .concat([deviceID]);
+  }
+
+  // Resolves true once every device is connected, or false if the timeout
+  // passes first.
+  waitForConnected = (
+    timeout?: number = DEFAULT_CONNECT_TIMEOUT,
+  ): Promise<boolean> =>
+    new Promise((resolve) => {
+      const startTime = Date.now();
+      const interval = setInterval(() => {
+        if (this._devices.every((device) => device.getIsConnected())) {
+          clearInterval(interval);
+          resolve(true);
+        } else if (Date.now() - startTime >= timeout) {
+          clearInterval(interval);
+          resolve(false);
+        }
+      }, CONNECTED_POLL_INTERVAL);
+    });
+
+  // Drops every connection at once and records how long it takes until the
+  // whole fleet is connected again. How bursty the reconnects are depends on
+  // the devices' reconnect policy.
+  reconnectStorm = async (
+    timeout?: number = DEFAULT_CONNECT_TIMEOUT,
+  ): Promise<boolean> => {
+    const startTime = Date.now();
+    this._devices.forEach((device) => device.dropConnection());
+
+    const isConnected = await this.waitForConnected(timeout);
+    if (isConnected) {
+      this._metrics.record('reconnect', Date.now() - startTime);
+      console.log(
+        `${this._devices.length} devices reconnected in ` +
+          `${Date.now() - startTime}ms`,
+      );
+    } else {
+      this._metrics.recordError(
+        'reconnect',
+        `The storm timed out, only ${this.getConnectedDeviceCount()} of ` +
+          `${this._devices.length} devices reconnected within ${timeout}ms`,
+      );
+    }
+    return isConnected;
+  };
+
+  // Runs the stages one after the other and reports the connect success rate
+  // and time to connect for each. Connects count towards the stage they
+  // happen in, not the one that started the device, so a stage shows how the
+  // server coped with the connection rate at that time.
+  ramp = async (
+    stages: Array<RampStage>,
+    options?: DeviceOptions = {},
+  ): Promise<Array<RampStageResult>> => {
+    const results = [];
+    for (let ii = 0; ii < stages.length; ii++) {
+      const stage = stages[ii];
+      const label = RampProfile.getLabel(stage);
+      console.log(chalk.green(`Ramp stage ${ii + 1}: ${label}`));
+
+      const stageMetrics = new MetricsCollector();
+      this._stageMetrics = stageMetrics;
+      const startTime = Date.now();
+      let started = 0;
+      let stopped = 0;
+      try {
+        switch (stage.type) {
+          case 'rampUp':
+          case 'rampDown': {
+            const rate = stage.rate || 0;
+            let scheduled = 0;
+            for (;;) {
+              const elapsed = Math.min(Date.now() - startTime, stage.duration);
+              const due = Math.floor((rate * elapsed) / 1000) - scheduled;
+              scheduled += Math.max(0, due);
+              if (due > 0 && stage.type === 'rampUp') {
+                await this._startDevices(due, options);
+                started += due;
+              } else if (due > 0) {
+                const count = Math.min(due, this._devices.length);
+                this.stopDevices(count);
+                stopped += count;
+              }
+
+              if (elapsed >= stage.duration) {
+                break;
+              }
+              await this._sleep(RAMP_TICK);
+            }
+            break;
+          }
+
+          case 'spike': {
+            started = stage.count || 0;
+            await this._startDevices(started, options);
+            await this._sleep(
+              Math.max(0, stage.duration - (Date.now() - startTime)),
+            );
+            break;
+          }
+
+          default: {
+            await this._sleep(stage.duration);
+          }
+        }
+      } finally {
+        this._stageMetrics = null;
+      }
+
+      const durationMs = Date.now() - startTime;
+      const connect = stageMetrics.getStats('connect');
+      const result = {
+        actualRate: ((started + stopped) * 1000) / durationMs,
+        connect,
+        devicesStarted: started,
+        devicesStopped: stopped,
+        durationMs,
+        label,
+        stage,
+        successRate: 1 - connect.errorRate,
+      };
+      const attempts = connect.count + connect.errors;
+      console.log(
+        `${label}: ${started} started, ${stopped} stopped, ` +
+          (attempts
+            ? `${(result.successRate * 100).toFixed(1)}% of ${attempts} ` +
+              `connects succeeded, time to connect p50 ${connect.p50}ms ` +
+              `p90 ${connect.p90}ms p99 ${connect.p99}ms max ${connect.max}ms`
+            : 'no connects'),
+      );
+      results.push(result);
+    }
+
+    this._rampResults = this._rampResults.concat(results);
+    return results;
+  };
+
+  // Runs every fuzz case one after the other on a single device identity
+  fuzz = async ({
+    count = 1,
+    mutations = FUZZ_MUTATIONS,
+    seed,
+    timeout = DEFAULT_FUZZ_TIMEOUT,
+  }: FuzzOptions): Promise<Array<FuzzResult>> => {
+    const baseSeed =
+      seed == null ? Math.floor(Math.random() * 0x7fffffff) : seed;
+    console.log(`Fuzzing with seed ${baseSeed}`);
+
+    const results = [];
+    for (let ii = 0; ii < mutations.length * count; ii++) {
+      const isNewKey = !this._fuzzDeviceID;
+      const deviceID = this._fuzzDeviceID || DeviceKeys.create();
+      this._fuzzDeviceID = deviceID;
+      const device = new FuzzDevice({
+        deviceID,
+        endpoint:
+          this._endpoints.select(deviceID) ||
+          this._endpoints.getPinned(deviceID),
+        mutation: mutations[Math.floor(ii / count)],
+        seed: baseSeed + ii,
+      });
+      if (isNewKey) {
+        await this._promise(
+          this._particle.sendPublicKey({
+            auth: this._accounts.getAccessToken(),
+            deviceId: device.getDeviceID(),
+            key: device.getPublicKey(),
+          }),
+        );
+      }
+
+      const result = await device.run(timeout);
+      const color =
+        result.outcome === 'crashed' || result.outcome === 'hung'
+          ? chalk.red
+          : chalk.green;
+      console.log(
+        color(
+          `${result.mutation} (seed ${result.seed}): ${result.outcome}` +
+            (result.detail ? ` - ${result.detail}` : ''),
+        ),
+      );
+      results.push(result);
+    }
+
+    this._fuzzResults = this._fuzzResults.concat(results);
+    return results;
+  };
+
+  // Subscribes some connected devices to `prefix` and has others publish
+  // under it, then checks every subscriber got every event exactly once.
+  // Publishers and subscribers are different devices.
+  fanOut = async ({
+    events = 10,
+    interval = 1000,
+    prefix = DEFAULT_FAN_OUT_PREFIX,
+    private: isPrivate = false,
+    publishers = 1,
+    subscribers = 10,
+    timeout = DEFAULT_FAN_OUT_TIMEOUT,
+  }: FanOutOptions): Promise<FanOutResult> => {
+    const connectedDevices = this._devices.filter((device) =>
+      device.getIsConnected(),
+    );
+    if (connectedDevices.length < publishers + subscribers) {
+      throw new Error(
+        `fanOut needs ${publishers + subscribers} connected devices but ` +
+          `only ${connectedDevices.length} are`,
+      );
+    }
+
+    const subscriberDevices = connectedDevices.slice(0, subscribers);
+    const publisherDevices = connectedDevices.slice(
+      subscribers,
+      subscribers + publishers,
+    );
+    const check = new FanOutCheck(
+      prefix,
+      subscriberDevices.map((device) => device.getDeviceID()),
+    );
+    const startTime = Date.now();
+
+    const subscribed = new Set();
+    const removeListeners = subscriberDevices.map((device) => {
+      const deviceID = device.getDeviceID();
+      const onSubscribed = (subscribedPrefix: string) => {
+        if (subscribedPrefix === prefix) {
+          subscribed.add(deviceID);
+        }
+      };
+      const onReceived = (event: ReceivedEvent) => {
+        const latency = check.addReceived(deviceID, event);
+        if (latency != null) {
+          this._metrics.record('fanout', latency);
+        }
+      };
+      device.on(SUBSCRIBED_EVENT, onSubscribed);
+      device.on(RECEIVED_EVENT, onReceived);
+      return () => {
+        device.removeEventListener(SUBSCRIBED_EVENT, onSubscribed);
+        device.removeEventListener(RECEIVED_EVENT, onReceived);
+      };
+    });
+
+    try {
+      subscriberDevices.forEach((device) => device.subscribe(prefix));
+      await this._waitFor(() => subscribed.size === subscribers, timeout);
+      const unsubscribed = subscribers - subscribed.size;
+      if (unsubscribed) {
+        this._metrics.recordError(
+          'fanout',
+          `${unsubscribed} of ${subscribers} subscriptions to ${prefix} ` +
+            'were not acknowledged',
+        );
+      }
+
+      for (let sequence = 0; sequence < events; sequence++) {
+        if (sequence) {
+          await this._sleep(interval);
+        }
+        publisherDevices.forEach((device, index) => {
+          const name = check.getEventName(index, sequence);
+          check.addPublished(name);
+          device.publishEvent({
+            data: Buffer.from(device.getDeviceID()),
+            isPrivate,
+            name,
+          });
+        });
+      }
+
+      await this._waitFor(() => check.isComplete(), timeout);
+      // Duplicates can arrive right after the first copy
+      await this._sleep(CONNECTED_POLL_INTERVAL);
+
+      const missing = check.getMissing();
+      missing.forEach(({ name, subscriberID }) =>
+        this._metrics.recordError(
+          'fanout',
+          `${subscriberID} never received ${name}`,
+        ),
+      );
+      const result = check.getResult({
+        durationMs: Date.now() - startTime,
+        publishers,
+        unsubscribed,
+      });
+      const { latency } = result;
+      console.log(
+        (result.passed ? chalk.green : chalk.red)(
+          `Fan-out to ${prefix}: ${result.delivered} of ${result.expected} ` +
+            `deliveries, ${result.missing} missing, ${result.duplicates} ` +
+            `duplicates, latency p50 ${latency.p50}ms p90 ${latency.p90}ms ` +
+            `p99 ${latency.p99}ms max ${latency.max}ms`,
+        ),
+      );
+
+      this._fanOutResults = this._fanOutResults.concat([result]);
+      return result;
+    } finally {
+      removeListeners.forEach((removeListener) => removeListener());
+    }
+  };
+
+  // Stops every device and removes them from the server, then deletes every
+  // account's webhooks and the test users themselves. Devices and users that
+  // are already gone count as removed. Nothing else works against the server
+  // until setup runs again.
+  cleanup = async ({
+    pruneKeys = false,
+  }: CleanupOptions = {}): Promise<CleanupResult> => {
+    this.stopChurn();
+    this.stopLoad();
+    this.stopEvents();
+    this.stopDevices(this._devices.length);
+
+    const failures = [];
+    const isRemoved = (status: string) => status === 'ok' || status === '404';
+
+    let removedDevices = 0;
+    const queue = this._registry.getRegisteredDeviceIDs(this._server);
+    const removeQueued = async (): Promise<void> => {
+      while (queue.length) {
+        const deviceID = queue.shift();
+        const status = await this._getStatus(
+          this._particle.removeDevice({
+            auth: this._getAccessToken(deviceID),
+            deviceId: deviceID,
+          }),
+        );
+        if (isRemoved(status)) {
+          this._registry.setUnregistered(deviceID, this._server);
+          removedDevices += 1;
+        } else {
+          failures.push(`device ${deviceID}: ${status}`);
+        }
+      }
+    };
+    await Promise.all(
+      Array.from({ length: REGISTER_CONCURRENCY }, removeQueued),
+    );
+    this._registry.save();
+    this._productDeviceIDs.clear();
+
+    let removedWebhooks = 0;
+    const usernames = this._accounts.getUsernames();
+    for (const username of usernames) {
+      const auth = this._accounts.getAccessToken(username);
+      const webhooks = await this._promise(
+        this._particle.listWebhooks({ auth }),
+      );
+      for (const webhook of (webhooks && webhooks.body) || []) {
+        const status = await this._getStatus(
+          this._particle.deleteWebhook({ auth, hookId: webhook.id }),
+        );
+        if (isRemoved(status)) {
+          removedWebhooks += 1;
+        } else {
+          failures.push(`webhook ${webhook.id}: ${status}`);
+        }
+      }
+    }
+
+    const removedUsernames = [];
+    for (const username of usernames) {
+      const status = await this._getStatus(
+        this._particle.delete(
+          `/v1/users/${encodeURIComponent(username)}`,
+          undefined,
+          this._accounts.getAccessToken(username),
+        ),
+      );
+      if (isRemoved(status)) {
+        removedUsernames.push(username);
+      } else {
+        failures.push(`user ${username}: ${status}`);
+      }
+    }
+    this._accounts.remove(this._server, removedUsernames);
+    this._productIDs.clear();
+
+    let prunedKeys = 0;
+    if (pruneKeys) {
+      this._registry.getUnregisteredDeviceIDs().forEach((deviceID) => {
+        DeviceKeys.remove(deviceID);
+        this._registry.remove(deviceID);
+        prunedKeys += 1;
+      });
+      this._registry.save();
+      this._existingDeviceIDs = this._registry.getDeviceIDs();
+    }
+
+    const result = {
+      failures,
+      prunedKeys,
+      removedDevices,
+      removedUsers: removedUsernames.length,
+      removedWebhooks,
+    };
+    this._cleanupResult = result;
+
+    console.log(
+      `Removed ${removedDevices} devices, ${removedWebhooks} webhooks and ` +
+        `${removedUsernames.length} users from ${this._server}` +
+        (pruneKeys ? ` and pruned ${prunedKeys} local keys` : ''),
+    );
+    failures.forEach((failure) =>
+      console.error(chalk.red(`Could not remove ${failure}`)),
+    );
+    return result;
+  };
+
+  // Has another account call a function, read a variable and open the event
+  // stream of each device. spark-server should refuse all of them, any that
+  // goes through is a hole in its authorization.
+  crossAccount = async ({
+    devices = DEFAULT_CROSS_ACCOUNT_DEVICES,
+  }: CrossAccountOptions): Promise<CrossAccountResult> => {
+    const usernames = this._accounts.getUsernames();
+    if (usernames.length < 2) {
+      throw new Error('crossAccount needs at least 2 accounts');
+    }
+
+    const targets = this._devices
+      .filter((device) => device.getIsDescribed())
+      .slice(0, devices);
+    if (!targets.length) {
+      throw new Error('crossAccount needs connected devices');
+    }
+
+    const startTime = Date.now();
+    const failures = [];
+    const statuses = {};
+    let denied = 0;
+    let requests = 0;
+    for (const device of targets) {
+      const deviceID = device.getDeviceID();
+      const registration = this._registry.getRegistration(
+        deviceID,
+        this._server,
+      );
+      const owner =
+        (registration && registration.owner) ||
+        this._accounts.getDefaultUsername();
+      const caller = this._pickRandom(
+        usernames.filter((username) => username !== owner),
+      );
+      if (!caller) {
+        continue;
+      }
+
+      for (const request of CROSS_ACCOUNT_REQUESTS) {
+        const fakePromise = this._sendCrossAccountRequest(
+          request,
+          this._accounts.getAccessToken(caller),
+          device,
+        );
+        if (!fakePromise) {
+          continue;
+        }
+
+        const status = await new Promise((resolve) =>
+          fakePromise.then(
+            (response) => {
+              // Event streams stay open until they're aborted
+              if (response && typeof response.abort === 'function') {
+                response.abort();
+              }
+              resolve('ok');
+            },
+            (error) =>
+              resolve(error.statusCode ? String(error.statusCode) : 'network'),
+          ),
+        );
+        requests += 1;
+        statuses[status] = (statuses[status] || 0) + 1;
+        if (status === 'ok') {
+          failures.push({ caller, deviceID, owner, request });
+          console.error(
+            chalk.red(
+              `Security failure: ${caller} got the ${request} of ` +
+                `${deviceID}, which belongs to ${owner}`,
+            ),
+          );
+        } else if (DENIED_STATUSES.indexOf(status) >= 0) {
+          denied += 1;
+        }
+      }
+    }
+
+    const result = {
+      denied,
+      durationMs: Date.now() - startTime,
+      failures,
+      passed: !failures.length,
+      requests,
+      statuses,
+    };
+    console.log(
+      (result.passed ? chalk.green : chalk.red)(
+        `Cross-account checks: ${denied} of ${requests} requests refused, ` +
+          `${failures.length} went through`,
+      ),
+    );
+
+    this._crossAccountResults = this._crossAccountResults.concat([result]);
+    return result;
+  };
+
+  startLoad = (action: LoadAction): void => {
+    if (this._loadIntervals[action]) {
+      return;
+    }
+
+    switch (action) {
+      case 'functions': {
+        this._loadIntervals[action] = this._runServerAction(
+          this._callFunction,
+        );
+        break;
+      }
+
+      case 'variables': {
+        this._loadIntervals[action] = this._runServerAction(
+          this._getVariable,
+        );
+        break;
+      }
+
+      case 'webhooks': {
+        this._loadIntervals[action] = this._runServerAction(
+          this._sendWebhook,
+        );
+        break;
+      }
+
+      default: {
+        throw new Error(`Unknown load action ${action}`);
+      }
+    }
+  };
+
+  // Sends requests at `rate` per second picked by the weights in `mix`.
+  // Calling it again while it runs changes the settings.
+  startRateLoad(settings: LoadSettings): void {
+    if (this._loadGenerator) {
+      this._loadGenerator.update(settings);
+      return;
+    }
+
+    const loadGenerator = new LoadGenerator(settings, this._runLoadAction);
+    loadGenerator.start();
+    this._loadGenerator = loadGenerator;
+  }
+
+  stopLoad(): void {
+    Object.keys(this._loadIntervals).forEach((action) =>
+      clearInterval(this._loadIntervals[action]),
+    );
+    this._loadIntervals = {};
+
+    const loadGenerator = this._loadGenerator;
+    if (loadGenerator) {
+      loadGenerator.stop();
+      const { dropped, sent, skipped } = loadGenerator.getStats();
+      console.log(
+        `Rate load sent ${sent} requests, dropped ${dropped} over the ` +
+          `in-flight limit and skipped ${skipped} without a described device`,
+      );
+      this._loadStats = loadGenerator.getStats();
+      this._loadGenerator = null;
+    }
+  }
+
+  // Keeps starting and stopping devices, see ChurnGenerator. Calling it again
+  // while it runs changes the settings but not the device options.
+  startChurn(settings: ChurnSettings, options?: DeviceOptions = {}): void {
+    if (this._churnGenerator) {
+      this._churnGenerator.update(settings);
+      return;
+    }
+
+    const churnGenerator = new ChurnGenerator(settings, {
+      addDevices: (count: number) =>
+        this._startDevices(count, options).catch((error) =>
+          console.error(chalk.red(`Churn failed to add devices: ${error}`)),
+        ),
+      getDeviceCount: () => this._devices.length,
+      removeDevice: this._removeChurnDevice,
+    });
+    churnGenerator.start();
+    this._churnGenerator = churnGenerator;
+  }
+
+  stopChurn(): void {
+    const churnGenerator = this._churnGenerator;
+    if (!churnGenerator) {
+      return;
+    }
+
+    churnGenerator.stop();
+    const { added, exits } = churnGenerator.getStats();
+    console.log(
+      `Churn added ${added} devices and removed ${exits.graceful} ` +
+        `gracefully, ${exits.handshake} mid-handshake, ${exits.halfOpen} ` +
+        `half-open and reconnected ${exits.duplicate} under a live session`,
+    );
+    this._churnStats = churnGenerator.getStats();
+    this._churnGenerator = null;
+  }
+
+  isChurnRunning(): boolean {
+    return !!this._churnGenerator;
+  }
+
+  getChurnStats(): ?ChurnStats {
+    return this._churnGenerator
+      ? this._churnGenerator.getStats()
+      : this._churnStats;
+  }
+
+  // Half-open and duplicate sessions only mean something for devices that
+  // have one
+  _removeChurnDevice = (exit: ChurnExit, halfOpenTime: number): boolean => {
+    const device = this._pickRandom(
+      exit === 'graceful' || exit === 'handshake'
+        ? this._devices
+        : this._devices.filter((item) => item.getIsConnected()),
+    );
+    if (!device) {
+      return false;
+    }
+
+    switch (exit) {
+      case 'duplicate': {
+        device.reconnectWhileAlive(halfOpenTime);
+        return true;
+      }
+
+      case 'graceful': {
+        device.disconnect();
+        break;
+      }
+
+      case 'halfOpen': {
+        device.goSilent(halfOpenTime);
+        break;
+      }
+
+      case 'handshake': {
+        device.abortHandshake();
+        break;
+      }
+    }
+
+    this._removeDevice(device);
+    return true;
+  };
+
+  // Publishes from every connected device, including ones started later. The
+  // fleet workers publish from their own devices.
+  startEvents(events: Array<EventSpec>): void {
+    this.stopEvents();
+    const coordinator = this._coordinator;
+    if (coordinator) {
+      coordinator.startEvents(events);
+      return;
+    }
+
+    const eventGenerator = new EventGenerator(events, () =>
+      this._devices.reduce(
+        (devices, device) =>
+          device instanceof TCPDevice ? devices.concat([device]) : devices,
+        [],
+      ),
+    );
+    eventGenerator.start();
+    this._eventGenerator = eventGenerator;
+  }
+
+  stopEvents(): void {
+    if (this._coordinator) {
+      this._coordinator.stopEvents();
+    }
+
+    const eventGenerator = this._eventGenerator;
+    if (eventGenerator) {
+      eventGenerator.stop();
+      console.log(`Published ${eventGenerator.getPublishedCount()} events`);
+      this._eventGenerator = null;
+    }
+  }
+
+  // Ends the fleet workers, stop the devices first
+  shutdown(): void {
+    if (this._coordinator) {
+      this._coordinator.stop();
+    }
+    if (this._webhookReceiver) {
+      this._webhookReceiver.stop();
+    }
+  }
+
+  // The receiver has to know about the publish before its request can arrive
+  _sendWebhook = (device: VirtualDevice): void => {
+    if (!device.getIsDescribed()) {
+      return;
+    }
+
+    const webhookReceiver = this._webhookReceiver;
+    device.sendWebhook(
+      webhookReceiver ? webhookReceiver.expect(device.getDeviceID()) : null,
+    );
+  };
+
+  _runLoadAction = (action: LoadAction): ?Promise<mixed> => {
+    const now = Date.now();
+    if (now - this._connectedDevices.updatedAt > CONNECTED_CACHE_TIME) {
+      // Calls to devices the server hasn't got the describe for yet fail
+      this._connectedDevices = {
+        devices: this._devices.filter((device) => device.getIsDescribed()),
+        updatedAt: now,
+      };
+    }
+
+    const device = this._pickRandom(this._connectedDevices.devices);
+    if (!device) {
+      return null;
+    }
+
+    switch (action) {
+      case 'functions': {
+        return this._callFunction(device);
+      }
+
+      case 'variables': {
+        return this._getVariable(device);
+      }
+
+      default: {
+        // Publishes don't wait for anything so they're never in flight
+        this._sendWebhook(device);
+        return Promise.resolve();
+      }
+    }
+  };
+
+  // Runs server actions with 10% of devices
+  _runServerAction(callback: (device: VirtualDevice) => *): number {
+    if (!this._devices.length) {
+      console.log();
+      console.log(chalk.red("You don't have any devices running. Start some"));
+      return 0;
+    }
+
+    const callAction = () => {
+      let devices = this._devices.filter((device) => device.getIsDescribed());
+      devices = devices.slice(0, Math.ceil(devices.length * 0.1));
+      devices.forEach((device) =>
+        setTimeout(() => callback(device), Math.random() * LOAD_INTERVAL),
+      );
+    };
+
+    callAction();
+    return setInterval(callAction, LOAD_INTERVAL);
+  }
+
+  // Names come from the profile the device described so calls always target
+  // something that exists. Every call gets its own argument so the result
+  // tells which call it belongs to.
+  _callFunction = (device: VirtualDevice): ?Promise<*> => {
+    const profile = device.getProfile();
+    const functionName = this._pickRandom(profile.functions);
+    if (!functionName) {
+      return null;
+    }
+
+    const deviceID = device.getDeviceID();
+    const argument = String(Math.floor(Math.random() * 0x7fffffff));
+    const specs = (profile.handlers && profile.handlers.functions) || {};
+    const expected = DeviceHandlers.getExpectedFunctionValue(
+      specs[functionName],
+      argument,
+      { deviceID, name: functionName },
+    );
+    if (expected != null) {
+      this._addRecentFunctionCall(expected, deviceID);
+    }
+
+    const stats = this._functionCheckStats;
+    return this._measure(
+      'function',
+      this._particle.callFunction({
+        auth: this._getAccessToken(deviceID),
+        deviceId: deviceID,
+        name: functionName,
+        argument,
+      }),
+      (status: string) => {
+        if (DROPPED_STATUSES.indexOf(status) >= 0) {
+          stats.dropped += 1;
+        } else {
+          stats.failed += 1;
+        }
+      },
+      (response: Object) => {
+        if (expected == null) {
+          stats.unchecked += 1;
+          return null;
+        }
+
+        const actual = response.body.return_value;
+        if (actual === expected) {
+          stats.correct += 1;
+          return null;
+        }
+
+        // spark-server mixing up CoAP tokens shows up as another device's
+        // result
+        const call = this._recentFunctionCalls.get(actual);
+        const isWrongDevice = !!call && call.deviceID !== deviceID;
+        if (isWrongDevice) {
+          stats.wrongDevice += 1;
+        } else {
+          stats.mismatched += 1;
+        }
+
+        return (
+          `${deviceID} should have returned ${expected} for ${functionName}` +
+          `(${argument}) but the server returned ${JSON.stringify(actual)}` +
+          (call && isWrongDevice
+            ? `, which was meant for ${call.deviceID}`
+            : '')
+        );
+      },
+    );
+  };
+
+  _addRecentFunctionCall(value: number, deviceID: string): void {
+    const now = Date.now();
+    for (const [key, call] of this._recentFunctionCalls) {
+      if (call.calledAt >= now - RECENT_FUNCTION_CALL_TIME) {
+        break;
+      }
+      this._recentFunctionCalls.delete(key);
+    }
+
+    // Moves it to the end so the oldest stay first
+    this._recentFunctionCalls.delete(value);
+    this._recentFunctionCalls.set(value, { calledAt: now, deviceID });
+  }
+
+  _getVariable = (device: VirtualDevice): ?Promise<*> => {
+    const variableName = this._pickRandom(
+      Object.keys(device.getProfile().variables),
+    );
+    if (!variableName) {
+      return null;
+    }
+
+    const startTime = Date.now();
+    return this._measure(
+      'variable',
+      this._particle.getVariable({
+        auth: this._getAccessToken(device.getDeviceID()),
+        deviceId: device.getDeviceID(),
+        name: variableName,
+      }),
+    ).then((response) => {
+      if (!response) {
+        return;
+      }
+
+      // Catches the server decoding the wire format into the wrong value. The
+      // reply has to be one of the values sent while the read was in flight,
+      // other reads of the variable may have gotten different ones.
+      const sent = device.getSentVariableValues(variableName, startTime);
+      const actual = response.body.result;
+      if (!sent || !sent.length || sent.indexOf(actual) >= 0) {
+        return;
+      }
+
+      this._metrics.recordMismatch('variable');
+      console.error(
+        `${device.getDeviceID()} sent ` +
+          `${sent.map((value) => JSON.stringify(value)).join(' or ')} for ` +
+          `${variableName} but the server returned ${JSON.stringify(actual)}`,
+      );
+    });
+  };
+
+  // Null when the device has nothing to try it on
+  _sendCrossAccountRequest(
+    request: CrossAccountRequest,
+    auth: string,
+    device: VirtualDevice,
+  ): ?Object {
+    const deviceId = device.getDeviceID();
+    const profile = device.getProfile();
+    switch (request) {
+      case 'events': {
+        return this._particle.getEventStream({ auth, deviceId });
+      }
+
+      case 'function': {
+        const name = profile.functions[0];
+        return name
+          ? this._particle.callFunction({ argument: '', auth, deviceId, name })
+          : null;
+      }
+
+      case 'variable': {
+        const name = Object.keys(profile.variables)[0];
+        return name
+          ? this._particle.getVariable({ auth, deviceId, name })
+          : null;
+      }
+
+      default: {
+        return null;
+      }
+    }
+  }
+
+  _pickRandom<TItem>(items: Array<TItem>): ?TItem {
+    return items.length
+      ? items[Math.floor(Math.random() * items.length)]
+      : null;
+  }
+
+  _login = async (config: Config): Promise<void> => {
+    this._particle = new Particle({
+      ...PARTICLE_API_CONFIG,
+      baseUrl: config.apiUrl,
+    });
+
+    // Users that don't exist yet get created
+    for (const credentials of this._accounts.load(this._server)) {
+      const login = () => this._promise(this._particle.login(credentials));
+      let loginData = null;
+      try {
+        loginData = await login();
+      } catch (error) {}
+
+      if (!loginData) {
+        await this._promise(this._particle.createUser(credentials));
+        loginData = await login();
+      }
+
+      if (!loginData) {
+        throw new Error(
+          `Could not log in to ${config.apiUrl} as ${credentials.username}`,
+        );
+      }
+
+      this._accounts.setAccessToken(
+        credentials.username,
+        loginData.body.access_token,
+      );
+    }
+  };
+
+  // Webhooks only fire for the owner's devices so every account gets one
+  _setupWebhooks = async (config: Config): Promise<void> => {
+    for (const username of this._accounts.getUsernames()) {
+      await this._setupWebhook(config, this._accounts.getAccessToken(username));
+    }
+  };
+
+  _setupWebhook = async (config: Config, auth: string): Promise<void> => {
+    const webhooks = await this._promise(this._particle.listWebhooks({ auth }));
+
+    if (webhooks && webhooks.body.length) {
+      const promises = webhooks.body.map((webhook) =>
+        this._promise(
+          this._particle.deleteWebhook({
+            auth,
+            hookId: webhook.id,
+          }),
+        ),
+      );
+      await Promise.all(promises);
+    }
+
+    const webhookReceiver = this._webhookReceiver;
+    await this._promise(
+      this._particle.createWebhook({
+        ...testWebhook,
+        auth,
+        url: webhookReceiver
+          ? webhookReceiver.getUrl()
+          : `${config.apiUrl}/v1/ping`,
+      }),
+    );
+  };
+
+  // Sends the public keys with an account's token, which claims the devices
+  // for it. The accounts take turns. Runs a few requests at a time instead of
+  // one by one.
+  _registerDevices = async (deviceIDs: Array<string>): Promise<void> => {
+    const queue = deviceIDs.slice();
+    const registerQueued = async (): Promise<void> => {
+      while (queue.length) {
+        const deviceID = queue.shift();
+        const username = this._accounts.getNextUsername();
+        const response = await this._promise(
+          this._particle.sendPublicKey({
+            auth: this._accounts.getAccessToken(username),
+            deviceId: deviceID,
+            key: DeviceKeys.getPublicKey(deviceID),
+          }),
+        );
+        if (response) {
+          this._registry.setRegistered(deviceID, this._server, username);
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: REGISTER_CONCURRENCY }, registerQueued),
+    );
+    this._registry.save();
+  };
+
+  // Finds the product by name, or creates it for the profile's platform
+  _getProduct = async (
+    spec: ProductSpec,
+    profile: DeviceProfile,
+  ): Promise<ProductIdentity> => {
+    const name = typeof spec === 'string' ? spec : spec.name;
+    const firmwareVersion =
+      typeof spec === 'string' ? 1 : spec.firmwareVersion || 1;
+    const cachedID = this._productIDs.get(name);
+    if (cachedID != null) {
+      return { firmwareVersion, id: cachedID };
+    }
+
+    const auth = this._accounts.getAccessToken();
+    const products = await this._promise(this._particle.listProducts({ auth }));
+    let product = ((products && products.body.products) || []).find(
+      (item) => item.name === name,
+    );
+    if (!product) {
+      const response = await this._promise(
+        this._particle.post(
+          '/v1/products',
+          {
+            product: {
+              description: 'Created by particle-collider',
+              hardware_version: 'v1',
+              name,
+              platform_id: profile.platformID,
+              type: 'Consumer',
+            },
+          },
+          auth,
+        ),
+      );
+      product = response && (response.body.product || response.body);
+      if (!product || product.id == null) {
+        throw new Error(`Could not create product ${name}`);
+      }
+      console.log(chalk.green(`Created product ${name} (${product.id})`));
+    }
+
+    const id = parseInt(product.id, 10);
+    this._productIDs.set(name, id);
+    return { firmwareVersion, id };
+  };
+
+  // Same as _registerDevices but for the product's device list
+  _addDevicesToProduct = async (
+    productID: number,
+    deviceIDs: Array<string>,
+  ): Promise<void> => {
+    const queue = deviceIDs.slice();
+    const addQueued = async (): Promise<void> => {
+      while (queue.length) {
+        const deviceID = queue.shift();
+        const response = await this._promise(
+          this._particle.addDeviceToProduct({
+            auth: this._accounts.getAccessToken(),
+            deviceId: deviceID,
+            product: productID,
+          }),
+        );
+        if (response) {
+          this._productDeviceIDs.add(deviceID);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: REGISTER_CONCURRENCY }, addQueued));
+  };
+
+  // The token of whoever the device is claimed by
+  _getAccessToken(deviceID: string): string {
+    const registration = this._registry.getRegistration(deviceID, this._server);
+    return this._accounts.getAccessToken(registration && registration.owner);
+  }
+
+  _setServerKey(config: Config): void {
+    const keyString = fs.readFileSync(config.serverKeyPath, 'utf8');
+    CryptoManager.setServerKey(keyString);
+  }
+
+  // Resolves true once `isDone` is, or false if the timeout passes first
+  _waitFor = (isDone: () => boolean, timeout: number): Promise<boolean> =>
+    new Promise((resolve) => {
+      const startTime = Date.now();
+      const check = () => {
+        if (isDone()) {
+          resolve(true);
+        } else if (Date.now() - startTime >= timeout) {
+          resolve(false);
+        } else {
+          setTimeout(check, CONNECTED_POLL_INTERVAL);
+        }
+      };
+      check();
+    });
+
+  _sleep = async (time: number): Promise<void> =>
+    new Promise((resolve) => setTimeout(resolve, time));
+
+  // Same as _promise but records how long the request took, or that it failed
+  // and with which status. `check` says what's wrong with a reply, a wrong
+  // reply counts as a mismatch and an error instead of a sample.
+  _measure(
+    operation: Operation,
+    fakePromise: Object,
+    onError?: (status: string) => void,
+    check?: (result: Object) => ?string,
+  ): Promise<*> {
+    const startTime = Date.now();
+    return new Promise((resolve, reject): void => {
+      fakePromise.then(resolve, reject);
+    }).then(
+      (result) => {
+        const duration = Date.now() - startTime;
+        this._metrics.recordStatus(operation, String(result.statusCode));
+        const mismatch = check ? check(result) : null;
+        if (mismatch) {
+          this._metrics.recordMismatch(operation);
+          this._metrics.recordError(operation, mismatch);
+          console.error(mismatch);
+          return null;
+        }
+
+        this._metrics.record(operation, duration);
+        return result;
+      },
+      (error) => {
+        const status = error.statusCode ? String(error.statusCode) : 'network';
+        this._metrics.recordStatus(operation, status);
+        if (onError) {
+          onError(status);
+        }
+        this._metrics.recordError(
+          operation,
+          error.errorDescription || error.message,
+        );
+        console.error(error.errorDescription, error.error);
+      },
+    );
+  }
+
+  // 'ok', the HTTP status of the error or 'network' when there wasn't one
+  _getStatus(fakePromise: Object): Promise<string> {
+    return new Promise((resolve) =>
+      fakePromise.then(
+        () => resolve('ok'),
+        (error) =>
+          resolve(error.statusCode ? String(error.statusCode) : 'network'),
+      ),
+    );
+  }
+
+  _promise(fakePromise: Object): Promise<*> {
+    return new Promise((resolve, reject): void => {
+      fakePromise.then(resolve, reject);
+    }).catch((error) => console.error(error.errorDescription, error.error));
+  }
+}
+
+export default ScenarioEngine;
@@ -0,0 +1,361 @@
+// @flow
+
+import chalk from 'chalk';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+import { OPERATIONS } from '../lib/MetricsCollector';
+import PrometheusMetrics from '../lib/PrometheusMetrics';
+
+import type { ChurnStats } from '../lib/ChurnGenerator';
+import type { DevicePhase } from '../devices/TCPDevice';
+import type { LoadStats } from '../lib/LoadGenerator';
+import type { OperationStats, RecordedError } from '../lib/MetricsCollector';
+import type ScenarioEngine, { ScenarioStep } from '../ScenarioEngine';
+
+// What the page gets over /events every SNAPSHOT_INTERVAL
+export type DashboardSnapshot = {
+  at: number,
+  // Per second since the last snapshot
+  connectRate: number,
+  // Added and removed devices while churn is running
+  churn: ?ChurnStats,
+  devices: {
+    claimed: number,
+    connected: number,
+    count: number,
+    phases: { [phase: DevicePhase]: number },
+  },
+  disconnectRate: number,
+  errors: Array<RecordedError>,
+  isLoadRunning: boolean,
+  load: ?LoadStats,
+  operations: { [operation: string]: OperationStats },
+  workers: number,
+};
+
+// The menu options, run with POST /actions/<name>
+type DashboardAction =
+  | 'chaos'
+  | 'createDevices'
+  | 'functions'
+  | 'rate'
+  | 'reconnectStorm'
+  | 'stopChurn'
+  | 'stopDevices'
+  | 'stopLoad'
+  | 'variables'
+  | 'webhooks';
+
+export type DashboardOptions = {
+  // Only this machine can reach the dashboard when not set
+  host?: ?string,
+  port: number,
+};
+
+export const DEFAULT_DASHBOARD_PORT = 3000;
+// Actions aren't authenticated so the page stays private unless asked for
+const DEFAULT_DASHBOARD_HOST = '127.0.0.1';
+// Names a browser on this machine may use for the dashboard
+const LOOPBACK_HOSTS = ['127.0.0.1', '[::1]', 'localhost'];
+// Bound to every interface, any of the machine's names can reach it
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+const PAGE_PATH = path.join(__dirname, 'index.html');
+const SNAPSHOT_INTERVAL = 1000;
+const SNAPSHOT_ERROR_COUNT = 20;
+
+/**
+ * Serves a page at http://localhost:<port> that follows the engine live over
+ * server-sent events and can run the same actions as the menu. Actions answer
+ * right away, their outcome comes back as an `action` event.
+ *
+ * Prometheus can scrape the same port at /metrics.
+ */
+class DashboardServer {
+  _clients: Set<http.ServerResponse> = new Set();
+  _engine: ScenarioEngine;
+  _host: string;
+  _interval: ?number = null;
+  _last: { at: number, connects: number, disconnects: number };
+  _port: number;
+  _server: http.Server;
+
+  constructor(engine: ScenarioEngine, { host, port }: DashboardOptions) {
+    this._engine = engine;
+    this._host = host || DEFAULT_DASHBOARD_HOST;
+    this._port = port;
+    this._last = this._getCounts();
+    this._server = http.createServer(this._onRequest);
+  }
+
+  start(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.once('listening', () => {
+        this._interval = setInterval(this._broadcast, SNAPSHOT_INTERVAL);
+        console.log(
+          chalk.green(
+            `Dashboard running at http://${this._host}:${this._port}`,
+          ),
+        );
+        resolve();
+      });
+      this._server.listen(this._port, this._host);
+    });
+  }
+
+  stop(): Promise<void> {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    // Event streams never end by themselves so close() would wait forever
+    this._clients.forEach((client) => client.end());
+    this._clients.clear();
+    return new Promise((resolve) => this._server.close(() => resolve()));
+  }
+
+  _onRequest = (
+    request: http.IncomingMessage,
+    response: http.ServerResponse,
+  ) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      const { method } = request;
+      const url = request.url.split('?')[0];
+      if (method === 'GET' && url === '/') {
+        response.writeHead(200, { 'Content-Type': 'text/html' });
+        fs.createReadStream(PAGE_PATH).pipe(response);
+        return;
+      }
+
+      if (method === 'GET' && url === '/metrics') {
+        response.writeHead(200, {
+          'Content-Type': 'text/plain; version=0.0.4',
+        });
+        response.end(PrometheusMetrics.render(this._engine));
+        return;
+      }
+
+      if (method === 'GET' && url === '/events') {
+        this._addClient(response);
+        return;
+      }
+
+      const match = url.match(/^\/actions\/(\w+)$/);
+      if (method === 'POST' && match) {
+        const rejection = this._getActionRejection(request);
+        if (rejection) {
+          this._respond(response, rejection.status, { error: rejection.error });
+          return;
+        }
+
+        this._onAction(match[1], Buffer.concat(chunks), response);
+        return;
+      }
+
+      this._respond(response, 404, { error: 'Not found' });
+    });
+  };
+
+  _addClient(response: http.ServerResponse): void {
+    response.writeHead(200, {
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Content-Type': 'text/event-stream',
+    });
+    this._clients.add(response);
+    response.on('close', () => this._clients.delete(response));
+    this._sendEvent(response, 'snapshot', this._getSnapshot(false));
+  }
+
+  // Any page open in the browser can POST here. Requiring JSON makes the
+  // browser ask first with a preflight that never gets an answer, and the
+  // Host and Origin checks turn away pages on other origins and DNS
+  // rebinding.
+  _getActionRejection(
+    request: http.IncomingMessage,
+  ): ?{ error: string, status: number } {
+    const contentType = String(request.headers['content-type'] || '');
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+    if (mediaType !== 'application/json') {
+      return { error: 'Actions need a JSON body', status: 415 };
+    }
+
+    const host = String(request.headers.host || '').toLowerCase();
+    const { origin } = request.headers;
+    if (!this._isOwnHost(host) || (origin && origin !== `http://${host}`)) {
+      return { error: 'Actions only come from the dashboard', status: 403 };
+    }
+
+    return null;
+  }
+
+  _isOwnHost(host: string): boolean {
+    if (WILDCARD_HOSTS.indexOf(this._host) >= 0) {
+      return !!host;
+    }
+
+    const ownHost =
+      this._host.indexOf(':') >= 0 ? `[${this._host}]` : this._host;
+    // Browsers leave out the default port
+    return LOOPBACK_HOSTS.concat([ownHost.toLowerCase()]).some(
+      (name) =>
+        host === `${name}:${this._port}` ||
+        (this._port === 80 && host === name),
+    );
+  }
+
+  _onAction(name: string, body: Buffer, response: http.ServerResponse): void {
+    let step = null;
+    try {
+      const options = body.length ? JSON.parse(body.toString()) : {};
+      step = this._getStep((name: any), options);
+    } catch (error) {
+      this._respond(response, 400, { error: error.message });
+      return;
+    }
+
+    this._respond(response, 202, { ok: true });
+    this._engine.runStep(step).then(
+      () => this._broadcastEvent('action', { action: name, error: null }),
+      (error) => {
+        console.error(chalk.red(`Dashboard ${name} failed: ${error.message}`));
+        this._broadcastEvent('action', { action: name, error: error.message });
+      },
+    );
+  }
+
+  // Throws for bad input so it can be rejected before anything runs
+  _getStep(action: DashboardAction, options: Object): ScenarioStep {
+    const getNumber = (key: string): number => {
+      const value = parseFloat(options[key]);
+      if (isNaN(value) || value < 0) {
+        throw new Error(`${action} needs a "${key}"`);
+      }
+      return value;
+    };
+
+    switch (action) {
+      case 'createDevices': {
+        return { count: Math.floor(getNumber('count')), type: 'createDevices' };
+      }
+
+      case 'stopDevices': {
+        return { count: Math.floor(getNumber('count')), type: 'stopDevices' };
+      }
+
+      case 'functions': {
+        return { actions: ['functions'], type: 'startLoad' };
+      }
+
+      case 'variables': {
+        return { actions: ['variables'], type: 'startLoad' };
+      }
+
+      case 'webhooks': {
+        return { actions: ['webhooks'], type: 'startLoad' };
+      }
+
+      // Changes the rate when a rate load is running already
+      case 'rate': {
+        return {
+          actions: ['functions', 'variables', 'webhooks'],
+          rate: getNumber('rate'),
+          type: 'startLoad',
+        };
+      }
+
+      case 'chaos': {
+        return { type: 'chaos' };
+      }
+
+      case 'reconnectStorm': {
+        return { type: 'reconnectStorm' };
+      }
+
+      case 'stopLoad': {
+        return { type: 'stopLoad' };
+      }
+
+      case 'stopChurn': {
+        return { type: 'stopChurn' };
+      }
+
+      default: {
+        throw new Error(`Unknown action ${action}`);
+      }
+    }
+  }
+
+  _broadcast = (): void => {
+    if (this._clients.size) {
+      this._broadcastEvent('snapshot', this._getSnapshot(true));
+    }
+  };
+
+  _broadcastEvent(event: string, data: Object): void {
+    this._clients.forEach((client) => this._sendEvent(client, event, data));
+  }
+
+  _sendEvent(response: http.ServerResponse, event: string, data: Object) {
+    response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  _respond(response: http.ServerResponse, status: number, body: Object) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }
+
+  // Rates are measured from the previous snapshot, which only moves on when
+  // `isTick` so a new page doesn't reset them for everyone else
+  _getSnapshot(isTick: boolean): DashboardSnapshot {
+    const engine = this._engine;
+    const metrics = engine.getMetrics();
+    const counts = this._getCounts();
+    const seconds = Math.max(0.001, (counts.at - this._last.at) / 1000);
+    const getRate = (key: 'connects' | 'disconnects') =>
+      Math.max(0, counts[key] - this._last[key]) / seconds;
+
+    const operations = {};
+    OPERATIONS.forEach((operation) => {
+      operations[operation] = metrics.getStats(operation);
+    });
+
+    const snapshot = {
+      at: counts.at,
+      churn: engine.isChurnRunning() ? engine.getChurnStats() : null,
+      connectRate: getRate('connects'),
+      devices: {
+        claimed: engine.getClaimedDeviceCount(),
+        connected: engine.getConnectedDeviceCount(),
+        count: engine.getDeviceCount(),
+        phases: engine.getPhaseCounts(),
+      },
+      disconnectRate: getRate('disconnects'),
+      errors: metrics.getRecentErrors().slice(-SNAPSHOT_ERROR_COUNT),
+      isLoadRunning: engine.isLoadRunning(),
+      load: engine.getLoadStats(),
+      operations,
+      workers: engine.getWorkerCount(),
+    };
+
+    if (isTick) {
+      this._last = counts;
+    }
+    return snapshot;
+  }
+
+  _getCounts(): { at: number, connects: number, disconnects: number } {
+    return {
+      at: Date.now(),
+      connects: this._engine.getMetrics().getStats('connect').count,
+      disconnects: this._engine.getDeviceStats().disconnects,
+    };
+  }
+}
+
+export default DashboardServer;
@@ -0,0 +1,418 @@
+// @flow
+
+import CoapPacket from 'coap-packet';
+import net from 'net';
+
+import SeededRandom from '../lib/SeededRandom';
+import TCPDevice, { CONNECTED_EVENT } from './TCPDevice';
+
+import type { DeviceEndpoint } from '../lib/EndpointSelector';
+import type { NetworkProfile } from '../lib/NetworkProfiles';
+
+export type FuzzMutation =
+  | 'bad-length-prefix'
+  | 'bad-nonce'
+  | 'garbage-ciphertext'
+  | 'garbage-handshake'
+  | 'garbage-plaintext'
+  | 'invalid-coap'
+  | 'oversized-handshake'
+  | 'ping-flood'
+  | 'truncated-handshake'
+  | 'unknown-uri';
+
+// dropped: the server closed the connection
+// handled: the connection stayed up and the server still answers pings
+// hung: the connection stayed up but the server stopped answering
+// crashed: the server stopped accepting connections
+export type FuzzOutcome = 'crashed' | 'dropped' | 'handled' | 'hung';
+
+export type FuzzResult = {
+  detail: string,
+  durationMs: number,
+  mutation: FuzzMutation,
+  outcome: FuzzOutcome,
+  seed: number,
+};
+
+type FuzzDeviceOptions = {
+  deviceID: ?string,
+  endpoint: DeviceEndpoint,
+  mutation: FuzzMutation,
+  network?: NetworkProfile,
+  seed: number,
+};
+
+export const FUZZ_MUTATIONS: Array<FuzzMutation> = [
+  'bad-length-prefix',
+  'bad-nonce',
+  'garbage-ciphertext',
+  'garbage-handshake',
+  'garbage-plaintext',
+  'invalid-coap',
+  'oversized-handshake',
+  'ping-flood',
+  'truncated-handshake',
+  'unknown-uri',
+];
+
+const HANDSHAKE_MUTATIONS = [
+  'bad-nonce',
+  'garbage-handshake',
+  'oversized-handshake',
+  'truncated-handshake',
+];
+const KNOWN_URI_TYPES = ['d', 'e', 'E', 'f', 'h', 'v'];
+// Lets hello, describe and subscriptions finish before breaking things
+const SETTLE_TIME = 1000;
+const PROBE_TIMEOUT = 5000;
+
+/**
+ * A device that connects like any other and then sends one kind of malformed
+ * traffic. Every byte it makes up comes from a PRNG seeded with `seed`, so a
+ * failing case can be replayed with the same mutation and seed.
+ */
+class FuzzDevice extends TCPDevice {
+  _closedAt: ?number = null;
+  _mutation: FuzzMutation;
+  _random: SeededRandom;
+  _seed: number;
+
+  constructor({ mutation, seed, ...options }: FuzzDeviceOptions) {
+    super(options);
+
+    this._mutation = mutation;
+    this._random = new SeededRandom(seed);
+    this._seed = seed;
+  }
+
+  // Connects, sends the mutation and watches what the server does for up to
+  // `timeout` ms.
+  run = async (timeout: number): Promise<FuzzResult> => {
+    const startTime = Date.now();
+    let observation = { detail: '', outcome: 'hung' };
+    try {
+      observation = await this._observe(timeout);
+    } finally {
+      this.disconnect();
+    }
+
+    // A crash or a hang takes every device down, not just this one
+    let { detail, outcome } = observation;
+    const serverOutcome = await this._probeServer();
+    if (serverOutcome) {
+      outcome = serverOutcome;
+      detail +=
+        serverOutcome === 'crashed'
+          ? '. The server then refused connections'
+          : '. The server then stopped sending nonces to new connections';
+    }
+
+    return {
+      detail,
+      durationMs: Date.now() - startTime,
+      mutation: this._mutation,
+      outcome,
+      seed: this._seed,
+    };
+  };
+
+  _observe = async (
+    timeout: number,
+  ): Promise<{ detail: string, outcome: FuzzOutcome }> => {
+    this.connect();
+    const isHandshakeMutation =
+      HANDSHAKE_MUTATIONS.indexOf(this._mutation) >= 0;
+    let detail = '';
+    if (!isHandshakeMutation) {
+      if (!(await this._waitForSession(timeout))) {
+        return {
+          detail: 'Could not set up a session before sending the mutation',
+          outcome: this._closedAt ? 'dropped' : 'hung',
+        };
+      }
+      await this._sleep(SETTLE_TIME);
+      detail = this._sendMutation();
+    }
+
+    if (await this._waitForClose(timeout)) {
+      return { detail, outcome: 'dropped' };
+    }
+
+    // Nothing after a broken handshake can be answered
+    if (isHandshakeMutation) {
+      return { detail: 'The server kept the connection open', outcome: 'hung' };
+    }
+
+    return (await this._ping(timeout))
+      ? { detail, outcome: 'handled' }
+      : { detail: `${detail}. Pings went unanswered`, outcome: 'hung' };
+  };
+
+  // Whether anything still accepts device connections and sends a nonce
+  _probeServer(): Promise<?FuzzOutcome> {
+    return new Promise((resolve) => {
+      const socket = net.connect({
+        host: this._endpoint.host,
+        port: this._endpoint.port,
+      });
+      let timer = null;
+      const finish = (outcome: ?FuzzOutcome) => {
+        clearTimeout(timer);
+        socket.removeAllListeners();
+        socket.on('error', () => {});
+        socket.destroy();
+        resolve(outcome);
+      };
+      timer = setTimeout(() => finish('hung'), PROBE_TIMEOUT);
+      socket.on('data', () => finish(null));
+      socket.on('error', () => finish('crashed'));
+    });
+  }
+
+  _reconnect = (): void => {
+    // Fuzz devices never come back, the close is the result
+    if (this._closedAt == null) {
+      this._closedAt = Date.now();
+    }
+    this._disconnect();
+  };
+
+  _createHandshake(nonce: Buffer): Buffer {
+    const handshake = super._createHandshake(nonce);
+    if (HANDSHAKE_MUTATIONS.indexOf(this._mutation) < 0) {
+      return handshake;
+    }
+
+    // Whatever the server says next can't be decrypted so stop listening
+    this._socket.removeListener('data', this._onReadData);
+
+    switch (this._mutation) {
+      case 'garbage-handshake': {
+        return this._random.bytes(handshake.length);
+      }
+
+      case 'oversized-handshake': {
+        return Buffer.concat([
+          handshake,
+          this._random.bytes(this._random.nextInt(1, 1024)),
+        ]);
+      }
+
+      case 'truncated-handshake': {
+        return handshake.slice(
+          0,
+          this._random.nextInt(1, handshake.length - 1),
+        );
+      }
+
+      default: {
+        return handshake;
+      }
+    }
+  }
+
+  // The handshake has no device HMAC, echoing a tampered nonce is the
+  // device's equivalent of failing authentication.
+  _prepareDevicePublicKey(nonce: Buffer): Buffer {
+    const payload = super._prepareDevicePublicKey(nonce);
+    if (this._mutation === 'bad-nonce') {
+      const index = this._random.nextInt(0, nonce.length - 1);
+      payload[index] ^= this._random.nextInt(1, 255);
+    }
+    return payload;
+  }
+
+  // Returns a description of what was sent
+  _sendMutation(): string {
+    const random = this._random;
+    switch (this._mutation) {
+      case 'bad-length-prefix': {
+        // Straight to the socket so ChunkingStream can't fix the prefix
+        const payload = random.bytes(random.nextInt(1, 64));
+        const length = random.pick([
+          0,
+          1,
+          0xffff,
+          payload.length + random.nextInt(1, 256),
+          Math.max(0, payload.length - random.nextInt(1, 16)),
+        ]);
+        this._socket.write(
+          Buffer.concat([Buffer.from([length >> 8, length & 0xff]), payload]),
+        );
+        return `Length prefix ${length} for ${payload.length} bytes`;
+      }
+
+      case 'garbage-ciphertext': {
+        // Properly framed, but not encrypted with the session key
+        const payload = random.bytes(16 * random.nextInt(1, 8));
+        this._socket.write(
+          Buffer.concat([
+            Buffer.from([payload.length >> 8, payload.length & 0xff]),
+            payload,
+          ]),
+        );
+        return `${payload.length} random bytes instead of ciphertext`;
+      }
+
+      case 'garbage-plaintext': {
+        const payload = random.bytes(random.nextInt(1, 512));
+        this._cipherStream.write(payload);
+        return `${payload.length} random bytes instead of CoAP`;
+      }
+
+      case 'invalid-coap': {
+        const { description, packet } = this._createInvalidCoap();
+        this._cipherStream.write(packet);
+        return description;
+      }
+
+      case 'ping-flood': {
+        const count = random.nextInt(1000, 5000);
+        for (let ii = 0; ii < count; ii++) {
+          this._pingServer();
+        }
+        return `${count} pings`;
+      }
+
+      case 'unknown-uri': {
+        let uriType = '';
+        do {
+          uriType = random
+            .bytes(random.nextInt(1, 8))
+            .toString('base64')
+            .replace(/[^A-Za-z0-9]/g, '');
+        } while (!uriType || KNOWN_URI_TYPES.indexOf(uriType[0]) >= 0);
+
+        this._writeData(
+          CoapPacket.generate({
+            code: random.pick(['GET', 'POST', 'PUT', 'DELETE']),
+            confirmable: true,
+            messageId: this._nextMessageID(),
+            options: [{ name: 'Uri-Path', value: Buffer.from(uriType) }],
+            payload: random.bytes(random.nextInt(0, 64)),
+          }),
+          'Unknown',
+        );
+        return `Uri-Path ${uriType}`;
+      }
+
+      default: {
+        return '';
+      }
+    }
+  }
+
+  _createInvalidCoap(): { description: string, packet: Buffer } {
+    const random = this._random;
+    const messageID = this._nextMessageID();
+    const header = (byte: number, code: number): Array<number> => [
+      byte,
+      code,
+      messageID >> 8,
+      messageID & 0xff,
+    ];
+
+    switch (random.nextInt(0, 4)) {
+      case 0: {
+        const version = random.pick([0, 2, 3]);
+        return {
+          description: `CoAP version ${version}`,
+          packet: Buffer.from(header((version << 6) | (0 << 4), 0x02)),
+        };
+      }
+
+      case 1: {
+        // Token lengths 9-15 are reserved
+        const tokenLength = random.nextInt(9, 15);
+        return {
+          description: `Token length ${tokenLength}`,
+          packet: Buffer.concat([
+            Buffer.from(header(0x40 | tokenLength, 0x02)),
+            random.bytes(tokenLength),
+          ]),
+        };
+      }
+
+      case 2: {
+        // Delta 15 is only allowed as part of the 0xff payload marker
+        return {
+          description: 'Reserved option delta 15',
+          packet: Buffer.concat([
+            Buffer.from(header(0x40, 0x02).concat([0xf1])),
+            random.bytes(4),
+          ]),
+        };
+      }
+
+      case 3: {
+        const declaredLength = random.nextInt(13, 200);
+        return {
+          description: `Uri-Path option claiming ${declaredLength} bytes`,
+          packet: Buffer.concat([
+            Buffer.from(header(0x40, 0x02).concat([0xbd, declaredLength - 13])),
+            random.bytes(random.nextInt(0, declaredLength - 1)),
+          ]),
+        };
+      }
+
+      default: {
+        return {
+          description: 'Truncated header',
+          packet: Buffer.from(
+            header(0x40, 0x02).slice(0, random.nextInt(1, 3)),
+          ),
+        };
+      }
+    }
+  }
+
+  _waitForSession(timeout: number): Promise<boolean> {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(false), timeout);
+      this.on(CONNECTED_EVENT, () => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+    });
+  }
+
+  _waitForClose = async (timeout: number): Promise<boolean> => {
+    const startTime = Date.now();
+    while (this._closedAt == null && Date.now() - startTime < timeout) {
+      await this._sleep();
+    }
+    return this._closedAt != null;
+  };
+
+  _ping(timeout: number): Promise<boolean> {
+    return new Promise((resolve) => {
+      const messageID = this._nextMessageID();
+      const timer = setTimeout(() => {
+        this.removeEventListener('ACK', onAck);
+        resolve(false);
+      }, timeout);
+      const onAck = (packet: CoapPacket) => {
+        if (packet.messageId !== messageID) {
+          return;
+        }
+
+        clearTimeout(timer);
+        this.removeEventListener('ACK', onAck);
+        resolve(true);
+      };
+      this.on('ACK', onAck);
+
+      this._writeData(
+        CoapPacket.generate({
+          code: '0',
+          confirmable: true,
+          messageId: messageID,
+        }),
+        'Ping',
+      );
+    });
+  }
+}
+
+export default FuzzDevice;
@@ -0,0 +1,192 @@
+// @flow
+
+import EventEmitter from 'events';
+
+import {
+  CONNECTED_EVENT,
+  DESCRIBED_EVENT,
+  DISCONNECTED_EVENT,
+  PHASE_EVENT,
+  VARIABLE_VALUE_EVENT,
+} from './TCPDevice';
+
+import type { DevicePhase, PublishedEvent } from './TCPDevice';
+import SentVariableValues from '../lib/SentVariableValues';
+
+import type { DeviceProfile } from '../lib/DeviceProfiles';
+import type { WorkerCommand } from '../FleetWorker';
+
+type RemoteDeviceOptions = {
+  deviceID: string,
+  handle: number,
+  profile: DeviceProfile,
+  publicKey: string,
+  send: (command: WorkerCommand) => void,
+};
+
+/**
+ * Stands in for a TCPDevice that runs in a worker process. Calls are sent to
+ * the worker and the real device's events come back through `handleEvent`, so
+ * the engine can treat it like a local device.
+ */
+class RemoteDevice {
+  _deviceID: string;
+  _eventEmitter: EventEmitter = new EventEmitter();
+  _handle: number;
+  _isConnected: boolean = false;
+  _isDescribed: boolean = false;
+  _phase: DevicePhase = 'idle';
+  _profile: DeviceProfile;
+  _publicKey: string;
+  _send: (command: WorkerCommand) => void;
+  _sentVariableValues: SentVariableValues = new SentVariableValues();
+
+  constructor({
+    deviceID,
+    handle,
+    profile,
+    publicKey,
+    send,
+  }: RemoteDeviceOptions) {
+    this._deviceID = deviceID;
+    this._handle = handle;
+    this._profile = profile;
+    this._publicKey = publicKey;
+    this._send = send;
+  }
+
+  connect(): void {
+    this._send({ handle: this._handle, type: 'connect' });
+  }
+
+  getDeviceID(): string {
+    return this._deviceID;
+  }
+
+  getHandle(): number {
+    return this._handle;
+  }
+
+  getPublicKey(): string {
+    return this._publicKey;
+  }
+
+  getIsConnected(): boolean {
+    return this._isConnected;
+  }
+
+  getIsDescribed(): boolean {
+    return this._isDescribed;
+  }
+
+  getPhase(): DevicePhase {
+    return this._phase;
+  }
+
+  getProfile(): DeviceProfile {
+    return this._profile;
+  }
+
+  getSentVariableValues(name: string, since: number): ?Array<mixed> {
+    return this._sentVariableValues.getSince(name, since);
+  }
+
+  sendWebhook = (token?: ?string): void => {
+    this._send({ handle: this._handle, token, type: 'sendWebhook' });
+  };
+
+  publishEvent = (event: PublishedEvent): void => {
+    const { data, isPrivate, name, ttl } = event;
+    this._send({
+      data: data.toString('base64'),
+      handle: this._handle,
+      isPrivate,
+      name,
+      ttl,
+      type: 'publishEvent',
+    });
+  };
+
+  subscribe = (prefix: string): void => {
+    this._send({ handle: this._handle, prefix, type: 'subscribe' });
+  };
+
+  on = <TValue>(event: string, callback: (TValue) => void) =>
+    this._eventEmitter.on(event, callback);
+
+  removeEventListener = <TValue>(event: string, callback: (TValue) => void) =>
+    this._eventEmitter.removeListener(event, callback);
+
+  disconnect = (): void => {
+    this._stop();
+    this._send({ handle: this._handle, type: 'disconnect' });
+  };
+
+  dropConnection = (): void => {
+    this._send({ handle: this._handle, type: 'dropConnection' });
+  };
+
+  // Stops the device like disconnect() does, see TCPDevice
+  abortHandshake = (): void => {
+    this._stop();
+    this._send({ handle: this._handle, type: 'abortHandshake' });
+  };
+
+  goSilent = (halfOpenTime: number): void => {
+    this._stop();
+    this._send({ halfOpenTime, handle: this._handle, type: 'goSilent' });
+  };
+
+  reconnectWhileAlive = (halfOpenTime: number): void => {
+    this._send({
+      halfOpenTime,
+      handle: this._handle,
+      type: 'reconnectWhileAlive',
+    });
+  };
+
+  // The coordinator stops mirroring the device's events once it's stopped, so
+  // emit what the real device will
+  _stop(): void {
+    if (this._isConnected) {
+      this.handleEvent(DISCONNECTED_EVENT);
+    }
+    this.handleEvent(PHASE_EVENT, 'idle');
+  }
+
+  // Mirrors an event the device emitted in its worker
+  handleEvent(event: string, value?: mixed): void {
+    switch (event) {
+      case CONNECTED_EVENT: {
+        this._isConnected = true;
+        break;
+      }
+
+      case DESCRIBED_EVENT: {
+        this._isDescribed = true;
+        break;
+      }
+
+      case DISCONNECTED_EVENT: {
+        this._isConnected = false;
+        this._isDescribed = false;
+        break;
+      }
+
+      case PHASE_EVENT: {
+        this._phase = (value: any);
+        break;
+      }
+
+      case VARIABLE_VALUE_EVENT: {
+        const { name, value: variableValue } = (value: any);
+        this._sentVariableValues.add(name, variableValue);
+        break;
+      }
+    }
+
+    this._eventEmitter.emit(event, value);
+  }
+}
+
+export default RemoteDevice;
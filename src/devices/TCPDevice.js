@@ -2,26 +2,91 @@
 
 import CoapPacket from 'coap-packet';
 import EventEmitter from 'events';
-import fs from 'fs';
 import { Socket } from 'net';
 import NodeRSA from 'node-rsa';
-import path from 'path';
 
 import ChunkingStream from '../lib/ChunkingStream';
+import CoapCounter, { NO_URI_TYPE } from '../lib/CoapCounter';
 import CoapType from '../lib/CoapType';
 import CoapUriType from '../lib/CoapUriType';
 import CryptoManager from '../lib/CryptoManager';
 import CryptoStream from '../lib/CryptoStream';
-import NetworkThrottleStream from '../lib/NetworkThrottleStream';
+import DeviceHandlers from '../lib/DeviceHandlers';
+import DeviceKeys from '../lib/DeviceKeys';
+import DeviceProfiles from '../lib/DeviceProfiles';
+import NetworkThrottleStream, {
+  DROP_EVENT,
+} from '../lib/NetworkThrottleStream';
+import ReconnectPolicy from '../lib/ReconnectPolicy';
+import SentVariableValues from '../lib/SentVariableValues';
+import VariableCodec from '../lib/VariableCodec';
 import testWebhook from '../test-webhook.json';
 
-const DEVICE_KEY_LENGTH = 12;
+import type { DeviceHandler, HandlerResponse } from '../lib/DeviceHandlers';
+import type { DeviceProfile } from '../lib/DeviceProfiles';
+import type { DeviceEndpoint } from '../lib/EndpointSelector';
+import type { NetworkProfile } from '../lib/NetworkProfiles';
+
 const COUNTER_MAX = 65536;
+// Publishes without a hook-response after this long count as failed
+const WEBHOOK_RESPONSE_TIMEOUT = 30000;
+// Published events without an ACK after this long count as failed
+const PUBLISH_ACK_TIMEOUT = 10000;
+const DEFAULT_EVENT_TTL = 60;
+
+// Emitted with the publish to hook-response latency in ms
+export const WEBHOOK_RESPONSE_EVENT = 'collider:webhook-response';
+// Emitted when a publish never got its hook-response
+export const WEBHOOK_TIMEOUT_EVENT = 'collider:webhook-timeout';
+// Emitted with a description when a hook-response wasn't for this device or
+// for anything it published
+export const WEBHOOK_MISMATCH_EVENT = 'collider:webhook-mismatch';
+// Emitted with the time from opening the socket to finishing the handshake
+export const CONNECTED_EVENT = 'collider:connected';
+// Emitted once the server has the describe and can route calls to the device
+export const DESCRIBED_EVENT = 'collider:described';
+// Emitted when the socket fails before the handshake finishes
+export const CONNECT_ERROR_EVENT = 'collider:connect-error';
+// Emitted when a connected device loses its session
+export const DISCONNECTED_EVENT = 'collider:disconnected';
+// Emitted with `{ name, value }` whenever the device sends a variable
+export const VARIABLE_VALUE_EVENT = 'collider:variable-value';
+// Emitted with the new DevicePhase whenever it changes
+export const PHASE_EVENT = 'collider:phase';
+// Emitted with the ms until the server acknowledged a publishEvent
+export const PUBLISH_ACK_EVENT = 'collider:publish-ack';
+// Emitted with 'rejected' or 'timeout' when a publishEvent wasn't acknowledged
+export const PUBLISH_ERROR_EVENT = 'collider:publish-error';
+// Emitted with a ReceivedEvent for every event the server sends the device
+export const RECEIVED_EVENT = 'collider:received';
+// Emitted with the prefix once the server acknowledged a subscribe
+export const SUBSCRIBED_EVENT = 'collider:subscribed';
+
+export type PublishedEvent = {
+  data: Buffer,
+  isPrivate: boolean,
+  name: string,
+  // Seconds
+  ttl?: ?number,
+};
+
+// What sendWebhook publishes, test-webhook.json renders `payload` from it
+export const getWebhookData = (token: string): string =>
+  `{"payload": "${token}"}`;
+
+export type ReceivedEvent = {
+  // utf8 so it can be sent between processes
+  data: string,
+  name: string,
+  receivedAt: number,
+};
+
+// A product the engine created, it wins over the profile's product
+export type ProductIdentity = {
+  firmwareVersion: number,
+  id: number,
+};
 
-// TODO - Fill in real values here. We can just use whatever is in the photon.
-const PRODUCT_ID = 0;
-const PRODUCT_FIRMWARE_VERSION = 0;
-const PLATFORM_ID = 0;
 const COAP_VERSION = 1;
 
 const DESCRIBE_APPLICATION = 1 << 1;
@@ -30,63 +95,116 @@ const DESCRIBE_ALL = DESCRIBE_APPLICATION | DESCRIBE_SYSTEM;
 
 type DeviceState = 'next' | 'nonce' | 'set-session-key';
 
+// How far along the device is in getting online:
+//   idle        not started yet or stopped
+//   connecting  socket opened, waiting for the server's nonce
+//   handshake   sent its ID, waiting for the session key
+//   online      handshake finished
+//   waiting     lost the connection and waiting to reconnect
+export type DevicePhase =
+  | 'connecting'
+  | 'handshake'
+  | 'idle'
+  | 'online'
+  | 'waiting';
+
 type TCPDeviceOptions = {
   deviceID: ?string,
-  networkDelay: number,
-  serverAddress: string,
+  // The device server it connects to, on every reconnect too
+  endpoint: DeviceEndpoint,
+  // How the link to the server behaves, a perfect network when not set
+  network?: NetworkProfile,
+  product?: ?ProductIdentity,
+  profile?: DeviceProfile,
+  // Flat 15 second waits when not set
+  reconnectPolicy?: ReconnectPolicy,
 };
 
 class TCPDevice {
   _cipherStream: CryptoStream;
+  _connectStartTime: number;
   _decipherStream: CryptoStream;
   _deviceID: Buffer;
+  _endpoint: DeviceEndpoint;
   _eventEmitter: EventEmitter = new EventEmitter();
+  _functionHandlers: Map<string, DeviceHandler> = new Map();
   _helloTimeout: ?number;
+  // Set by abortHandshake, the next handshake is cut off halfway
+  _isAbortingHandshake: boolean = false;
   _isConnected: boolean;
   _isConnecting: boolean;
+  // The server only sends events once it has the describe
+  _isDescribed: boolean = false;
   _isDisconnected: boolean;
   _messageID: number = 0;
-  _networkDelay: number;
+  _network: NetworkProfile;
+  _networkStreams: Array<NetworkThrottleStream> = [];
+  // Send times by message ID, oldest first
+  _pendingPublishes: Map<number, number> = new Map();
+  // Oldest first
+  _pendingWebhooks: Array<{ publishedAt: number, token: string }> = [];
+  _phase: DevicePhase = 'idle';
   _pingInterval: ?number;
-  _port: number;
   _privateKey: NodeRSA;
-  _serverAddress: string;
+  _product: ?ProductIdentity;
+  _profile: DeviceProfile;
+  _reconnectAttempts: number = 0;
+  _reconnectPolicy: ReconnectPolicy;
+  _reconnectTimeout: ?number = null;
+  _sentVariableValues: SentVariableValues = new SentVariableValues();
   _serverKey: NodeRSA;
   _socket: Socket;
   _state: DeviceState;
+  // Prefixes the server acknowledged on this session
+  _sessionSubscriptions: Set<string> = new Set();
+  // Prefixes from subscribe(), sent again on every new session
+  _subscriptions: Array<string> = [];
   _token: Buffer;
-
-  constructor({ deviceID, networkDelay, serverAddress }: TCPDeviceOptions) {
+  _variableHandlers: Map<string, DeviceHandler> = new Map();
+
+  constructor({
+    deviceID,
+    endpoint,
+    network,
+    product,
+    profile,
+    reconnectPolicy,
+  }: TCPDeviceOptions) {
     this._state = 'nonce';
-    this._port = 5683;
-    this._networkDelay = networkDelay;
-    this._serverAddress = serverAddress;
+    this._endpoint = endpoint;
+    this._network = network || {};
+    this._product = product;
+    this._profile = profile || DeviceProfiles.load();
+    this._reconnectPolicy = reconnectPolicy || new ReconnectPolicy();
     this._serverKey = CryptoManager.getServerKey();
 
-    const index = serverAddress.indexOf('://');
-    if (index >= 0) {
-      this._serverAddress = serverAddress.substr(index + 3);
-    }
+    const handlers = this._profile.handlers || {};
+    const functionSpecs = handlers.functions || {};
+    Object.keys(functionSpecs).forEach((name) =>
+      this.setFunctionHandler(
+        name,
+        DeviceHandlers.fromSpec(functionSpecs[name]),
+      ),
+    );
+    const variableSpecs = handlers.variables || {};
+    Object.keys(variableSpecs).forEach((name) =>
+      this.setVariableHandler(
+        name,
+        DeviceHandlers.fromSpec(variableSpecs[name]),
+      ),
+    );
 
     if (!deviceID) {
-      // Generate random device key
-      deviceID = CryptoManager.randomBytes(DEVICE_KEY_LENGTH)
-        .toString('hex')
-        .toLowerCase();
-      const privateKey = CryptoManager.createKey();
-      fs.writeFileSync(
-        path.join(process.cwd(), `data/keys/${deviceID}.pem`),
-        privateKey.exportKey('pkcs1-private-pem'),
-      );
+      deviceID = DeviceKeys.create();
     }
 
-    this._privateKey = CryptoManager.loadPrivateKey(
-      fs.readFileSync(
-        path.join(process.cwd(), `data/keys/${deviceID}.pem`),
-        'utf8',
-      ),
-    );
+    this._privateKey = DeviceKeys.load(deviceID);
     this._deviceID = Buffer.from(deviceID, 'hex');
+    // Once for the device's life, every session subscribes to the same event
+    this._eventEmitter.on(
+      this._getWebhookResponseEvent(),
+      this._onWebhookResponse,
+    );
   }
 
   connect(): void {
@@ -94,11 +212,13 @@ class TCPDevice {
       return;
     }
     this._isConnecting = true;
+    this._setPhase('connecting');
+    this._connectStartTime = Date.now();
     this._socket = new Socket();
 
     this._socket.connect({
-      host: this._serverAddress,
-      port: this._port,
+      host: this._endpoint.host,
+      port: this._endpoint.port,
     });
     this._socket.setTimeout(31000);
 
@@ -121,13 +241,78 @@ class TCPDevice {
     return this._isConnected;
   }
 
-  sendWebhook = (): void => {
+  // Connected devices can't be called until the server has their describe
+  getIsDescribed(): boolean {
+    return this._isDescribed;
+  }
+
+  getPhase(): DevicePhase {
+    return this._phase;
+  }
+
+  // What the device advertises in its describe payload
+  getProfile(): DeviceProfile {
+    return this._profile;
+  }
+
+  // Functions without a handler reply with a checksum of the device ID and
+  // argument, variables with a value that stays the same for the device.
+  setFunctionHandler(name: string, handler: DeviceHandler): void {
+    this._functionHandlers.set(name, handler);
+  }
+
+  setVariableHandler(name: string, handler: DeviceHandler): void {
+    this._variableHandlers.set(name, handler);
+  }
+
+  // The values sent for a variable since `since`, as the server should decode
+  // them. Null when they can't be told anymore.
+  getSentVariableValues(name: string, since: number): ?Array<mixed> {
+    return this._sentVariableValues.getSince(name, since);
+  }
+
+  // The token comes back in the hook-response when the webhook goes to the
+  // collider's WebhookReceiver
+  sendWebhook = (token?: ?string): void => {
+    if (!this._isConnected) {
+      return;
+    }
+
+    const webhookToken = token || String(Math.random());
+    this._expireWebhooks();
+    this._pendingWebhooks.push({
+      publishedAt: Date.now(),
+      token: webhookToken,
+    });
     this._sendEvent(
       testWebhook.name,
-      Buffer.from(`{"payload": "${Math.random()}"}`),
+      Buffer.from(getWebhookData(webhookToken)),
     );
   };
 
+  publishEvent = (event: PublishedEvent): void => {
+    if (!this._isConnected) {
+      return;
+    }
+
+    this._expirePublishes();
+    const { data, isPrivate, name, ttl } = event;
+    const messageID = this._sendEvent(name, data, { isPrivate, ttl });
+    this._pendingPublishes.set(messageID, Date.now());
+  };
+
+  // Subscribes to every event starting with `prefix`, which then come as
+  // RECEIVED_EVENT. The subscription goes out once the server has the
+  // describe, and again after every reconnect.
+  subscribe = (prefix: string): void => {
+    if (!this._subscriptions.includes(prefix)) {
+      this._subscriptions.push(prefix);
+    }
+    if (this._isDescribed) {
+      this._subscribeTo(prefix);
+    }
+  };
+
   on = <TValue>(event: string, callback: (TValue) => void) =>
     this._eventEmitter.on(event, callback);
 
@@ -135,24 +320,81 @@ class TCPDevice {
     this._eventEmitter.removeListener(event, callback);
 
   disconnect = (): void => {
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+    }
+
+    // Stopping on purpose shouldn't count in-flight webhooks as failures
+    this._pendingPublishes.clear();
+    this._pendingWebhooks = [];
     this._disconnect();
     this._isDisconnected = true;
+    this._setPhase('idle');
   };
 
-  _disconnect = (): void => {
+  // Reconnects, sends half of the handshake and destroys the socket. The
+  // device stays stopped afterwards, like after disconnect().
+  abortHandshake = (): void => {
     if (this._isDisconnected) {
       return;
     }
 
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+    }
+    this._isAbortingHandshake = true;
+    this._disconnect();
+    this.connect();
+  };
+
+  // Stops answering without closing the socket, like a device that lost power
+  // or its network. The server only finds out through its own timeouts.
+  goSilent = (halfOpenTime: number): void => {
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+    }
+
+    this._pendingPublishes.clear();
+    this._pendingWebhooks = [];
+    this._disconnect(halfOpenTime);
+    this._isDisconnected = true;
+    this._setPhase('idle');
+  };
+
+  // Starts a new session under the same ID and leaves the old one half-open,
+  // so the server sees the device twice until it drops the old session
+  reconnectWhileAlive = (halfOpenTime: number): void => {
+    if (!this._isConnected) {
+      return;
+    }
+
+    this._disconnect(halfOpenTime);
+    this.connect();
+  };
+
+  // Leaves the socket open for `abandonFor` ms instead of destroying it
+  _disconnect = (abandonFor?: ?number): void => {
+    if (this._isDisconnected) {
+      return;
+    }
+
+    const wasConnected = this._isConnected;
     this._isConnecting = false;
     this._isConnected = false;
+    this._isDescribed = false;
+    this._sessionSubscriptions.clear();
     this._state = 'nonce';
     if (this._decipherStream) {
       this._decipherStream.removeAllListeners();
     }
 
     this._socket.removeAllListeners();
-    if (!this._socket.destroyed) {
+    if (abandonFor != null) {
+      this._abandonSocket(abandonFor);
+    } else if (!this._socket.destroyed) {
       this._socket.destroy();
       this._socket.on('error', () => {});
     }
@@ -161,9 +403,39 @@ class TCPDevice {
       clearInterval(this._pingInterval);
       this._pingInterval = null;
     }
+
+    if (this._helloTimeout) {
+      clearTimeout(this._helloTimeout);
+      this._helloTimeout = null;
+    }
+
+    this._networkStreams.forEach((stream) => stream.stop());
+    this._networkStreams = [];
+
+    // Responses can't arrive on a new session so these will never resolve
+    this._pendingWebhooks.forEach(() =>
+      this._eventEmitter.emit(WEBHOOK_TIMEOUT_EVENT),
+    );
+    this._pendingWebhooks = [];
+    this._pendingPublishes.forEach(() =>
+      this._eventEmitter.emit(PUBLISH_ERROR_EVENT, 'timeout'),
+    );
+    this._pendingPublishes.clear();
+
+    if (wasConnected) {
+      this._eventEmitter.emit(DISCONNECTED_EVENT);
+    }
+  };
+
+  // Kills the connection without warning, like a server restart would. The
+  // device comes back according to its reconnect policy.
+  dropConnection = (): void => {
+    if (this._isConnected) {
+      this._reconnect();
+    }
   };
 
-  _reconnect = (error: Error): void => {
+  _reconnect = (error?: Error): void => {
     if (error) {
       console.error(error);
     }
@@ -171,8 +443,56 @@ class TCPDevice {
       return;
     }
 
+    // The server got there first, there's nothing left to abort
+    if (this._isAbortingHandshake) {
+      this.disconnect();
+      return;
+    }
+
+    if (this._isConnecting && !this._isConnected) {
+      this._eventEmitter.emit(CONNECT_ERROR_EVENT);
+    }
+
     this._disconnect();
-    setTimeout(() => this.connect(), 15000);
+    if (this._reconnectTimeout) {
+      return;
+    }
+
+    const delay = this._reconnectPolicy.getDelay(this._reconnectAttempts);
+    this._reconnectAttempts += 1;
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+      this.connect();
+    }, delay);
+    this._setPhase('waiting');
+  };
+
+  // Nothing is read from or written to the socket again and no FIN is sent,
+  // not even when the server closes its end. It's destroyed after `time` ms.
+  _abandonSocket(time: number): void {
+    const socket = this._socket;
+    socket.pause();
+    socket.setTimeout(0);
+    socket.on('error', () => {});
+    if (socket.destroyed) {
+      return;
+    }
+
+    const timeout = setTimeout(() => socket.destroy(), time);
+    socket.on('close', () => clearTimeout(timeout));
+  }
+
+  _setPhase = (phase: DevicePhase): void => {
+    if (phase !== this._phase) {
+      this._phase = phase;
+      this._eventEmitter.emit(PHASE_EVENT, phase);
+    }
+  };
+
+  // The simulated link died partway through a chunk. Ending the socket lets
+  // what was sent so far reach the server before it closes.
+  _onNetworkDrop = (): void => {
+    this._socket.end();
   };
 
   _sleep = async (time = 100): Promise<void> =>
@@ -182,11 +502,17 @@ class TCPDevice {
     await this._sleep();
     switch (this._state) {
       case 'nonce': {
-        const payload = this._prepareDevicePublicKey(data);
+        const handshake = this._createHandshake(data);
+        if (this._isAbortingHandshake) {
+          const half = handshake.slice(0, Math.floor(handshake.length / 2));
+          this._socket.write(half, () => this.disconnect());
+          return;
+        }
         if (!this._socket.destroyed) {
-          this._socket.write(this._serverKey.encrypt(payload));
+          this._socket.write(handshake);
         }
         this._state = 'set-session-key';
+        this._setPhase('handshake');
         break;
       }
 
@@ -229,8 +555,16 @@ class TCPDevice {
         const chunkingIn = new ChunkingStream({ outgoing: false });
         const chunkingOut = new ChunkingStream({ outgoing: true });
 
-        const inputDelayStream = new NetworkThrottleStream(this._networkDelay);
-        const outputDelayStream = new NetworkThrottleStream(this._networkDelay);
+        // These sit right next to the socket so splitting and merging chunks
+        // exercises the framing on both ends
+        const inputDelayStream = new NetworkThrottleStream(this._network);
+        const outputDelayStream = new NetworkThrottleStream(this._network);
+        this._networkStreams = [inputDelayStream, outputDelayStream];
+        this._networkStreams.forEach((stream) =>
+          stream.on(DROP_EVENT, this._onNetworkDrop),
+        );
+        // Otherwise the OS may merge the pieces back together
+        this._socket.setNoDelay(true);
 
         // What I receive gets broken into message chunks, and goes into the
         // decrypter
@@ -242,8 +576,8 @@ class TCPDevice {
         // What I send goes into the encrypter, and then gets broken into message
         // chunks
         this._cipherStream
-          .pipe(outputDelayStream)
           .pipe(chunkingOut)
+          .pipe(outputDelayStream)
           .pipe(this._socket);
 
         this._socket.removeListener('data', this._onReadData);
@@ -260,6 +594,12 @@ class TCPDevice {
         // Ping every 10 seconds
         this._pingInterval = setInterval(() => this._pingServer(), 15000);
         this._isConnected = true;
+        this._reconnectAttempts = 0;
+        this._setPhase('online');
+        this._eventEmitter.emit(
+          CONNECTED_EVENT,
+          Date.now() - this._connectStartTime,
+        );
 
         break;
       }
@@ -275,15 +615,28 @@ class TCPDevice {
     if (packet.code === '0.00' && packet.ack) {
       this._eventEmitter.emit('ACK', packet);
     }
+    if (packet.ack || packet.reset) {
+      this._onPublishReply(packet);
+    }
 
     const uriOption = packet.options.find(
       (option) => option.name === 'Uri-Path',
     );
     if (!uriOption) {
+      CoapCounter.count('received', NO_URI_TYPE);
       return;
     }
     const path = uriOption.value.toString('utf8');
     const messageType = path.substring(0, path.indexOf('/')) || path;
+    CoapCounter.count('received', CoapCounter.getUriTypeName(messageType));
+    // The name can be in the first Uri-Path option (f/name) or its own option
+    const resourceName = packet.options
+      .filter((option) => option.name === 'Uri-Path')
+      .map((option) => option.value.toString('utf8'))
+      .join('/')
+      .split('/')
+      .slice(1)
+      .join('/');
     const payload = packet.payload;
     switch (messageType) {
       case CoapUriType.Describe: {
@@ -298,12 +651,21 @@ class TCPDevice {
 
         // Fully set up - we can register webhooks
         await this._subscribeWebhooks();
+        this._isDescribed = true;
+        this._eventEmitter.emit(DESCRIBED_EVENT);
+        for (const prefix of this._subscriptions) {
+          await this._subscribeTo(prefix);
+        }
 
         break;
       }
 
       case CoapUriType.Function: {
-        this._sendFunctionResult(packet);
+        const argument = packet.options
+          .filter((option) => option.name === 'Uri-Query')
+          .map((option) => option.value.toString('utf8'))
+          .join('&');
+        this._sendFunctionResult(packet, resourceName, argument);
         break;
       }
 
@@ -320,13 +682,18 @@ class TCPDevice {
           .filter((o) => o.name === 'Uri-Path')
           .map((o) => o.value.toString('utf8'));
         uris.shift(); // Remove E or e
+        this._eventEmitter.emit(RECEIVED_EVENT, {
+          data: payload.toString('utf8'),
+          name: uris.join('/'),
+          receivedAt: Date.now(),
+        });
         uris.pop(); // Remove index of the packet 0-X in the data buffer
         this._eventEmitter.emit(uris.join('/'), packet);
         break;
       }
 
       case CoapUriType.Variable: {
-        this._sendVariable(packet);
+        this._sendVariable(packet, resourceName);
         break;
       }
 
@@ -336,6 +703,11 @@ class TCPDevice {
     }
   };
 
+  // What the device answers the server's nonce with
+  _createHandshake(nonce: Buffer): Buffer {
+    return this._serverKey.encrypt(this._prepareDevicePublicKey(nonce));
+  }
+
   _prepareDevicePublicKey(nonce: Buffer): Buffer {
     // Concat a bunch of data that we will send over encrypted with the
     // server public key.
@@ -360,15 +732,23 @@ class TCPDevice {
   }
 
   _sendHello(): void {
+    const profile = this._profile;
+    const product = this._product;
+    const productID = product
+      ? product.id
+      : DeviceProfiles.getProductID(profile);
+    const firmwareVersion = product
+      ? product.firmwareVersion
+      : profile.productFirmwareVersion || 0;
     const data = [
-      PRODUCT_ID >> 8,
-      PRODUCT_ID & 0xff,
-      PRODUCT_FIRMWARE_VERSION >> 8,
-      PRODUCT_FIRMWARE_VERSION & 0xff,
+      productID >> 8,
+      productID & 0xff,
+      firmwareVersion >> 8,
+      firmwareVersion & 0xff,
       0, // Reserved flag
       0, // Flags -- newly upgraded. We probably won't use this
-      PLATFORM_ID >> 8,
-      PLATFORM_ID & 0xff,
+      profile.platformID >> 8,
+      profile.platformID & 0xff,
       this._deviceID.length >> 8,
       this._deviceID.length & 0xff,
     ];
@@ -386,53 +766,29 @@ class TCPDevice {
       payload: new Buffer(data),
     });
 
-    this._writeData(packet);
+    this._writeData(packet, 'Hello');
   }
 
   _sendDescribe(descriptionFlags: number, serverPacket: CoapPacket): void {
-    // TODO: make this a bit more fancy
-
-    const description = JSON.stringify({
-      f: ['testfn'],
-      v: { testVar: 'INT' },
-      // Copypasta'd from a real device
-      p: 6,
-      m: [
-        { s: 16384, l: 'm', vc: 30, vv: 30, f: 'b', n: '0', v: 11, d: [] },
-        { s: 262144, l: 'm', vc: 30, vv: 30, f: 's', n: '1', v: 105, d: [] },
-        {
-          s: 262144,
-          l: 'm',
-          vc: 30,
-          vv: 30,
-          f: 's',
-          n: '2',
-          v: 105,
-          d: [{ f: 's', n: '1', v: 105, _: '' }],
-        },
-        {
-          s: 131072,
-          l: 'm',
-          vc: 30,
-          vv: 30,
-          u: '2BA4E71E840F596B812003882AAE7CA6496F1590CA4A049310AF76EAF11C943A',
-          f: 'u',
-          n: '1',
-          v: 2,
-          d: [{ f: 's', n: '2', v: 1, _: '' }],
-        },
-        { s: 131072, l: 'f', vc: 30, vv: 0, d: [] },
-      ],
-    });
+    const profile = this._profile;
+    const description = {};
+    if (descriptionFlags & DESCRIBE_APPLICATION) {
+      description.f = profile.functions;
+      description.v = profile.variables;
+    }
+    if (descriptionFlags & DESCRIBE_SYSTEM) {
+      description.p = profile.platformID;
+      description.m = DeviceProfiles.getModules(profile);
+    }
 
     const packet = CoapPacket.generate({
       code: '2.05', // Content
       messageId: this._nextMessageID(),
-      payload: new Buffer(description),
+      payload: new Buffer(JSON.stringify(description)),
       token: serverPacket.token,
     });
 
-    this._writeData(packet);
+    this._writeData(packet, 'Describe');
   }
 
   _pingServer(): void {
@@ -446,70 +802,222 @@ class TCPDevice {
       messageId: this._nextMessageID(),
     });
 
-    this._writeData(packet);
+    this._writeData(packet, 'Ping');
+  }
+
+  _sendFunctionResult(
+    serverPacket: CoapPacket,
+    name: string,
+    argument: string,
+  ): Promise<void> {
+    return this._sendHandlerResult(
+      serverPacket,
+      'Function',
+      '2.04', // Changed
+      this._functionHandlers.get(name) || DeviceHandlers.checksum,
+      name,
+      argument,
+      this._encodeInt,
+    );
+  }
+
+  _sendVariable(serverPacket: CoapPacket, name: string): Promise<void> {
+    const type = this._profile.variables[name] || 'INT';
+    return this._sendHandlerResult(
+      serverPacket,
+      'Variable',
+      '2.05', // Content
+      this._variableHandlers.get(name) ||
+        (() => VariableCodec.getDefaultValue(type, this.getDeviceID(), name)),
+      name,
+      '',
+      (value: mixed): Buffer => {
+        const sentValue = VariableCodec.coerce(type, value);
+        this._sentVariableValues.add(name, sentValue);
+        this._eventEmitter.emit(VARIABLE_VALUE_EVENT, {
+          name,
+          value: sentValue,
+        });
+        return VariableCodec.encode(type, value);
+      },
+    );
   }
 
-  _sendFunctionResult(serverPacket: CoapPacket): void {
+  _sendHandlerResult = async (
+    serverPacket: CoapPacket,
+    // What the reply is counted as in CoapCounter
+    uriType: string,
+    successCode: string,
+    handler: DeviceHandler,
+    name: string,
+    argument: string,
+    encode: (value: mixed) => Buffer,
+  ): Promise<void> => {
     if (!this._isConnected) {
       return;
     }
 
-    const returnValue = Math.ceil(Math.random() * 100000); // Success!
+    const socket = this._socket;
+    let response: HandlerResponse = {};
+    try {
+      response = DeviceHandlers.normalize(
+        await handler(argument, {
+          deviceID: this.getDeviceID(),
+          name,
+        }),
+      );
+    } catch (error) {
+      console.error(`Handler for ${name} failed: ${error.message}`);
+      response = { error: '5.00' };
+    }
+
+    if (response.noResponse) {
+      return;
+    }
+    if (response.delay) {
+      await this._sleep(response.delay);
+    }
+    // The session the request came in on may have gone away while we waited
+    if (!this._isConnected || this._socket !== socket) {
+      return;
+    }
 
     const packet = CoapPacket.generate({
-      code: '2.04',
+      code: response.error || successCode,
       messageId: this._nextMessageID(),
       token: serverPacket.token,
-      payload: new Buffer([
-        returnValue >> 24,
-        (returnValue >> 16) & 0xff,
-        (returnValue >> 8) & 0xff,
-        returnValue & 0xff,
-      ]),
+      payload: response.error ? new Buffer(0) : encode(response.value),
     });
 
-    this._writeData(packet);
+    this._writeData(packet, uriType);
+  };
+
+  // Function results are always a 32-bit int
+  _encodeInt = (value: mixed): Buffer => VariableCodec.encode('INT', value);
+
+  _subscribeWebhooks = async (): Promise<void> => {
+    await this._subscribe(this._getWebhookResponseEvent());
+  };
+
+  _getWebhookResponseEvent(): string {
+    return `hook-response/${testWebhook.name}/${this.getDeviceID()}`;
   }
 
-  _sendVariable(serverPacket: CoapPacket): void {
-    if (!this._isConnected) {
+  // WebhookReceiver responses say which device and publish they're for.
+  // Other responses don't so they're matched in the order they were sent.
+  _onWebhookResponse = (packet: CoapPacket): void => {
+    this._expireWebhooks();
+    let response = null;
+    try {
+      response = JSON.parse(packet.payload.toString('utf8'));
+    } catch (ignore) {}
+
+    if (!response || typeof response.payload !== 'string') {
+      const pending = this._pendingWebhooks.shift();
+      if (pending) {
+        this._eventEmitter.emit(
+          WEBHOOK_RESPONSE_EVENT,
+          Date.now() - pending.publishedAt,
+        );
+      }
       return;
     }
 
-    const returnValue = 1; // Success!
+    const { deviceID, payload: token } = response;
+    if (deviceID !== this.getDeviceID()) {
+      this._eventEmitter.emit(
+        WEBHOOK_MISMATCH_EVENT,
+        `${this.getDeviceID()} got the hook-response for ` +
+          `${String(deviceID)}'s publish ${token}`,
+      );
+      return;
+    }
 
-    const result = Math.ceil(Math.random() * 100000);
-    const packet = CoapPacket.generate({
-      code: '2.05',
-      messageId: this._nextMessageID(),
-      token: serverPacket.token,
-      payload: new Buffer([
-        result >> 24,
-        (result >> 16) & 0xff,
-        (result >> 8) & 0xff,
-        result & 0xff,
-      ]),
-    });
+    const index = this._pendingWebhooks.findIndex(
+      (pending) => pending.token === token,
+    );
+    // Too late, it already counted as a timeout
+    if (index < 0) {
+      return;
+    }
+
+    const [pending] = this._pendingWebhooks.splice(index, 1);
+    this._eventEmitter.emit(
+      WEBHOOK_RESPONSE_EVENT,
+      Date.now() - pending.publishedAt,
+    );
+  };
 
-    this._writeData(packet);
+  _expireWebhooks(): void {
+    const expiredAt = Date.now() - WEBHOOK_RESPONSE_TIMEOUT;
+    while (
+      this._pendingWebhooks.length &&
+      this._pendingWebhooks[0].publishedAt < expiredAt
+    ) {
+      this._pendingWebhooks.shift();
+      this._eventEmitter.emit(WEBHOOK_TIMEOUT_EVENT);
+    }
   }
 
-  _subscribeWebhooks = async (): Promise<void> => {
-    await this._subscribe(
-      `hook-response/test-webhook/${this.getDeviceID()}`,
-      (packet: CoapPacket) => {},
-    );
+  // An ACK means the server took the event, a reset or an error code that it
+  // turned it down, rate limiting for example
+  _onPublishReply(packet: CoapPacket): void {
+    const publishedAt = this._pendingPublishes.get(packet.messageId);
+    if (publishedAt == null) {
+      return;
+    }
+
+    this._pendingPublishes.delete(packet.messageId);
+    if (packet.reset || packet.code.charAt(0) >= '4') {
+      this._eventEmitter.emit(PUBLISH_ERROR_EVENT, 'rejected');
+      return;
+    }
+
+    this._eventEmitter.emit(PUBLISH_ACK_EVENT, Date.now() - publishedAt);
+  }
+
+  _expirePublishes(): void {
+    const expiredAt = Date.now() - PUBLISH_ACK_TIMEOUT;
+    for (const [messageID, publishedAt] of this._pendingPublishes) {
+      if (publishedAt >= expiredAt) {
+        break;
+      }
+      this._pendingPublishes.delete(messageID);
+      this._eventEmitter.emit(PUBLISH_ERROR_EVENT, 'timeout');
+    }
+  }
+
+  _subscribeTo = async (prefix: string): Promise<void> => {
+    // The server would send everything twice for a second subscription
+    if (this._sessionSubscriptions.has(prefix)) {
+      this._eventEmitter.emit(SUBSCRIBED_EVENT, prefix);
+      return;
+    }
+
+    this._sessionSubscriptions.add(prefix);
+    if (await this._subscribe(prefix)) {
+      this._eventEmitter.emit(SUBSCRIBED_EVENT, prefix);
+    } else {
+      this._sessionSubscriptions.delete(prefix);
+    }
   };
 
+  // Resolves with whether the server acknowledged it
   _subscribe = async (
     eventName: string,
-    callback: (packet: CoapPacket) => void,
-  ): Promise<void> => {
+    callback?: (packet: CoapPacket) => void,
+  ): Promise<boolean> => {
     if (!this._isConnected) {
-      return;
+      return false;
     }
 
-    this._eventEmitter.on(eventName, callback);
+    // Sessions subscribe again on every reconnect
+    if (
+      callback &&
+      this._eventEmitter.listeners(eventName).indexOf(callback) < 0
+    ) {
+      this._eventEmitter.on(eventName, callback);
+    }
 
     const messageID = this._nextMessageID();
     const packet = CoapPacket.generate({
@@ -524,33 +1032,52 @@ class TCPDevice {
       ],
     });
 
-    this._writeData(packet);
+    this._writeData(packet, 'Subscribe');
     try {
-      await this._waitForResponse('ACK');
+      // Other messages can go out while this waits
+      await this._waitForResponse('ACK', messageID);
+      return true;
     } catch (error) {
       console.log(`No ACK for ${eventName}`);
+      return false;
     }
   };
 
-  _sendEvent(eventName: string, payload: Buffer): void {
-    if (!this._isConnected) {
-      return;
+  // Returns the message ID the server will acknowledge
+  _sendEvent(
+    eventName: string,
+    payload: Buffer,
+    { isPrivate, ttl }: { isPrivate?: boolean, ttl?: ?number } = {},
+  ): number {
+    const uriType = isPrivate ? 'PrivateEvent' : 'PublicEvent';
+    const options = [
+      {
+        name: 'Uri-Path',
+        value: new Buffer(`${CoapUriType[uriType]}/${eventName}`),
+      },
+    ];
+    // Firmware leaves Max-Age out for the default TTL
+    if (ttl != null && ttl !== DEFAULT_EVENT_TTL) {
+      const value = new Buffer(4);
+      value.writeUInt32BE(ttl, 0);
+      let start = 0;
+      while (start < 3 && value[start] === 0) {
+        start += 1;
+      }
+      options.push({ name: 'Max-Age', value: value.slice(start) });
     }
 
+    const messageID = this._nextMessageID();
     const packet = CoapPacket.generate({
       code: 'POST',
       confirmable: true,
-      messageId: this._nextMessageID(),
-      options: [
-        {
-          name: 'Uri-Path',
-          value: new Buffer(`e/${eventName}`),
-        },
-      ],
+      messageId: messageID,
+      options,
       payload,
     });
 
-    this._writeData(packet);
+    this._writeData(packet, uriType);
+    return messageID;
   }
 
   _waitForResponse = async (
@@ -577,7 +1104,8 @@ class TCPDevice {
     ]);
   };
 
-  _writeData = (packet: Object): void => {
+  _writeData = (packet: Object, uriType: string): void => {
+    CoapCounter.count('sent', uriType);
     try {
       !this._socket.destroyed && this._cipherStream.write(packet);
     } catch (ignore) {}
@@ -1,20 +1,88 @@
 // @flow
 
 import App from './App';
+import CleanupApp from './CleanupApp';
+import { DEFAULT_DASHBOARD_PORT } from './dashboard/DashboardServer';
+import HeadlessApp from './HeadlessApp';
+import KeyPoolApp from './KeyPoolApp';
+import logUncaughtExceptions from './lib/logUncaughtExceptions';
 
-process.on('uncaughtException', (exception: Error) => {
-  console.error(
-    'uncaughtException',
-    { message: exception.message, stack: exception.stack },
-  ); // logging with MetaData
-});
-
-const app = new App();
-app.run();
-
-// const serverUrl = '192.168.0.175';
-//
-// const device = new TCPDevice(serverUrl, 5683);
-//
-// device.connect();
-// console.log('foobar');
+logUncaughtExceptions();
+
+// `--workers 4` spreads the devices over 4 worker processes
+const workersIndex = process.argv.indexOf('--workers');
+const workers =
+  workersIndex >= 0 ? parseInt(process.argv[workersIndex + 1], 10) : null;
+if (workers != null && (isNaN(workers) || workers < 0)) {
+  console.error('--workers needs a number');
+  process.exit(1);
+}
+
+// `--accounts 3` spreads new devices over 3 users
+const accountsIndex = process.argv.indexOf('--accounts');
+const accounts =
+  accountsIndex >= 0 ? parseInt(process.argv[accountsIndex + 1], 10) : null;
+if (accounts != null && (isNaN(accounts) || accounts < 1)) {
+  console.error('--accounts needs a number');
+  process.exit(1);
+}
+
+// `--dashboard` serves the live dashboard on port 3000, `--dashboard 4000` on
+// another port. Only this machine can reach it unless `--dashboard-host
+// 0.0.0.0` says otherwise.
+const dashboardIndex = process.argv.indexOf('--dashboard');
+const dashboardHostIndex = process.argv.indexOf('--dashboard-host');
+let dashboard = null;
+if (dashboardIndex >= 0) {
+  const port = parseInt(process.argv[dashboardIndex + 1], 10);
+  dashboard = {
+    host: dashboardHostIndex >= 0 ? process.argv[dashboardHostIndex + 1] : null,
+    port: isNaN(port) ? DEFAULT_DASHBOARD_PORT : port,
+  };
+}
+
+// `npm run cleanup -- --prune-keys` also deletes keys no server knows about
+const cleanupIndex = process.argv.indexOf('--cleanup');
+// `npm start -- --scenario ./my-scenario.yml` runs without the menu
+const scenarioIndex = process.argv.indexOf('--scenario');
+// `npm run key-pool -- 5000` generates and registers keys for 5000 devices
+const keyPoolIndex = process.argv.indexOf('--key-pool');
+
+// Whatever an app throws outside its own error handling still fails the run
+const exitWithError = (error: Error) => {
+  console.error(error);
+  process.exit(1);
+};
+
+if (keyPoolIndex >= 0) {
+  const size = parseInt(process.argv[keyPoolIndex + 1], 10);
+  if (isNaN(size) || size < 0) {
+    console.error('--key-pool needs the number of keys');
+    process.exit(1);
+  }
+
+  new KeyPoolApp(size, { accounts: accounts || 1, workers: workers || 0 })
+    .run()
+    .then((exitCode: number) => process.exit(exitCode))
+    .catch(exitWithError);
+} else if (cleanupIndex >= 0) {
+  new CleanupApp(
+    { pruneKeys: process.argv.indexOf('--prune-keys') >= 0 },
+    { accounts: accounts || 1 },
+  )
+    .run()
+    .then((exitCode: number) => process.exit(exitCode))
+    .catch(exitWithError);
+} else if (scenarioIndex >= 0) {
+  const scenarioPath = process.argv[scenarioIndex + 1];
+  new HeadlessApp(scenarioPath, { accounts, workers }, dashboard)
+    .run()
+    .then((exitCode: number) => process.exit(exitCode))
+    .catch(exitWithError);
+} else {
+  const app = new App(
+    { accounts: accounts || 1, workers: workers || 0 },
+    dashboard,
+  );
+  app.run();
+}
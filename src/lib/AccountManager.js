@@ -0,0 +1,136 @@
+// @flow
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { FOLDER_PATH } from './ConfigStore';
+
+export type Credentials = {
+  password: string,
+  username: string,
+};
+
+type AccountData = {
+  // Generated accounts keyed by server, see DeviceRegistry.getServer
+  servers: { [server: string]: Array<Credentials> },
+};
+
+const ACCOUNTS_FILE_PATH = path.join(FOLDER_PATH, 'accounts.json');
+// What every device was claimed under before there were more accounts
+const DEFAULT_CREDENTIALS: Credentials = {
+  password: 'password',
+  username: '__test__@testaccount.com',
+};
+
+/**
+ * The users devices get claimed under. The first one is always the original
+ * __test__@testaccount.com so devices claimed by earlier runs keep working.
+ * The others are generated with random passwords and kept per server in
+ * data/accounts.json so later runs log in as the same users.
+ *
+ * New devices are spread over the first `count` accounts in turn. Every
+ * account the server has ever seen gets an access token so devices claimed
+ * under them can still be called.
+ */
+class AccountManager {
+  _accessTokens: Map<string, string> = new Map();
+  _accounts: Array<Credentials> = [];
+  _count: number;
+  _nextIndex: number = 0;
+
+  constructor(count: number) {
+    this._count = Math.max(1, count);
+  }
+
+  // Generates whatever accounts the server is missing and returns all of
+  // them, the default account first
+  load(server: string): Array<Credentials> {
+    const data = this._read();
+    const generated = data.servers[server] || [];
+    while (generated.length < this._count - 1) {
+      generated.push({
+        password: crypto.randomBytes(12).toString('hex'),
+        username:
+          `__test__${crypto.randomBytes(4).toString('hex')}` +
+          '@testaccount.com',
+      });
+    }
+
+    data.servers[server] = generated;
+    fs.writeFileSync(ACCOUNTS_FILE_PATH, JSON.stringify(data, null, 2));
+
+    this._accessTokens = new Map();
+    this._accounts = [DEFAULT_CREDENTIALS].concat(generated);
+    this._nextIndex = 0;
+    return this._accounts;
+  }
+
+  // For users deleted from the server, the default account is never kept
+  remove(server: string, usernames: Array<string>): void {
+    const data = this._read();
+    const generated = (data.servers[server] || []).filter(
+      (account) => usernames.indexOf(account.username) < 0,
+    );
+    if (generated.length) {
+      data.servers[server] = generated;
+    } else {
+      delete data.servers[server];
+    }
+    fs.writeFileSync(ACCOUNTS_FILE_PATH, JSON.stringify(data, null, 2));
+
+    usernames.forEach((username) => this._accessTokens.delete(username));
+    this._accounts = this._accounts.filter(
+      (account) =>
+        account === DEFAULT_CREDENTIALS ||
+        usernames.indexOf(account.username) < 0,
+    );
+  }
+
+  setAccessToken(username: string, accessToken: string): void {
+    this._accessTokens.set(username, accessToken);
+  }
+
+  // Falls back to the default account for devices without a known owner
+  getAccessToken(username?: ?string): string {
+    return (
+      (username && this._accessTokens.get(username)) ||
+      this._accessTokens.get(DEFAULT_CREDENTIALS.username) ||
+      ''
+    );
+  }
+
+  // Only the ones that could log in
+  getUsernames(): Array<string> {
+    return this._accounts
+      .map((account) => account.username)
+      .filter((username) => this._accessTokens.has(username));
+  }
+
+  getDefaultUsername(): string {
+    return DEFAULT_CREDENTIALS.username;
+  }
+
+  // The account the next new device gets claimed under
+  getNextUsername(): string {
+    const usernames = this.getUsernames().slice(0, this._count);
+    if (!usernames.length) {
+      return DEFAULT_CREDENTIALS.username;
+    }
+
+    const username = usernames[this._nextIndex % usernames.length];
+    this._nextIndex += 1;
+    return username;
+  }
+
+  _read(): AccountData {
+    if (!fs.existsSync(ACCOUNTS_FILE_PATH)) {
+      return { servers: {} };
+    }
+
+    const data = JSON.parse(fs.readFileSync(ACCOUNTS_FILE_PATH, 'utf8'));
+    return { servers: data.servers || {} };
+  }
+}
+
+export default AccountManager;
@@ -52,6 +52,8 @@ class ChunkingStream extends Transform {
   _incomingBuffer: ?Buffer = null;
   _incomingIndex: number = -1;
   _outgoing: boolean;
+  // The start of a length prefix that was split across chunks
+  _partialLength: ?Buffer = null;
 
   constructor(options: ChunkingStreamOptions) {
     super();
@@ -64,8 +66,19 @@ class ChunkingStream extends Transform {
       return;
     }
 
+    if (this._partialLength) {
+      chunk = Buffer.concat([this._partialLength, chunk]);
+      this._partialLength = null;
+    }
+
     const isNewMessage = this._incomingIndex === -1;
     let startIndex = 0;
+    if (isNewMessage && chunk.length < MSG_LENGTH_BYTES) {
+      this._partialLength = chunk;
+      process.nextTick(callback);
+      return;
+    }
+
     if (isNewMessage) {
       this._expectedLength = (chunk[0] << 8) + chunk[1];
 
@@ -0,0 +1,247 @@
+// @flow
+
+// How a device leaves:
+//   graceful   stops and closes its socket
+//   handshake  reconnects and destroys the socket halfway through the handshake
+//   halfOpen   stops answering without closing the socket
+//   duplicate  connects again under the same ID while the old session is
+//              still open, the device stays
+export type ChurnExit = 'duplicate' | 'graceful' | 'halfOpen' | 'handshake';
+
+export type ChurnSettings = {
+  // Devices started per second
+  addRate?: number,
+  // Relative weights, every exit is as likely when not set
+  exits?: { [exit: ChurnExit]: number },
+  // ms a half-open socket is kept before the collider destroys it
+  halfOpenTime?: number,
+  // Adding pauses at this many devices and removing at `minDevices`
+  maxDevices?: number,
+  minDevices?: number,
+  // Devices removed per second
+  removeRate?: number,
+};
+
+export type ChurnStats = {
+  added: number,
+  addRate: number,
+  exits: { [exit: ChurnExit]: number },
+  removeRate: number,
+  // Arrivals that would have gone past `minDevices` or `maxDevices`, or found
+  // no device to remove
+  skipped: number,
+};
+
+type ChurnActions = {
+  addDevices: (count: number) => Promise<mixed>,
+  getDeviceCount: () => number,
+  // Returns false when there was no device to remove that way
+  removeDevice: (exit: ChurnExit, halfOpenTime: number) => boolean,
+};
+
+export const CHURN_EXITS: Array<ChurnExit> = [
+  'duplicate',
+  'graceful',
+  'halfOpen',
+  'handshake',
+];
+
+const DEFAULT_RATE = 1;
+const DEFAULT_HALF_OPEN_TIME = 120000;
+const TICK = 100;
+
+/**
+ * Keeps adding and removing devices at fixed rates, like LoadGenerator does
+ * for requests. Each removal picks an exit by the weights in `exits`, so most
+ * of the churn can be devices that vanish without telling the server.
+ *
+ * Devices due while the last batch is still being started are added with the
+ * next one.
+ */
+class ChurnGenerator {
+  _actions: ChurnActions;
+  _added: number = 0;
+  _addRate: number = DEFAULT_RATE;
+  _exitCounts: { [exit: ChurnExit]: number } = {};
+  _exits: { [exit: ChurnExit]: number } = {};
+  _halfOpenTime: number = DEFAULT_HALF_OPEN_TIME;
+  _interval: ?number = null;
+  _isAdding: boolean = false;
+  _lastTickAt: number = 0;
+  _maxDevices: number = Infinity;
+  _minDevices: number = 0;
+  // Fractional arrivals carried over to the next tick
+  _pendingAdds: number = 0;
+  _pendingRemoves: number = 0;
+  _removeRate: number = DEFAULT_RATE;
+  _skipped: number = 0;
+
+  constructor(settings: ChurnSettings, actions: ChurnActions) {
+    this._actions = actions;
+    CHURN_EXITS.forEach((exit) => {
+      this._exits[exit] = 1;
+      this._exitCounts[exit] = 0;
+    });
+    this.update(settings);
+  }
+
+  // Throws for settings the generator can't run with
+  static validate(settings: Object): ChurnSettings {
+    ['addRate', 'halfOpenTime', 'maxDevices', 'minDevices', 'removeRate']
+      .filter((key) => settings[key] != null)
+      .forEach((key) => {
+        if (typeof settings[key] !== 'number' || settings[key] < 0) {
+          throw new Error(`Churn needs a number for "${key}"`);
+        }
+      });
+
+    const { maxDevices, minDevices } = settings;
+    if (maxDevices != null && minDevices != null && minDevices > maxDevices) {
+      throw new Error('Churn needs "minDevices" to be at most "maxDevices"');
+    }
+
+    const exits = settings.exits || {};
+    Object.keys(exits).forEach((exit) => {
+      if (
+        CHURN_EXITS.indexOf((exit: any)) < 0 ||
+        typeof exits[exit] !== 'number'
+      ) {
+        throw new Error(
+          'Churn has invalid "exits". Give a weight to any of ' +
+            CHURN_EXITS.join(', '),
+        );
+      }
+    });
+    return (settings: any);
+  }
+
+  start(): void {
+    if (this._interval) {
+      return;
+    }
+
+    this._lastTickAt = Date.now();
+    this._interval = setInterval(this._tick, TICK);
+  }
+
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._pendingAdds = 0;
+    this._pendingRemoves = 0;
+  }
+
+  // Takes effect on the next tick, unset settings are left as they are.
+  // Exits without a weight in `exits` are turned off.
+  update({
+    addRate,
+    exits,
+    halfOpenTime,
+    maxDevices,
+    minDevices,
+    removeRate,
+  }: ChurnSettings): void {
+    if (addRate != null) {
+      this._addRate = addRate;
+    }
+    if (exits != null) {
+      const weights = exits;
+      CHURN_EXITS.forEach((exit) => {
+        this._exits[exit] = weights[exit] || 0;
+      });
+    }
+    if (halfOpenTime != null) {
+      this._halfOpenTime = halfOpenTime;
+    }
+    if (maxDevices != null) {
+      this._maxDevices = maxDevices;
+    }
+    if (minDevices != null) {
+      this._minDevices = minDevices;
+    }
+    if (removeRate != null) {
+      this._removeRate = removeRate;
+    }
+  }
+
+  getStats(): ChurnStats {
+    return {
+      added: this._added,
+      addRate: this._addRate,
+      exits: { ...this._exitCounts },
+      removeRate: this._removeRate,
+      skipped: this._skipped,
+    };
+  }
+
+  _tick = (): void => {
+    const now = Date.now();
+    const seconds = (now - this._lastTickAt) / 1000;
+    this._lastTickAt = now;
+    this._pendingAdds += this._addRate * seconds;
+    this._pendingRemoves += this._removeRate * seconds;
+
+    while (this._pendingRemoves >= 1) {
+      this._pendingRemoves -= 1;
+      this._remove();
+    }
+
+    if (this._pendingAdds >= 1 && !this._isAdding) {
+      this._add();
+    }
+  };
+
+  _add(): void {
+    const due = Math.floor(this._pendingAdds);
+    this._pendingAdds -= due;
+    const count = Math.max(
+      0,
+      Math.min(due, this._maxDevices - this._actions.getDeviceCount()),
+    );
+    this._skipped += due - count;
+    if (!count) {
+      return;
+    }
+
+    this._isAdding = true;
+    const onDone = () => {
+      this._isAdding = false;
+    };
+    this._actions.addDevices(count).then(() => {
+      this._added += count;
+      onDone();
+    }, onDone);
+  }
+
+  _remove(): void {
+    const exit = this._pickExit();
+    if (
+      !exit ||
+      (exit !== 'duplicate' &&
+        this._actions.getDeviceCount() <= this._minDevices) ||
+      !this._actions.removeDevice(exit, this._halfOpenTime)
+    ) {
+      this._skipped += 1;
+      return;
+    }
+
+    this._exitCounts[exit] += 1;
+  }
+
+  _pickExit(): ?ChurnExit {
+    const exits = CHURN_EXITS.filter((exit) => this._exits[exit] > 0);
+    const total = exits.reduce((sum, exit) => sum + this._exits[exit], 0);
+    let choice = Math.random() * total;
+    for (let ii = 0; ii < exits.length; ii++) {
+      choice -= this._exits[exits[ii]];
+      if (choice < 0) {
+        return exits[ii];
+      }
+    }
+    return null;
+  }
+}
+
+export default ChurnGenerator;
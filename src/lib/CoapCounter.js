@@ -0,0 +1,57 @@
+// @flow
+
+import CoapUriType from './CoapUriType';
+
+export type CoapDirection = 'received' | 'sent';
+
+// Message counts keyed by direction and then by Uri type name, like
+// { sent: { Hello: 1, Ping: 3 } }
+export type CoapCounts = {
+  [direction: CoapDirection]: { [uriType: string]: number },
+};
+
+// Messages without a Uri-Path, like ACKs and the replies to requests
+export const NO_URI_TYPE = 'None';
+
+// CoapUriType names by the first Uri-Path segment. `e` is both PublicEvent and
+// Subscribe, received ones are events.
+const URI_TYPE_NAMES = {};
+Object.keys(CoapUriType)
+  .filter((name) => name !== 'Subscribe')
+  .forEach((name) => {
+    URI_TYPE_NAMES[CoapUriType[name]] = name;
+  });
+
+// Counts the CoAP messages every device in this process sends and receives.
+// Fleet workers send theirs to the coordinator.
+class CoapCounter {
+  static _counts: CoapCounts = { received: {}, sent: {} };
+
+  static count(direction: CoapDirection, uriType: string): void {
+    const counts = CoapCounter._counts[direction];
+    counts[uriType] = (counts[uriType] || 0) + 1;
+  }
+
+  static getUriTypeName(uriType: string): string {
+    return URI_TYPE_NAMES[uriType] || NO_URI_TYPE;
+  }
+
+  static getCounts(): CoapCounts {
+    return CoapCounter._counts;
+  }
+
+  static merge(countsList: Array<CoapCounts>): CoapCounts {
+    const merged = { received: {}, sent: {} };
+    countsList.forEach((counts) =>
+      ['received', 'sent'].forEach((direction) =>
+        Object.keys(counts[direction]).forEach((uriType) => {
+          merged[direction][uriType] =
+            (merged[direction][uriType] || 0) + counts[direction][uriType];
+        }),
+      ),
+    );
+    return merged;
+  }
+}
+
+export default CoapCounter;
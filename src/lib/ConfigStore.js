@@ -0,0 +1,135 @@
+// @flow
+
+import fs from 'fs';
+import path from 'path';
+
+import EndpointSelector, { DEFAULT_DEVICE_PORT } from './EndpointSelector';
+
+import type { DeviceEndpoint, EndpointPolicy } from './EndpointSelector';
+
+export type Config = {
+  // Base URL of the REST API, like http://localhost:8080
+  apiUrl: string,
+  // Where devices connect, spread over by `endpointPolicy`
+  deviceEndpoints: Array<DeviceEndpoint>,
+  endpointPolicy: EndpointPolicy,
+  serverKeyPath: string,
+};
+
+export type ConfigData = {
+  configs: Array<Config>,
+  defaultConfigIndex: number,
+};
+
+export const FOLDER_PATH = path.join(process.cwd(), 'data/');
+const CONFIG_FILE_PATH = path.join(FOLDER_PATH, 'configs.json');
+
+// Reads and writes the server configs stored in data/configs.json
+class ConfigStore {
+  _configData: ConfigData;
+
+  // Turns configs from before there were separate API and device endpoints,
+  // `{ serverUrl, serverPort }`, into the current shape and throws for
+  // configs that can't be used. Endpoints can be written as `host:port`.
+  static migrate(data: Object): Config {
+    let config = data;
+    if (config.apiUrl == null && typeof config.serverUrl === 'string') {
+      const { serverKeyPath, serverPort, serverUrl } = config;
+      const index = serverUrl.indexOf('://');
+      let host = serverUrl;
+      let protocol = serverPort === 443 ? 'https://' : 'http://';
+      if (index >= 0) {
+        host = serverUrl.substr(index + 3);
+        protocol = serverUrl.substr(0, index + 3);
+      }
+      config = {
+        apiUrl: `${protocol}${host}:${serverPort}`,
+        deviceEndpoints: [{ host, port: DEFAULT_DEVICE_PORT }],
+        serverKeyPath,
+      };
+    }
+
+    const endpointPolicy = config.endpointPolicy || 'roundRobin';
+    const deviceEndpoints = Array.isArray(config.deviceEndpoints)
+      ? config.deviceEndpoints.map(
+          (endpoint) =>
+            typeof endpoint === 'string'
+              ? EndpointSelector.parse(endpoint)
+              : endpoint,
+        )
+      : config.deviceEndpoints;
+    if (typeof config.apiUrl !== 'string' || !config.apiUrl) {
+      throw new Error('A config needs an "apiUrl"');
+    }
+    if (typeof config.serverKeyPath !== 'string') {
+      throw new Error('A config needs a "serverKeyPath"');
+    }
+    EndpointSelector.validate(deviceEndpoints, endpointPolicy);
+
+    return {
+      apiUrl: config.apiUrl.replace(/\/+$/, ''),
+      deviceEndpoints,
+      endpointPolicy,
+      serverKeyPath: config.serverKeyPath,
+    };
+  }
+
+  load(): void {
+    if (!fs.existsSync(FOLDER_PATH)) {
+      fs.mkdirSync(FOLDER_PATH);
+    }
+
+    if (!fs.existsSync(`${FOLDER_PATH}/keys`)) {
+      fs.mkdirSync(`${FOLDER_PATH}/keys`);
+    }
+
+    if (!fs.existsSync(CONFIG_FILE_PATH)) {
+      this._configData = { configs: [], defaultConfigIndex: -1 };
+      this.save();
+    } else {
+      this._configData = JSON.parse(fs.readFileSync(CONFIG_FILE_PATH, 'utf8'));
+      const { configs } = this._configData;
+      this._configData.configs = configs.map(ConfigStore.migrate);
+      if (configs.some((config) => config.apiUrl == null)) {
+        this.save();
+      }
+    }
+  }
+
+  getConfigs(): Array<Config> {
+    return this._configData.configs;
+  }
+
+  getConfig(index: number): ?Config {
+    const { configs } = this._configData;
+    if (index < 0 || index >= configs.length) {
+      return null;
+    }
+    return configs[index];
+  }
+
+  getDefaultConfig(): ?Config {
+    return this.getConfig(this._configData.defaultConfigIndex);
+  }
+
+  getDefaultConfigIndex(): number {
+    return this._configData.defaultConfigIndex;
+  }
+
+  addConfig(config: Config): void {
+    this._configData.configs.push(config);
+    this._configData.defaultConfigIndex = this._configData.configs.length - 1;
+    this.save();
+  }
+
+  setDefaultConfigIndex(index: number): void {
+    this._configData.defaultConfigIndex = index;
+    this.save();
+  }
+
+  save(): void {
+    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(this._configData));
+  }
+}
+
+export default ConfigStore;
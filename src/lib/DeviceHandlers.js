@@ -0,0 +1,183 @@
+// @flow
+
+import crypto from 'crypto';
+
+import VariableCodec from './VariableCodec';
+
+// `value` is sent back as the reply. `error` replies with that CoAP code
+// instead, `delay` waits that many ms first and `noResponse` never replies.
+export type HandlerResponse = {
+  delay?: number,
+  error?: string,
+  noResponse?: boolean,
+  value?: mixed,
+};
+
+// A bare number, string or boolean is shorthand for `{ value }`
+export type HandlerResult = HandlerResponse | boolean | number | string | void;
+
+export type HandlerContext = {
+  deviceID: string,
+  name: string,
+};
+
+export type DeviceHandler = (
+  argument: string,
+  context: HandlerContext,
+) => HandlerResult | Promise<HandlerResult>;
+
+// How profiles name a built-in behaviour, either `"echo"` or an object like
+// `{ "type": "sleep", "duration": 5000 }`
+export type HandlerSpec =
+  | string
+  | {
+      code?: string,
+      duration?: number,
+      then?: HandlerSpec,
+      type: string,
+    };
+
+const DEFAULT_ERROR_CODE = '5.00';
+
+const readHash = (text: string): number =>
+  crypto
+    .createHash('sha1')
+    .update(text)
+    .digest()
+    .readInt32BE(0);
+
+/**
+ * Built-in behaviours for device functions and variables. Functions get the
+ * argument sent through the cloud, variables always get an empty string.
+ */
+class DeviceHandlers {
+  // What devices always did: a random positive int
+  static random: DeviceHandler = (): number =>
+    Math.ceil(Math.random() * 100000);
+
+  // The first 4 bytes of the SHA-1 of the device ID and argument, so the
+  // caller knows what to expect and which device the reply came from
+  static checksum: DeviceHandler = (
+    argument: string,
+    context: HandlerContext,
+  ): number => readHash(`${context.deviceID}/${argument}`);
+
+  static echo: DeviceHandler = (argument: string): string => argument;
+
+  // The first 4 bytes of the SHA-1 of the argument so callers can check the
+  // argument arrived intact
+  static hash: DeviceHandler = (argument: string): number => readHash(argument);
+
+  static never: DeviceHandler = (): HandlerResponse => ({ noResponse: true });
+
+  static error(code: string = DEFAULT_ERROR_CODE): DeviceHandler {
+    return (): HandlerResponse => ({ error: code });
+  }
+
+  static sleep(
+    duration: number,
+    handler: DeviceHandler = DeviceHandlers.checksum,
+  ): DeviceHandler {
+    return async (
+      argument: string,
+      context: HandlerContext,
+    ): Promise<HandlerResponse> => ({
+      ...DeviceHandlers.normalize(await handler(argument, context)),
+      delay: duration,
+    });
+  }
+
+  static fromSpec(spec: HandlerSpec): DeviceHandler {
+    const { type, ...options } =
+      typeof spec === 'string' ? { type: spec } : spec;
+
+    switch (type) {
+      case 'checksum': {
+        return DeviceHandlers.checksum;
+      }
+
+      case 'echo': {
+        return DeviceHandlers.echo;
+      }
+
+      case 'error': {
+        return DeviceHandlers.error(options.code);
+      }
+
+      case 'hash': {
+        return DeviceHandlers.hash;
+      }
+
+      case 'never': {
+        return DeviceHandlers.never;
+      }
+
+      case 'random': {
+        return DeviceHandlers.random;
+      }
+
+      case 'sleep': {
+        if (typeof options.duration !== 'number' || options.duration < 0) {
+          throw new Error('The sleep handler needs a duration in ms');
+        }
+
+        return DeviceHandlers.sleep(
+          options.duration,
+          options.then ? DeviceHandlers.fromSpec(options.then) : undefined,
+        );
+      }
+
+      default: {
+        throw new Error(
+          `Unknown handler ${String(type)}. Use one of checksum, echo, ` +
+            'error, hash, never, random or sleep',
+        );
+      }
+    }
+  }
+
+  // What a function with this handler returns for the argument, null when
+  // there's no way to know (random) or nothing comes back (never, error)
+  static getExpectedFunctionValue(
+    spec: ?HandlerSpec,
+    argument: string,
+    context: HandlerContext,
+  ): ?number {
+    const { type, ...options } =
+      typeof spec === 'string' ? { type: spec } : spec || { type: 'checksum' };
+
+    switch (type) {
+      case 'checksum': {
+        return readHash(`${context.deviceID}/${argument}`);
+      }
+
+      case 'echo': {
+        return (VariableCodec.coerce('INT', argument): any);
+      }
+
+      case 'hash': {
+        return readHash(argument);
+      }
+
+      case 'sleep': {
+        return DeviceHandlers.getExpectedFunctionValue(
+          options.then,
+          argument,
+          context,
+        );
+      }
+
+      default: {
+        return null;
+      }
+    }
+  }
+
+  static normalize(result: HandlerResult): HandlerResponse {
+    return result !== null && typeof result === 'object'
+      ? result
+      : { value: result };
+  }
+}
+
+export default DeviceHandlers;
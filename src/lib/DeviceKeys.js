@@ -0,0 +1,66 @@
+// @flow
+
+import fs from 'fs';
+import NodeRSA from 'node-rsa';
+import path from 'path';
+
+import { FOLDER_PATH } from './ConfigStore';
+import CryptoManager from './CryptoManager';
+
+const DEVICE_KEY_LENGTH = 12;
+const KEYS_PATH = path.join(FOLDER_PATH, 'keys');
+
+// Device private keys live in data/keys/<device ID>.pem
+class DeviceKeys {
+  static getPath(deviceID: string): string {
+    return path.join(KEYS_PATH, `${deviceID}.pem`);
+  }
+
+  static exists(deviceID: string): boolean {
+    return fs.existsSync(DeviceKeys.getPath(deviceID));
+  }
+
+  // Every device ID with a key on disk
+  static list(): Array<string> {
+    if (!fs.existsSync(KEYS_PATH)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(KEYS_PATH)
+      .filter((file) => path.extname(file) === '.pem')
+      .map((file) => path.parse(file).name);
+  }
+
+  // Generates a random device ID and a 1024-bit key for it. This is the slow
+  // part of starting new devices.
+  static create(): string {
+    const deviceID = CryptoManager.randomBytes(DEVICE_KEY_LENGTH)
+      .toString('hex')
+      .toLowerCase();
+    const privateKey = CryptoManager.createKey();
+    fs.writeFileSync(
+      DeviceKeys.getPath(deviceID),
+      privateKey.exportKey('pkcs1-private-pem'),
+    );
+    return deviceID;
+  }
+
+  static remove(deviceID: string): void {
+    if (DeviceKeys.exists(deviceID)) {
+      fs.unlinkSync(DeviceKeys.getPath(deviceID));
+    }
+  }
+
+  static load(deviceID: string): NodeRSA {
+    return CryptoManager.loadPrivateKey(
+      fs.readFileSync(DeviceKeys.getPath(deviceID), 'utf8'),
+    );
+  }
+
+  static getPublicKey(deviceID: string): string {
+    return DeviceKeys.load(deviceID).exportKey('pkcs8-public-pem');
+  }
+}
+
+export default DeviceKeys;
@@ -0,0 +1,162 @@
+// @flow
+
+import fs from 'fs';
+import path from 'path';
+
+import { FOLDER_PATH } from './ConfigStore';
+import DeviceHandlers from './DeviceHandlers';
+
+import type { HandlerSpec } from './DeviceHandlers';
+
+export type VariableType = 'BOOL' | 'DOUBLE' | 'INT' | 'STRING';
+
+export type Platform = 'core' | 'electron' | 'p1' | 'photon';
+
+export type DeviceProfile = {
+  functions: Array<string>,
+  // Built-in behaviours for functions and variables, keyed by name
+  handlers?: {
+    functions?: { [name: string]: HandlerSpec },
+    variables?: { [name: string]: HandlerSpec },
+  },
+  // Module descriptions exactly as firmware sends them in the describe
+  modules: Array<Object>,
+  name: string,
+  // Sets platformID by name
+  platform?: Platform,
+  platformID: number,
+  // What the hello says, firmware outside a product sends the platform ID
+  productFirmwareVersion?: number,
+  productID?: number,
+  // When set, replaces the version of every system module and dependency
+  systemVersion?: number,
+  variables: { [name: string]: VariableType },
+};
+
+export const DEFAULT_PROFILE_NAME = 'default';
+
+export const PLATFORM_IDS: { [platform: Platform]: number } = {
+  core: 0,
+  electron: 10,
+  p1: 8,
+  photon: 6,
+};
+
+// The hello has 2 bytes for each ID and the firmware version
+export const MAX_HELLO_VALUE = 0xffff;
+
+const VARIABLE_TYPES = ['BOOL', 'DOUBLE', 'INT', 'STRING'];
+const BUNDLED_PROFILES_PATH = path.join(__dirname, '..', 'profiles');
+const USER_PROFILES_PATH = path.join(FOLDER_PATH, 'profiles');
+
+/**
+ * Profiles are JSON files describing what a virtual device advertises. Files
+ * in data/profiles take precedence over the ones bundled in src/profiles.
+ */
+class DeviceProfiles {
+  static _cache: { [name: string]: DeviceProfile } = {};
+
+  static load(name: string = DEFAULT_PROFILE_NAME): DeviceProfile {
+    if (DeviceProfiles._cache[name]) {
+      return DeviceProfiles._cache[name];
+    }
+
+    const filePath = [USER_PROFILES_PATH, BUNDLED_PROFILES_PATH]
+      .map((directory) => path.join(directory, `${name}.json`))
+      .find((candidate) => fs.existsSync(candidate));
+    if (!filePath) {
+      throw new Error(`Could not find device profile ${name}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const profile = DeviceProfiles._validate({
+      functions: [],
+      modules: [],
+      platformID: 0,
+      variables: {},
+      ...data,
+      name,
+      ...(data.platform != null
+        ? { platformID: DeviceProfiles.getPlatformID(data.platform) }
+        : {}),
+    });
+    DeviceProfiles._cache[name] = profile;
+    return profile;
+  }
+
+  // Throws for anything but the platforms in PLATFORM_IDS
+  static getPlatformID(platform: string): number {
+    if (!PLATFORM_IDS.hasOwnProperty(platform)) {
+      throw new Error(
+        `Unknown platform ${platform}. Use one of ` +
+          Object.keys(PLATFORM_IDS).join(', '),
+      );
+    }
+    return PLATFORM_IDS[(platform: any)];
+  }
+
+  static getProductID(profile: DeviceProfile): number {
+    return profile.productID == null ? profile.platformID : profile.productID;
+  }
+
+  // The `m` modules of the describe payload with systemVersion applied
+  static getModules(profile: DeviceProfile): Array<Object> {
+    const { systemVersion } = profile;
+    if (systemVersion == null) {
+      return profile.modules;
+    }
+
+    const applyVersion = (module: Object): Object =>
+      module.f === 's' ? { ...module, v: systemVersion } : module;
+    return profile.modules.map((module) => ({
+      ...applyVersion(module),
+      d: (module.d || []).map(applyVersion),
+    }));
+  }
+
+  static _validate(profile: DeviceProfile): DeviceProfile {
+    Object.keys(profile.variables).forEach((variableName) => {
+      const type = profile.variables[variableName];
+      if (VARIABLE_TYPES.indexOf(type) < 0) {
+        throw new Error(
+          `Variable ${variableName} in profile ${profile.name} has unknown ` +
+            `type ${type}. Use one of ${VARIABLE_TYPES.join(', ')}`,
+        );
+      }
+    });
+
+    ['platformID', 'productFirmwareVersion', 'productID']
+      .filter((key) => profile[key] != null)
+      .forEach((key) => {
+        const value = profile[key];
+        if (
+          typeof value !== 'number' ||
+          value < 0 ||
+          value > MAX_HELLO_VALUE ||
+          value % 1 !== 0
+        ) {
+          throw new Error(
+            `${key} in profile ${profile.name} must be a whole number up to ` +
+              `${MAX_HELLO_VALUE}`,
+          );
+        }
+      });
+
+    const handlers = profile.handlers || {};
+    [handlers.functions, handlers.variables].forEach((specs) =>
+      Object.keys(specs || {}).forEach((name) => {
+        try {
+          DeviceHandlers.fromSpec((specs || {})[name]);
+        } catch (error) {
+          throw new Error(
+            `Handler for ${name} in profile ${profile.name}: ${error.message}`,
+          );
+        }
+      }),
+    );
+
+    return profile;
+  }
+}
+
+export default DeviceProfiles;
@@ -0,0 +1,165 @@
+// @flow
+
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+import { FOLDER_PATH } from './ConfigStore';
+import DeviceKeys from './DeviceKeys';
+
+import type { Config } from './ConfigStore';
+
+export type DeviceRegistration = {
+  claimed: boolean,
+  owner: ?string,
+  registeredAt: number,
+};
+
+export type RegistryEntry = {
+  deviceID: string,
+  // Relative to the working directory
+  keyPath: string,
+  // Keyed by server, see DeviceRegistry.getServer
+  registrations: { [server: string]: DeviceRegistration },
+};
+
+const REGISTRY_FILE_PATH = path.join(FOLDER_PATH, 'registry.json');
+
+/**
+ * Remembers every device key and which servers it has been registered on, in
+ * data/registry.json. A key that's been sent to one server is unknown to any
+ * other, so registrations are tracked per server.
+ *
+ * Keys in data/keys that aren't in the registry yet are added as unregistered
+ * when it loads, and entries whose key file is gone are dropped.
+ */
+class DeviceRegistry {
+  _entries: Map<string, RegistryEntry> = new Map();
+
+  // `host:port` of the config's API, keys are registered through it whichever
+  // device endpoint they connect to
+  static getServer(config: Config): string {
+    const { hostname, port, protocol } = url.parse(config.apiUrl);
+    return `${hostname || ''}:${port || (protocol === 'https:' ? 443 : 80)}`;
+  }
+
+  load(): void {
+    this._entries = new Map();
+    if (fs.existsSync(REGISTRY_FILE_PATH)) {
+      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE_PATH, 'utf8'));
+      (data.devices || []).forEach((entry: RegistryEntry) =>
+        this._entries.set(entry.deviceID, entry),
+      );
+    }
+
+    const deviceIDs = DeviceKeys.list();
+    let hasChanged = false;
+    this._entries.forEach((entry, deviceID) => {
+      if (deviceIDs.indexOf(deviceID) < 0) {
+        this._entries.delete(deviceID);
+        hasChanged = true;
+      }
+    });
+    deviceIDs
+      .filter((deviceID) => !this._entries.has(deviceID))
+      .forEach((deviceID) => {
+        this.add(deviceID);
+        hasChanged = true;
+      });
+
+    if (hasChanged) {
+      this.save();
+    }
+  }
+
+  save(): void {
+    fs.writeFileSync(
+      REGISTRY_FILE_PATH,
+      JSON.stringify({ devices: Array.from(this._entries.values()) }, null, 2),
+    );
+  }
+
+  add(deviceID: string): void {
+    if (this._entries.has(deviceID)) {
+      return;
+    }
+
+    this._entries.set(deviceID, {
+      deviceID,
+      keyPath: path.relative(process.cwd(), DeviceKeys.getPath(deviceID)),
+      registrations: {},
+    });
+  }
+
+  remove(deviceID: string): void {
+    this._entries.delete(deviceID);
+  }
+
+  getEntry(deviceID: string): ?RegistryEntry {
+    return this._entries.get(deviceID);
+  }
+
+  // In the order the keys were added
+  getDeviceIDs(): Array<string> {
+    return Array.from(this._entries.keys());
+  }
+
+  getRegistration(deviceID: string, server: string): ?DeviceRegistration {
+    const entry = this._entries.get(deviceID);
+    return entry ? entry.registrations[server] : null;
+  }
+
+  isRegistered(deviceID: string, server: string): boolean {
+    return !!this.getRegistration(deviceID, server);
+  }
+
+  getRegisteredDeviceIDs(server: string): Array<string> {
+    return this.getDeviceIDs().filter((deviceID) =>
+      this.isRegistered(deviceID, server),
+    );
+  }
+
+  // Keys no server knows about
+  getUnregisteredDeviceIDs(): Array<string> {
+    return this.getDeviceIDs().filter((deviceID) => {
+      const entry = this._entries.get(deviceID);
+      return !!entry && !Object.keys(entry.registrations).length;
+    });
+  }
+
+  getClaimedDeviceIDs(server: string): Array<string> {
+    return this.getDeviceIDs().filter((deviceID) => {
+      const registration = this.getRegistration(deviceID, server);
+      return !!registration && registration.claimed;
+    });
+  }
+
+  // Sending the public key with an access token claims the device for that
+  // user
+  setRegistered(deviceID: string, server: string, owner: ?string): void {
+    const entry = this._entries.get(deviceID);
+    if (!entry) {
+      return;
+    }
+
+    entry.registrations[server] = {
+      claimed: !!owner,
+      owner,
+      registeredAt: Date.now(),
+    };
+  }
+
+  setUnregistered(deviceID: string, server: string): void {
+    const entry = this._entries.get(deviceID);
+    if (entry) {
+      delete entry.registrations[server];
+    }
+  }
+
+  // For servers that lost their keys, like the fake server after a restart
+  clearServer(server: string): void {
+    this._entries.forEach((entry) => delete entry.registrations[server]);
+  }
+}
+
+export default DeviceRegistry;
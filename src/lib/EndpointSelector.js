@@ -0,0 +1,144 @@
+// @flow
+
+import crypto from 'crypto';
+
+export type DeviceEndpoint = {
+  host: string,
+  port: number,
+  // Share of the devices under the weighted policy, 1 when not set
+  weight?: number,
+};
+
+export type EndpointPolicy = 'pinned' | 'roundRobin' | 'weighted';
+
+export const ENDPOINT_POLICIES: Array<EndpointPolicy> = [
+  'pinned',
+  'roundRobin',
+  'weighted',
+];
+export const DEFAULT_DEVICE_PORT = 5683;
+
+/**
+ * Picks the device server endpoint each new device connects to. A device
+ * keeps its endpoint when it reconnects.
+ *
+ *   roundRobin  the endpoints take turns
+ *   weighted    random, in proportion to each endpoint's `weight`
+ *   pinned      picked from a hash of the device ID, so a device goes to the
+ *               same endpoint on every run and from every worker
+ */
+class EndpointSelector {
+  _endpoints: Array<DeviceEndpoint>;
+  _nextIndex: number = 0;
+  _policy: EndpointPolicy;
+
+  constructor(endpoints: Array<DeviceEndpoint>, policy: EndpointPolicy) {
+    this._endpoints = endpoints;
+    this._policy = policy;
+  }
+
+  // `host:port`, or just `host` for the default port
+  static parse(address: string): DeviceEndpoint {
+    const match = address.trim().match(/^(.+?)(?::(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid device endpoint ${address}`);
+    }
+    return {
+      host: match[1],
+      port: match[2] ? parseInt(match[2], 10) : DEFAULT_DEVICE_PORT,
+    };
+  }
+
+  static format(endpoint: DeviceEndpoint): string {
+    return `${endpoint.host}:${endpoint.port}`;
+  }
+
+  // Throws for endpoints devices can't connect to
+  static validate(
+    endpoints: Array<DeviceEndpoint>,
+    policy: EndpointPolicy,
+  ): void {
+    if (!Array.isArray(endpoints) || !endpoints.length) {
+      throw new Error('A config needs at least one device endpoint');
+    }
+    endpoints.forEach((endpoint) => {
+      if (
+        !endpoint ||
+        typeof endpoint.host !== 'string' ||
+        !endpoint.host ||
+        typeof endpoint.port !== 'number' ||
+        endpoint.port % 1 !== 0 ||
+        endpoint.port <= 0 ||
+        endpoint.port > 0xffff ||
+        (endpoint.weight != null &&
+          (typeof endpoint.weight !== 'number' || endpoint.weight < 0))
+      ) {
+        throw new Error(
+          `Invalid device endpoint ${JSON.stringify(endpoint)}. Use ` +
+            '{ host, port, weight }',
+        );
+      }
+    });
+    if (ENDPOINT_POLICIES.indexOf((policy: any)) < 0) {
+      throw new Error(
+        `Unknown endpoint policy ${String(policy)}. Use one of ` +
+          ENDPOINT_POLICIES.join(', '),
+      );
+    }
+    if (
+      policy === 'weighted' &&
+      !endpoints.some((endpoint) => EndpointSelector._getWeight(endpoint))
+    ) {
+      throw new Error('The weighted policy needs an endpoint with a weight');
+    }
+  }
+
+  static _getWeight(endpoint: DeviceEndpoint): number {
+    return endpoint.weight == null ? 1 : endpoint.weight;
+  }
+
+  getEndpoints(): Array<DeviceEndpoint> {
+    return this._endpoints;
+  }
+
+  // Null for a pinned device without a key yet, whoever creates the key has
+  // to pin it with getPinned
+  select(deviceID: ?string): ?DeviceEndpoint {
+    switch (this._policy) {
+      case 'pinned': {
+        return deviceID ? this.getPinned(deviceID) : null;
+      }
+
+      case 'weighted': {
+        const total = this._endpoints.reduce(
+          (sum, endpoint) => sum + EndpointSelector._getWeight(endpoint),
+          0,
+        );
+        let choice = Math.random() * total;
+        const endpoint = this._endpoints.find((item) => {
+          choice -= EndpointSelector._getWeight(item);
+          return choice < 0;
+        });
+        return endpoint || this._endpoints[this._endpoints.length - 1];
+      }
+
+      default: {
+        const endpoint = this._endpoints[
+          this._nextIndex % this._endpoints.length
+        ];
+        this._nextIndex += 1;
+        return endpoint;
+      }
+    }
+  }
+
+  getPinned(deviceID: string): DeviceEndpoint {
+    const hash = crypto
+      .createHash('md5')
+      .update(deviceID.toLowerCase())
+      .digest();
+    return this._endpoints[hash.readUInt32BE(0) % this._endpoints.length];
+  }
+}
+
+export default EndpointSelector;
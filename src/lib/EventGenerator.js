@@ -0,0 +1,231 @@
+// @flow
+
+import type { PublishedEvent } from '../devices/TCPDevice';
+
+export type EventSpec = {
+  // `count` extra events back to back every `every` ms, on top of `rate`
+  burst?: { count: number, every: number },
+  // Can use the same {{...}} fields as `payload`
+  name: string,
+  payload?: string,
+  private?: boolean,
+  // Events per second per device
+  rate?: number,
+  // Bytes, the payload is padded with random letters or cut to fit
+  size?: number,
+  // Seconds, the server keeps 60 when not set
+  ttl?: number,
+};
+
+// Anything that can publish, TCPDevice in practice
+type Publisher = {
+  getDeviceID(): string,
+  getIsConnected(): boolean,
+  publishEvent(event: PublishedEvent): void,
+};
+
+type DeviceState = {
+  nextBurstAt: number,
+  // Fractional events carried over to the next tick
+  pending: number,
+  sequence: number,
+};
+
+// Device OS 0.8 raised this from 255
+export const MAX_EVENT_DATA_LENGTH = 622;
+export const MAX_EVENT_NAME_LENGTH = 64;
+
+const TICK = 100;
+const LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const randomLetters = (length: number): string => {
+  let text = '';
+  for (let ii = 0; ii < length; ii++) {
+    text += LETTERS[Math.floor(Math.random() * LETTERS.length)];
+  }
+  return text;
+};
+
+/**
+ * Publishes events from every connected device at a per-device rate, with
+ * optional bursts. Names and payloads are templates that can use:
+ *
+ *   {{deviceID}}   the publishing device
+ *   {{sequence}}   how many events of this spec the device published before
+ *   {{timestamp}}  ms since the epoch
+ *   {{random}}     a random number between 0 and 1
+ *
+ * Devices start at a random point in their period so they don't all publish
+ * on the same tick.
+ */
+class EventGenerator {
+  _getDevices: () => Array<Publisher>;
+  _interval: ?number = null;
+  _lastTickAt: number = 0;
+  _published: number = 0;
+  _specs: Array<EventSpec>;
+  // One map per spec, keyed by device ID
+  _states: Array<Map<string, DeviceState>> = [];
+
+  // Throws on the first invalid spec
+  static validate(specs: Array<Object>): Array<EventSpec> {
+    if (!Array.isArray(specs) || !specs.length) {
+      throw new Error('Publishing needs "events"');
+    }
+
+    specs.forEach((spec, index) => {
+      const prefix = `Event ${index + 1}`;
+      if (!spec || typeof spec.name !== 'string' || !spec.name) {
+        throw new Error(`${prefix} needs a "name"`);
+      }
+      if (spec.name.length > MAX_EVENT_NAME_LENGTH) {
+        throw new Error(
+          `${prefix} has a name longer than ${MAX_EVENT_NAME_LENGTH} ` +
+            'characters',
+        );
+      }
+      ['rate', 'size', 'ttl']
+        .filter((key) => spec[key] != null)
+        .forEach((key) => {
+          if (typeof spec[key] !== 'number' || spec[key] < 0) {
+            throw new Error(`${prefix} needs a number for "${key}"`);
+          }
+        });
+      if (spec.size > MAX_EVENT_DATA_LENGTH) {
+        throw new Error(
+          `${prefix} has a size over the ${MAX_EVENT_DATA_LENGTH} byte limit`,
+        );
+      }
+
+      const { burst } = spec;
+      if (
+        burst != null &&
+        (typeof burst.count !== 'number' ||
+          typeof burst.every !== 'number' ||
+          burst.every <= 0)
+      ) {
+        throw new Error(`${prefix} needs "count" and "every" for its burst`);
+      }
+      if (!spec.rate && !burst) {
+        throw new Error(`${prefix} needs a "rate" or a "burst"`);
+      }
+    });
+
+    return specs;
+  }
+
+  static render(template: string, fields: Object): string {
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+      fields[key] == null ? '' : String(fields[key]),
+    );
+  }
+
+  constructor(specs: Array<EventSpec>, getDevices: () => Array<Publisher>) {
+    this._getDevices = getDevices;
+    this._specs = specs;
+    this._states = specs.map(() => new Map());
+  }
+
+  start(): void {
+    if (this._interval) {
+      return;
+    }
+
+    this._lastTickAt = Date.now();
+    this._interval = setInterval(this._tick, TICK);
+  }
+
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+
+  getPublishedCount(): number {
+    return this._published;
+  }
+
+  _tick = (): void => {
+    const now = Date.now();
+    const seconds = (now - this._lastTickAt) / 1000;
+    this._lastTickAt = now;
+
+    const devices = this._getDevices().filter((device) =>
+      device.getIsConnected(),
+    );
+    this._specs.forEach((spec, index) => {
+      const states = this._states[index];
+      devices.forEach((device) => {
+        const state = this._getState(states, device.getDeviceID(), spec, now);
+        let count = 0;
+        state.pending += (spec.rate || 0) * seconds;
+        while (state.pending >= 1) {
+          state.pending -= 1;
+          count += 1;
+        }
+
+        const { burst } = spec;
+        if (burst && now >= state.nextBurstAt) {
+          count += burst.count;
+          state.nextBurstAt = now + burst.every;
+        }
+
+        for (let ii = 0; ii < count; ii++) {
+          this._publish(device, spec, state);
+        }
+      });
+    });
+  };
+
+  _getState(
+    states: Map<string, DeviceState>,
+    deviceID: string,
+    spec: EventSpec,
+    now: number,
+  ): DeviceState {
+    let state = states.get(deviceID);
+    if (!state) {
+      const { burst } = spec;
+      state = {
+        nextBurstAt: burst ? now + Math.random() * burst.every : 0,
+        pending: Math.random(),
+        sequence: 0,
+      };
+      states.set(deviceID, state);
+    }
+    return state;
+  }
+
+  _publish(device: Publisher, spec: EventSpec, state: DeviceState): void {
+    const fields = {
+      deviceID: device.getDeviceID(),
+      random: Math.random(),
+      sequence: state.sequence,
+      timestamp: Date.now(),
+    };
+    state.sequence += 1;
+
+    let data = Buffer.from(EventGenerator.render(spec.payload || '', fields));
+    const { size } = spec;
+    if (size != null) {
+      data =
+        data.length >= size
+          ? data.slice(0, size)
+          : Buffer.concat([
+              data,
+              Buffer.from(randomLetters(size - data.length)),
+            ]);
+    }
+
+    device.publishEvent({
+      data,
+      isPrivate: !!spec.private,
+      name: EventGenerator.render(spec.name, fields),
+      ttl: spec.ttl,
+    });
+    this._published += 1;
+  }
+}
+
+export default EventGenerator;
@@ -0,0 +1,151 @@
+// @flow
+
+import MetricsCollector from './MetricsCollector';
+
+import type { OperationStats } from './MetricsCollector';
+import type { ReceivedEvent } from '../devices/TCPDevice';
+
+export type FanOutOptions = {
+  // Events per publisher
+  events?: number,
+  // ms between a publisher's events
+  interval?: number,
+  // What the subscribers subscribe to, events go out under it
+  prefix?: string,
+  private?: boolean,
+  publishers?: number,
+  subscribers?: number,
+  // ms to wait for the subscriptions, and for deliveries after the last
+  // publish
+  timeout?: number,
+};
+
+export type FanOutResult = {
+  // Event and subscriber pairs that arrived at least once
+  delivered: number,
+  // Copies on top of the first
+  duplicates: number,
+  durationMs: number,
+  // Every event to every subscriber
+  expected: number,
+  // From publishing to the first copy arriving
+  latency: OperationStats,
+  missing: number,
+  passed: boolean,
+  prefix: string,
+  published: number,
+  publishers: number,
+  subscribers: number,
+  // Subscribers the server never acknowledged, their events count as missing
+  unsubscribed: number,
+};
+
+export type MissingDelivery = { name: string, subscriberID: string };
+
+// Leaves room for `/<run>/<publisher>-<sequence>` under the prefix
+export const MAX_FAN_OUT_PREFIX_LENGTH = 40;
+
+/**
+ * Keeps track of which subscriber got which event for a fanOut step. Every
+ * run publishes under its own `<prefix>/<run>/` so events from other runs or
+ * other traffic on the prefix are ignored.
+ */
+class FanOutCheck {
+  // Copies received by event name, then by subscriber ID
+  _copies: Map<string, Map<string, number>> = new Map();
+  _eventPrefix: string;
+  _latency: MetricsCollector = new MetricsCollector();
+  _prefix: string;
+  _sentAt: Map<string, number> = new Map();
+  _subscriberIDs: Array<string>;
+
+  constructor(prefix: string, subscriberIDs: Array<string>) {
+    this._eventPrefix = `${prefix}/${Date.now().toString(36)}/`;
+    this._prefix = prefix;
+    this._subscriberIDs = subscriberIDs;
+  }
+
+  getEventName(publisher: number, sequence: number): string {
+    return `${this._eventPrefix}${publisher}-${sequence}`;
+  }
+
+  addPublished(name: string): void {
+    this._sentAt.set(name, Date.now());
+    this._copies.set(name, new Map());
+  }
+
+  // Returns the latency for the first copy of a published event, null for
+  // anything else
+  addReceived(subscriberID: string, event: ReceivedEvent): ?number {
+    const copies = this._copies.get(event.name);
+    const sentAt = this._sentAt.get(event.name);
+    if (!copies || sentAt == null) {
+      return null;
+    }
+
+    const count = (copies.get(subscriberID) || 0) + 1;
+    copies.set(subscriberID, count);
+    if (count > 1) {
+      return null;
+    }
+
+    const latency = Math.max(0, event.receivedAt - sentAt);
+    this._latency.record('fanout', latency);
+    return latency;
+  }
+
+  isComplete(): boolean {
+    return !this.getMissing().length;
+  }
+
+  getMissing(): Array<MissingDelivery> {
+    const missing = [];
+    this._copies.forEach((copies, name) =>
+      this._subscriberIDs
+        .filter((subscriberID) => !copies.has(subscriberID))
+        .forEach((subscriberID) => missing.push({ name, subscriberID })),
+    );
+    return missing;
+  }
+
+  getDuplicateCount(): number {
+    let duplicates = 0;
+    this._copies.forEach((copies) =>
+      copies.forEach((count) => {
+        duplicates += count - 1;
+      }),
+    );
+    return duplicates;
+  }
+
+  getResult({
+    durationMs,
+    publishers,
+    unsubscribed,
+  }: {
+    durationMs: number,
+    publishers: number,
+    unsubscribed: number,
+  }): FanOutResult {
+    const expected = this._copies.size * this._subscriberIDs.length;
+    const missing = this.getMissing().length;
+    const duplicates = this.getDuplicateCount();
+
+    return {
+      delivered: expected - missing,
+      duplicates,
+      durationMs,
+      expected,
+      latency: this._latency.getStats('fanout'),
+      missing,
+      passed: !missing && !duplicates,
+      prefix: this._prefix,
+      published: this._copies.size,
+      publishers,
+      subscribers: this._subscriberIDs.length,
+      unsubscribed,
+    };
+  }
+}
+
+export default FanOutCheck;
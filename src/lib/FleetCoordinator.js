@@ -0,0 +1,333 @@
+// @flow
+
+import chalk from 'chalk';
+import { fork } from 'child_process';
+import path from 'path';
+
+import RemoteDevice from '../devices/RemoteDevice';
+import { DISCONNECTED_EVENT, PHASE_EVENT } from '../devices/TCPDevice';
+
+import type { ChildProcess } from 'child_process';
+import type { CoapCounts } from './CoapCounter';
+import type { Config } from './ConfigStore';
+import type { DeviceProfile } from './DeviceProfiles';
+import type { DeviceEndpoint } from './EndpointSelector';
+import type { EventSpec } from './EventGenerator';
+import type { NetworkProfile } from './NetworkProfiles';
+import type { ProductIdentity } from '../devices/TCPDevice';
+import type { ReconnectPolicySpec } from './ReconnectPolicy';
+import type { WorkerCommand, WorkerMessage } from '../FleetWorker';
+
+export type RemoteDeviceOptions = {
+  deviceID: ?string,
+  // Null for pinned devices without a key, the worker pins them
+  endpoint: ?DeviceEndpoint,
+  network?: NetworkProfile,
+  product?: ?ProductIdentity,
+  profile: DeviceProfile,
+  reconnect?: ReconnectPolicySpec,
+};
+
+type PendingDevice = {
+  profile: DeviceProfile,
+  reject: (error: Error) => void,
+  resolve: (device: RemoteDevice) => void,
+};
+
+type PendingKey = {
+  reject: (error: Error) => void,
+  resolve: (deviceID: string) => void,
+};
+
+type Worker = {
+  devices: Map<number, RemoteDevice>,
+  index: number,
+  isRunning: boolean,
+  pendingDevices: Map<number, PendingDevice>,
+  pendingKeys: Map<number, PendingKey>,
+  process: ChildProcess,
+};
+
+const WORKER_PATH = path.join(__dirname, '..', 'worker.js');
+const SETUP_TIMEOUT = 30000;
+
+/**
+ * Spreads devices over worker processes so RSA handshakes, AES streams and
+ * ping timers don't all compete for one event loop. The coordinator picks the
+ * worker for each device, sends it commands and hands back RemoteDevices that
+ * mirror the real devices' state and events, so connected counts and metrics
+ * are collected here like they are for local devices.
+ */
+class FleetCoordinator {
+  // Latest totals from each worker by index, kept after they stop
+  _coapCounts: Map<number, CoapCounts> = new Map();
+  _nextHandle: number = 1;
+  _workerCount: number;
+  _workers: Array<Worker> = [];
+
+  constructor(workerCount: number) {
+    this._workerCount = workerCount;
+  }
+
+  getWorkerCount(): number {
+    return this._workerCount;
+  }
+
+  getCoapCounts(): Array<CoapCounts> {
+    return Array.from(this._coapCounts.values());
+  }
+
+  // Starts the workers the first time and (re)sends the config to all of them
+  start = async (config: Config): Promise<void> => {
+    if (!this._workers.length) {
+      for (let ii = 0; ii < this._workerCount; ii++) {
+        this._workers.push(this._startWorker(ii));
+      }
+    }
+
+    await Promise.all(
+      this._workers
+        .filter((worker) => worker.isRunning)
+        .map((worker) => this._setupWorker(worker, config)),
+    );
+  };
+
+  stop(): void {
+    this._workers.forEach((worker) => {
+      worker.isRunning = false;
+      if (worker.process.connected) {
+        worker.process.disconnect();
+      }
+    });
+    this._workers = [];
+  }
+
+  // Goes to the worker with the fewest devices
+  createDevice({
+    deviceID,
+    endpoint,
+    network,
+    product,
+    profile,
+    reconnect,
+  }: RemoteDeviceOptions): Promise<RemoteDevice> {
+    const worker = this._getLeastLoadedWorker();
+    if (!worker) {
+      return Promise.reject(new Error('No fleet workers are running'));
+    }
+
+    const handle = this._nextHandle;
+    this._nextHandle += 1;
+
+    return new Promise((resolve, reject) => {
+      worker.pendingDevices.set(handle, { profile, reject, resolve });
+      this._send(worker, {
+        deviceID,
+        endpoint,
+        handle,
+        network,
+        product,
+        profile: profile.name,
+        reconnect,
+        type: 'createDevice',
+      });
+    });
+  }
+
+  // Resolves with the device ID of a new key in data/keys
+  generateKey(): Promise<string> {
+    const worker = this._getLeastLoadedWorker();
+    if (!worker) {
+      return Promise.reject(new Error('No fleet workers are running'));
+    }
+
+    const handle = this._nextHandle;
+    this._nextHandle += 1;
+
+    return new Promise((resolve, reject) => {
+      worker.pendingKeys.set(handle, { reject, resolve });
+      this._send(worker, { handle, type: 'generateKey' });
+    });
+  }
+
+  // Each worker publishes from the devices it runs, new ones included
+  startEvents(events: Array<EventSpec>): void {
+    this._workers.forEach((worker) =>
+      this._send(worker, { events, type: 'startEvents' }),
+    );
+  }
+
+  stopEvents(): void {
+    this._workers.forEach((worker) =>
+      this._send(worker, { type: 'stopEvents' }),
+    );
+  }
+
+  _getLeastLoadedWorker(): ?Worker {
+    const workers = this._workers.filter((worker) => worker.isRunning);
+    if (!workers.length) {
+      return null;
+    }
+
+    return workers.reduce((least, candidate) =>
+      this._getLoad(candidate) < this._getLoad(least) ? candidate : least,
+    );
+  }
+
+  _getLoad(worker: Worker): number {
+    return (
+      worker.devices.size +
+      worker.pendingDevices.size +
+      worker.pendingKeys.size
+    );
+  }
+
+  _startWorker(index: number): Worker {
+    const worker = {
+      devices: new Map(),
+      index,
+      isRunning: true,
+      pendingDevices: new Map(),
+      pendingKeys: new Map(),
+      // The worker source needs the same babel setup as babel-node
+      process: fork(WORKER_PATH, [], {
+        execArgv: [
+          '--require',
+          require.resolve('babel-polyfill'),
+          '--require',
+          require.resolve('babel-register'),
+        ],
+      }),
+    };
+
+    worker.process.on('message', (message: WorkerMessage) =>
+      this._onMessage(worker, message),
+    );
+    worker.process.on('exit', (code: ?number) =>
+      this._onWorkerExit(worker, code),
+    );
+
+    return worker;
+  }
+
+  _setupWorker(worker: Worker, config: Config): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        worker.process.removeListener('message', onMessage);
+        reject(new Error(`Fleet worker ${worker.index} did not start`));
+      }, SETUP_TIMEOUT);
+      const onMessage = (message: WorkerMessage) => {
+        if (message.type !== 'ready') {
+          return;
+        }
+
+        clearTimeout(timeout);
+        worker.process.removeListener('message', onMessage);
+        resolve();
+      };
+      worker.process.on('message', onMessage);
+      this._send(worker, { config, type: 'setup' });
+    });
+  }
+
+  _onMessage(worker: Worker, message: WorkerMessage): void {
+    switch (message.type) {
+      case 'created': {
+        const pending = worker.pendingDevices.get(message.handle);
+        if (!pending) {
+          return;
+        }
+
+        worker.pendingDevices.delete(message.handle);
+        const device = new RemoteDevice({
+          deviceID: message.deviceID,
+          handle: message.handle,
+          profile: pending.profile,
+          publicKey: message.publicKey,
+          send: (command: WorkerCommand) => this._send(worker, command),
+        });
+        worker.devices.set(message.handle, device);
+        pending.resolve(device);
+        break;
+      }
+
+      case 'createFailed': {
+        const pending = worker.pendingDevices.get(message.handle);
+        if (pending) {
+          worker.pendingDevices.delete(message.handle);
+          pending.reject(new Error(message.error));
+        }
+        break;
+      }
+
+      case 'coapCounts': {
+        this._coapCounts.set(worker.index, message.counts);
+        break;
+      }
+
+      case 'event': {
+        const device = worker.devices.get(message.handle);
+        if (device) {
+          device.handleEvent(message.event, message.value);
+        }
+        break;
+      }
+
+      case 'keyGenerated': {
+        const pending = worker.pendingKeys.get(message.handle);
+        if (pending) {
+          worker.pendingKeys.delete(message.handle);
+          pending.resolve(message.deviceID);
+        }
+        break;
+      }
+    }
+  }
+
+  _send(worker: Worker, command: WorkerCommand): void {
+    if (!worker.isRunning || !worker.process.connected) {
+      return;
+    }
+
+    worker.process.send(command);
+    // Stopped devices don't emit anything worth mirroring
+    if (
+      command.type === 'abortHandshake' ||
+      command.type === 'disconnect' ||
+      command.type === 'goSilent'
+    ) {
+      worker.devices.delete(command.handle);
+    }
+  }
+
+  // Devices on a worker that died are gone, let the engine see them drop
+  _onWorkerExit(worker: Worker, code: ?number): void {
+    if (worker.isRunning) {
+      console.error(
+        chalk.red(
+          `Fleet worker ${worker.index} exited with code ${String(code)}, ` +
+            `${worker.devices.size} devices lost`,
+        ),
+      );
+    }
+
+    worker.isRunning = false;
+    worker.devices.forEach((device) => {
+      if (device.getIsConnected()) {
+        device.handleEvent(DISCONNECTED_EVENT);
+      }
+      device.handleEvent(PHASE_EVENT, 'idle');
+    });
+    worker.devices.clear();
+    worker.pendingDevices.forEach((pending) =>
+      pending.reject(new Error(`Fleet worker ${worker.index} exited`)),
+    );
+    worker.pendingDevices.clear();
+    worker.pendingKeys.forEach((pending) =>
+      pending.reject(new Error(`Fleet worker ${worker.index} exited`)),
+    );
+    worker.pendingKeys.clear();
+  }
+}
+
+export default FleetCoordinator;
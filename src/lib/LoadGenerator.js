@@ -0,0 +1,157 @@
+// @flow
+
+import type { LoadAction } from '../ScenarioEngine';
+
+// Relative weights keyed by LoadAction, { functions: 3, variables: 1 } sends
+// three function calls for every variable request
+export type LoadMix = { [action: string]: number };
+
+export type LoadSettings = {
+  maxInFlight?: number,
+  mix?: LoadMix,
+  // Requests per second
+  rate?: number,
+};
+
+export type LoadStats = {
+  // Arrivals thrown away because `maxInFlight` requests were outstanding
+  dropped: number,
+  inFlight: number,
+  maxInFlight: number,
+  mix: LoadMix,
+  rate: number,
+  sent: number,
+  // Arrivals with no device the server can route calls to yet
+  skipped: number,
+};
+
+// Returns null when there was nothing to send the request to
+export type RunLoadAction = (action: LoadAction) => ?Promise<mixed>;
+
+const DEFAULT_MAX_IN_FLIGHT = 100;
+const TICK = 50;
+
+/**
+ * Sends requests at a fixed arrival rate no matter how fast they complete, so
+ * the rate stays where it was set instead of following the fleet size or the
+ * server's latency. Arrivals that would go over `maxInFlight` are dropped and
+ * counted rather than queued.
+ */
+class LoadGenerator {
+  _dropped: number = 0;
+  _inFlight: number = 0;
+  _interval: ?number = null;
+  _lastTickAt: number = 0;
+  _maxInFlight: number = DEFAULT_MAX_IN_FLIGHT;
+  _mix: LoadMix = {};
+  // Fractional arrivals carried over to the next tick
+  _pending: number = 0;
+  _rate: number = 0;
+  _runAction: RunLoadAction;
+  _sent: number = 0;
+  _skipped: number = 0;
+
+  constructor(settings: LoadSettings, runAction: RunLoadAction) {
+    this._runAction = runAction;
+    this.update(settings);
+  }
+
+  start(): void {
+    if (this._interval) {
+      return;
+    }
+
+    this._lastTickAt = Date.now();
+    this._interval = setInterval(this._tick, TICK);
+  }
+
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._pending = 0;
+  }
+
+  // Takes effect on the next tick, unset settings are left as they are
+  update({ maxInFlight, mix, rate }: LoadSettings): void {
+    if (maxInFlight != null) {
+      this._maxInFlight = maxInFlight;
+    }
+    if (mix != null) {
+      this._mix = mix;
+    }
+    if (rate != null) {
+      this._rate = rate;
+    }
+  }
+
+  hasAction(action: LoadAction): boolean {
+    return !!this._mix[action];
+  }
+
+  getStats(): LoadStats {
+    return {
+      dropped: this._dropped,
+      inFlight: this._inFlight,
+      maxInFlight: this._maxInFlight,
+      mix: this._mix,
+      rate: this._rate,
+      sent: this._sent,
+      skipped: this._skipped,
+    };
+  }
+
+  _tick = (): void => {
+    const now = Date.now();
+    this._pending += (this._rate * (now - this._lastTickAt)) / 1000;
+    this._lastTickAt = now;
+
+    while (this._pending >= 1) {
+      this._pending -= 1;
+      this._arrive();
+    }
+  };
+
+  _arrive(): void {
+    const action = this._pickAction();
+    if (!action) {
+      return;
+    }
+
+    if (this._inFlight >= this._maxInFlight) {
+      this._dropped += 1;
+      return;
+    }
+
+    const promise = this._runAction(action);
+    if (!promise) {
+      this._skipped += 1;
+      return;
+    }
+
+    this._sent += 1;
+    this._inFlight += 1;
+    const onDone = () => {
+      this._inFlight -= 1;
+    };
+    promise.then(onDone, onDone);
+  }
+
+  _pickAction(): ?LoadAction {
+    const actions = Object.keys(this._mix).filter(
+      (action) => this._mix[action] > 0,
+    );
+    const total = actions.reduce((sum, action) => sum + this._mix[action], 0);
+    let choice = Math.random() * total;
+    for (let ii = 0; ii < actions.length; ii++) {
+      choice -= this._mix[actions[ii]];
+      if (choice < 0) {
+        return (actions[ii]: any);
+      }
+    }
+    return null;
+  }
+}
+
+export default LoadGenerator;
@@ -0,0 +1,281 @@
+// @flow
+
+// `reconnect` is the time for the whole fleet to come back after a storm,
+// `publish` the time until the server acknowledged a published event,
+// `fanout` the time until a subscribed device received it and
+// `webhookRequest` the time until the webhook reached the WebhookReceiver
+export type Operation =
+  | 'connect'
+  | 'fanout'
+  | 'function'
+  | 'publish'
+  | 'reconnect'
+  | 'variable'
+  | 'webhook'
+  | 'webhookRequest';
+
+export type OperationStats = {
+  count: number,
+  errorRate: number,
+  errors: number,
+  max: number,
+  // Replies that arrived but didn't carry what the device sent
+  mismatches: number,
+  p50: number,
+  p90: number,
+  p99: number,
+  // Completed operations per second over the last THROUGHPUT_WINDOW
+  recentThroughput: number,
+  // Completed operations per second since the collector started
+  throughput: number,
+};
+
+// Operations at or below each bound, for bounds on the collector's grid like
+// the Prometheus ones
+export type LatencyHistogram = {
+  buckets: Array<number>,
+  count: number,
+  sum: number,
+};
+
+export type RecordedError = {
+  at: number,
+  message: string,
+  operation: Operation,
+};
+
+export const OPERATIONS: Array<Operation> = [
+  'connect',
+  'fanout',
+  'function',
+  'publish',
+  'reconnect',
+  'variable',
+  'webhook',
+  'webhookRequest',
+];
+
+type Latencies = {
+  // Per bucket of BUCKET_BOUNDS, the last one catches everything above
+  counts: Array<number>,
+  max: number,
+  sum: number,
+  total: number,
+};
+
+// Completions per second, slot `second % length` counts `seconds[slot]`. One
+// slot more than THROUGHPUT_WINDOW holds for the second still filling up.
+type Throughput = {
+  counts: Array<number>,
+  seconds: Array<number>,
+};
+
+const THROUGHPUT_WINDOW = 10000;
+// How many errors getRecentErrors keeps
+const RECENT_ERROR_COUNT = 50;
+// Upper bounds in ms, 1 ms and then steps of 5% of each decade up to 1000 s.
+// Percentiles are off by at most a step and every Prometheus bound is on it.
+const BUCKET_BOUNDS = [1];
+for (let decade = 1; decade < 1000000; decade *= 10) {
+  for (let step = 21; step <= 200; step += 1) {
+    BUCKET_BOUNDS.push((step * decade) / 20);
+  }
+}
+
+// Index of the first bucket that `duration` fits in
+const getBucketIndex = (duration: number): number => {
+  let low = 0;
+  let high = BUCKET_BOUNDS.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (BUCKET_BOUNDS[middle] < duration) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+// Upper bound of the bucket holding each rank, capped at the slowest sample
+const getPercentiles = (
+  latencies: Latencies,
+  ranks: Array<number>,
+): Array<number> => {
+  const { counts, max, total } = latencies;
+  let bucket = 0;
+  let seen = counts[0];
+  return ranks.map((rank) => {
+    if (!total) {
+      return 0;
+    }
+
+    const position = Math.max(1, Math.ceil((rank / 100) * total));
+    while (seen < position) {
+      bucket += 1;
+      seen += counts[bucket];
+    }
+    return bucket < BUCKET_BOUNDS.length
+      ? Math.min(BUCKET_BOUNDS[bucket], max)
+      : max;
+  });
+};
+
+// Collects latencies (in ms), error and mismatch counts per operation.
+// Latencies go into fixed buckets so a long run doesn't keep every sample.
+class MetricsCollector {
+  _errors: { [operation: string]: number } = {};
+  _latencies: { [operation: string]: Latencies } = {};
+  _mismatches: { [operation: string]: number } = {};
+  _recentErrors: Array<RecordedError> = [];
+  _statusCounts: { [operation: string]: { [status: string]: number } } = {};
+  _startTime: number = Date.now();
+  _throughput: { [operation: string]: Throughput } = {};
+
+  record(operation: Operation, duration: number): void {
+    const latencies = this._getLatencies(operation);
+    latencies.counts[getBucketIndex(duration)] += 1;
+    latencies.max = Math.max(latencies.max, duration);
+    latencies.sum += duration;
+    latencies.total += 1;
+
+    const throughput = this._getThroughput(operation);
+    const second = Math.floor(Date.now() / 1000);
+    const slot = second % throughput.counts.length;
+    if (throughput.seconds[slot] !== second) {
+      throughput.counts[slot] = 0;
+      throughput.seconds[slot] = second;
+    }
+    throughput.counts[slot] += 1;
+  }
+
+  recordError(operation: Operation, message?: ?string): void {
+    this._errors[operation] = (this._errors[operation] || 0) + 1;
+    this._recentErrors.push({
+      at: Date.now(),
+      message: message || `${operation} failed`,
+      operation,
+    });
+    if (this._recentErrors.length > RECENT_ERROR_COUNT) {
+      this._recentErrors.shift();
+    }
+  }
+
+  // HTTP status of an API call, or `network` when there was no response
+  recordStatus(operation: Operation, status: string): void {
+    const counts = this._statusCounts[operation] || {};
+    counts[status] = (counts[status] || 0) + 1;
+    this._statusCounts[operation] = counts;
+  }
+
+  recordMismatch(operation: Operation): void {
+    this._mismatches[operation] = (this._mismatches[operation] || 0) + 1;
+  }
+
+  hasData(): boolean {
+    return OPERATIONS.some(
+      (operation) =>
+        this._getLatencies(operation).total || this._errors[operation],
+    );
+  }
+
+  getStats(operation: Operation): OperationStats {
+    const now = Date.now();
+    const latencies = this._getLatencies(operation);
+    const [p50, p90, p99] = getPercentiles(latencies, [50, 90, 99]);
+    const { counts, seconds } = this._getThroughput(operation);
+    // The current second is still filling up, so the window ends before it
+    const second = Math.floor(now / 1000);
+    const windowStart = second - THROUGHPUT_WINDOW / 1000;
+    const recent = counts.reduce(
+      (sum, count, slot) =>
+        seconds[slot] < second && seconds[slot] >= windowStart
+          ? sum + count
+          : sum,
+      0,
+    );
+    const elapsedSeconds = Math.max(1, (now - this._startTime) / 1000);
+    const errors = this._errors[operation] || 0;
+    const count = latencies.total;
+
+    return {
+      count,
+      errorRate: errors ? errors / (errors + count) : 0,
+      errors,
+      max: latencies.max,
+      mismatches: this._mismatches[operation] || 0,
+      p50,
+      p90,
+      p99,
+      recentThroughput: recent / (THROUGHPUT_WINDOW / 1000),
+      throughput: count / elapsedSeconds,
+    };
+  }
+
+  getHistogram(operation: Operation, bounds: Array<number>): LatencyHistogram {
+    const { counts, sum, total } = this._getLatencies(operation);
+    let bucket = 0;
+    let seen = 0;
+    return {
+      buckets: bounds.map((bound) => {
+        while (
+          bucket < BUCKET_BOUNDS.length &&
+          BUCKET_BOUNDS[bucket] <= bound
+        ) {
+          seen += counts[bucket];
+          bucket += 1;
+        }
+        return seen;
+      }),
+      count: total,
+      sum,
+    };
+  }
+
+  getStatusCounts(): { [operation: string]: { [status: string]: number } } {
+    return this._statusCounts;
+  }
+
+  // Newest last
+  getRecentErrors(): Array<RecordedError> {
+    return this._recentErrors;
+  }
+
+  // Errors over all attempts, across every operation
+  getErrorRate(): number {
+    let attempts = 0;
+    let errors = 0;
+    OPERATIONS.forEach((operation) => {
+      attempts +=
+        this._getLatencies(operation).total + (this._errors[operation] || 0);
+      errors += this._errors[operation] || 0;
+    });
+
+    return errors ? errors / attempts : 0;
+  }
+
+  _getLatencies(operation: Operation): Latencies {
+    if (!this._latencies[operation]) {
+      this._latencies[operation] = {
+        counts: BUCKET_BOUNDS.map(() => 0).concat([0]),
+        max: 0,
+        sum: 0,
+        total: 0,
+      };
+    }
+    return this._latencies[operation];
+  }
+
+  _getThroughput(operation: Operation): Throughput {
+    if (!this._throughput[operation]) {
+      const length = THROUGHPUT_WINDOW / 1000 + 1;
+      this._throughput[operation] = {
+        counts: new Array(length).fill(0),
+        seconds: new Array(length).fill(-1),
+      };
+    }
+    return this._throughput[operation];
+  }
+}
+
+export default MetricsCollector;
@@ -0,0 +1,186 @@
+// @flow
+
+export type LatencyDistribution =
+  | 'exponential'
+  | 'fixed'
+  | 'normal'
+  | 'uniform';
+
+export type NetworkProfile = {
+  // Bytes per second in each direction, unlimited when not set
+  bandwidth?: number,
+  // How long chunks are held back to be merged with the ones after them
+  coalesceWindow?: number,
+  // Chance per chunk of merging it with whatever arrives in coalesceWindow
+  coalesceProbability?: number,
+  distribution?: LatencyDistribution,
+  // Chance per chunk of the connection dying halfway through it
+  dropProbability?: number,
+  // Spread around latency in ms. For exponential it's the mean of the tail.
+  jitter?: number,
+  // Base one way delay in ms
+  latency?: number,
+  // Chance per chunk of cutting it into 2-4 pieces
+  splitProbability?: number,
+  stallDuration?: number,
+  // Chance per chunk of the link going quiet for stallDuration ms
+  stallProbability?: number,
+};
+
+// Presets can be referenced by name instead of spelling every field out
+export type NetworkProfileSpec =
+  | string
+  | ({ preset?: string } & NetworkProfile);
+
+const DISTRIBUTIONS = ['exponential', 'fixed', 'normal', 'uniform'];
+const PROBABILITY_KEYS = [
+  'coalesceProbability',
+  'dropProbability',
+  'splitProbability',
+  'stallProbability',
+];
+const NUMBER_KEYS = [
+  'bandwidth',
+  'coalesceWindow',
+  'jitter',
+  'latency',
+  'stallDuration',
+];
+
+const DEFAULT_COALESCE_WINDOW = 50;
+const DEFAULT_STALL_DURATION = 5000;
+
+const PRESETS: { [name: string]: NetworkProfile } = {
+  cellular: {
+    bandwidth: 32000,
+    coalesceProbability: 0.2,
+    distribution: 'exponential',
+    jitter: 150,
+    latency: 300,
+    splitProbability: 0.2,
+    stallDuration: 3000,
+    stallProbability: 0.005,
+  },
+  flaky: {
+    bandwidth: 8000,
+    coalesceProbability: 0.3,
+    distribution: 'exponential',
+    dropProbability: 0.002,
+    jitter: 500,
+    latency: 500,
+    splitProbability: 0.5,
+    stallDuration: 10000,
+    stallProbability: 0.01,
+  },
+  lan: {
+    distribution: 'normal',
+    jitter: 1,
+    latency: 2,
+  },
+  wifi: {
+    coalesceProbability: 0.05,
+    distribution: 'normal',
+    jitter: 20,
+    latency: 30,
+    splitProbability: 0.05,
+  },
+};
+
+// Box-Muller, one standard normal sample
+const randomNormal = (): number =>
+  Math.sqrt(-2 * Math.log(1 - Math.random())) *
+  Math.cos(2 * Math.PI * Math.random());
+
+/**
+ * Describes how a simulated link between a device and the server behaves.
+ * Every field is optional so `{}` is a perfect network.
+ */
+class NetworkProfiles {
+  static getPresetNames(): Array<string> {
+    return Object.keys(PRESETS);
+  }
+
+  // Resolves preset names and validates the values. Fields next to `preset`
+  // override the preset's.
+  static resolve(spec: ?NetworkProfileSpec): NetworkProfile {
+    if (spec == null) {
+      return {};
+    }
+
+    const { preset, ...overrides } =
+      typeof spec === 'string' ? { preset: spec } : spec;
+    if (preset && !PRESETS[preset]) {
+      throw new Error(
+        `Unknown network preset ${preset}. Use one of ` +
+          NetworkProfiles.getPresetNames().join(', '),
+      );
+    }
+
+    const profile = { ...(preset ? PRESETS[preset] : {}), ...overrides };
+    PROBABILITY_KEYS.forEach((key) => {
+      const value = profile[key];
+      if (
+        value != null &&
+        (typeof value !== 'number' || value < 0 || value > 1)
+      ) {
+        throw new Error(`Network ${key} must be between 0 and 1`);
+      }
+    });
+    NUMBER_KEYS.forEach((key) => {
+      const value = profile[key];
+      if (value != null && (typeof value !== 'number' || value < 0)) {
+        throw new Error(`Network ${key} must be a positive number`);
+      }
+    });
+    if (
+      profile.distribution &&
+      DISTRIBUTIONS.indexOf(profile.distribution) < 0
+    ) {
+      throw new Error(
+        `Unknown latency distribution ${profile.distribution}. Use one ` +
+          `of ${DISTRIBUTIONS.join(', ')}`,
+      );
+    }
+
+    return profile;
+  }
+
+  static sampleLatency(profile: NetworkProfile): number {
+    const latency = profile.latency || 0;
+    const jitter = profile.jitter || 0;
+
+    let sample = latency;
+    switch (profile.distribution || 'uniform') {
+      case 'exponential': {
+        sample = latency - jitter * Math.log(1 - Math.random());
+        break;
+      }
+
+      case 'normal': {
+        sample = latency + jitter * randomNormal();
+        break;
+      }
+
+      case 'uniform': {
+        sample = latency + jitter * (Math.random() * 2 - 1);
+        break;
+      }
+    }
+
+    return Math.max(0, Math.round(sample));
+  }
+
+  static getCoalesceWindow(profile: NetworkProfile): number {
+    return profile.coalesceWindow == null
+      ? DEFAULT_COALESCE_WINDOW
+      : profile.coalesceWindow;
+  }
+
+  static getStallDuration(profile: NetworkProfile): number {
+    return profile.stallDuration == null
+      ? DEFAULT_STALL_DURATION
+      : profile.stallDuration;
+  }
+}
+
+export default NetworkProfiles;
@@ -2,13 +2,48 @@
 
 import { Transform } from 'stream';
 
+import NetworkProfiles from './NetworkProfiles';
+
+import type { NetworkProfile } from './NetworkProfiles';
+
+type QueuedChunk = {
+  chunk: Buffer,
+  deliverAt: number,
+  // Only part of the chunk makes it before the connection dies
+  isDropped: boolean,
+};
+
+// Emitted when the simulated link dies. The owner should close the socket.
+export const DROP_EVENT = 'drop';
+
+/**
+ * Passes bytes through the way a bad link would: delayed, capped to a
+ * bandwidth, cut up or merged differently than they were written and now and
+ * then stalled or cut off. Chunks always come out in the order they went in.
+ */
 class NetworkThrottleStream extends Transform {
-  _millisecondDelay: number;
+  _coalesceUntil: ?number = null;
+  _flushCallback: ?Function = null;
+  _isDropped: boolean = false;
+  _lastDeliverAt: number = 0;
+  _profile: NetworkProfile;
+  _queue: Array<QueuedChunk> = [];
+  _timeout: ?number = null;
 
-  constructor(millisecondDelay: number) {
+  constructor(profile: NetworkProfile) {
     super();
 
-    this._millisecondDelay = millisecondDelay;
+    this._profile = profile;
+  }
+
+  // Drops anything still in flight, like a link going away
+  stop(): void {
+    this._isDropped = true;
+    this._queue = [];
+    if (this._timeout) {
+      clearTimeout(this._timeout);
+      this._timeout = null;
+    }
   }
 
   _transform = (
@@ -16,16 +51,142 @@ class NetworkThrottleStream extends Transform {
     encoding: string,
     callback: Function,
   ) => {
-    const action = () => {
-      this.push(chunk);
+    if (this._isDropped) {
+      callback();
+      return;
+    }
+
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+    this._split(buffer).forEach((piece) => this._enqueue(piece));
+    this._schedule();
+    callback();
+  };
+
+  _flush = (callback: Function) => {
+    if (!this._queue.length) {
       callback();
-    };
-    if (!this._millisecondDelay) {
-      action();
       return;
     }
 
-    setTimeout(action, this._millisecondDelay);
+    this._flushCallback = callback;
+  };
+
+  _split(chunk: Buffer): Array<Buffer> {
+    const { splitProbability } = this._profile;
+    if (
+      chunk.length < 2 ||
+      !splitProbability ||
+      Math.random() >= splitProbability
+    ) {
+      return [chunk];
+    }
+
+    const pieceCount = Math.min(
+      chunk.length,
+      2 + Math.floor(Math.random() * 3),
+    );
+    const cuts = [];
+    while (cuts.length < pieceCount - 1) {
+      const cut = 1 + Math.floor(Math.random() * (chunk.length - 1));
+      if (cuts.indexOf(cut) < 0) {
+        cuts.push(cut);
+      }
+    }
+    cuts.sort((a, b) => a - b);
+
+    return cuts
+      .concat([chunk.length])
+      .map((end, index) => chunk.slice(index ? cuts[index - 1] : 0, end));
+  }
+
+  _enqueue(chunk: Buffer): void {
+    const profile = this._profile;
+    const { bandwidth, dropProbability, stallProbability } = profile;
+    const now = Date.now();
+
+    let delay = NetworkProfiles.sampleLatency(profile);
+    if (stallProbability && Math.random() < stallProbability) {
+      delay += NetworkProfiles.getStallDuration(profile);
+    }
+
+    // Bytes queue up behind each other on a capped link
+    const transferTime = bandwidth ? (chunk.length / bandwidth) * 1000 : 0;
+    const deliverAt =
+      Math.max(now + delay, this._lastDeliverAt) + transferTime;
+    this._lastDeliverAt = deliverAt;
+
+    this._queue.push({
+      chunk,
+      deliverAt,
+      isDropped: !!dropProbability && Math.random() < dropProbability,
+    });
+  }
+
+  _schedule(): void {
+    if (this._timeout || !this._queue.length) {
+      return;
+    }
+
+    const deliverAt = Math.max(
+      this._queue[0].deliverAt,
+      this._coalesceUntil || 0,
+    );
+    this._timeout = setTimeout(
+      this._deliver,
+      Math.max(0, deliverAt - Date.now()),
+    );
+  }
+
+  _deliver = (): void => {
+    this._timeout = null;
+    const now = Date.now();
+    const { coalesceProbability } = this._profile;
+    if (
+      this._coalesceUntil == null &&
+      coalesceProbability &&
+      Math.random() < coalesceProbability
+    ) {
+      this._coalesceUntil =
+        now + NetworkProfiles.getCoalesceWindow(this._profile);
+      this._schedule();
+      return;
+    }
+    this._coalesceUntil = null;
+
+    // Everything that's due goes out as a single chunk
+    const due = [];
+    while (this._queue.length && this._queue[0].deliverAt <= now) {
+      const item = this._queue.shift();
+      if (item.isDropped) {
+        due.push(item.chunk.slice(0, Math.floor(item.chunk.length / 2)));
+        this._drop(Buffer.concat(due));
+        return;
+      }
+
+      due.push(item.chunk);
+    }
+
+    if (due.length) {
+      this.push(Buffer.concat(due));
+    }
+
+    if (!this._queue.length && this._flushCallback) {
+      const callback = this._flushCallback;
+      this._flushCallback = null;
+      callback();
+      return;
+    }
+
+    this._schedule();
+  };
+
+  _drop(partialChunk: Buffer): void {
+    if (partialChunk.length) {
+      this.push(partialChunk);
+    }
+
+    this.stop();
+    this.emit(DROP_EVENT);
   }
 }
 
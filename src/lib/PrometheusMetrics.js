@@ -0,0 +1,214 @@
+// @flow
+
+import { OPERATIONS } from './MetricsCollector';
+
+import type ScenarioEngine from '../ScenarioEngine';
+import type { LatencyHistogram } from './MetricsCollector';
+
+type MetricType = 'counter' | 'gauge' | 'histogram';
+
+type Sample = {
+  labels?: { [label: string]: string },
+  // Appended to the metric name, like `_bucket`
+  suffix?: string,
+  value: number,
+};
+
+// Upper bounds in seconds
+const LATENCY_BUCKETS = [
+  0.005,
+  0.01,
+  0.025,
+  0.05,
+  0.1,
+  0.25,
+  0.5,
+  1,
+  2.5,
+  5,
+  10,
+];
+const LATENCY_BOUNDS = LATENCY_BUCKETS.map((bound) => bound * 1000);
+const PHASES = ['connecting', 'handshake', 'idle', 'online', 'waiting'];
+
+const escapeLabel = (value: string): string =>
+  value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatMetric = (
+  name: string,
+  type: MetricType,
+  help: string,
+  samples: Array<Sample>,
+): string => {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  samples.forEach(({ labels, suffix, value }) => {
+    const labelText = Object.keys(labels || {})
+      .map((key) => `${key}="${escapeLabel((labels || {})[key])}"`)
+      .join(',');
+    lines.push(
+      `${name}${suffix || ''}${labelText ? `{${labelText}}` : ''} ${value}`,
+    );
+  });
+  return lines.join('\n');
+};
+
+// Latencies are kept in ms, Prometheus wants seconds
+const getHistogramSamples = (
+  operation: string,
+  histogram: LatencyHistogram,
+): Array<Sample> => {
+  const buckets = LATENCY_BUCKETS.map((bound, index) => ({
+    labels: { le: String(bound), operation },
+    suffix: '_bucket',
+    value: histogram.buckets[index],
+  }));
+
+  return buckets.concat([
+    {
+      labels: { le: '+Inf', operation },
+      suffix: '_bucket',
+      value: histogram.count,
+    },
+    {
+      labels: { operation },
+      suffix: '_sum',
+      value: histogram.sum / 1000,
+    },
+    { labels: { operation }, suffix: '_count', value: histogram.count },
+  ]);
+};
+
+/**
+ * Renders what the collider sees of the test in the Prometheus text format,
+ * so it can be graphed next to the server's own metrics. Everything is
+ * computed from the engine when scraped.
+ */
+class PrometheusMetrics {
+  static render(engine: ScenarioEngine): string {
+    const metrics = engine.getMetrics();
+    const phaseCounts = engine.getPhaseCounts();
+    const coapCounts = engine.getCoapCounts();
+    const statusCounts = metrics.getStatusCounts();
+    const connect = metrics.getStats('connect');
+    const load = engine.getLoadStats();
+
+    const coapSamples = [];
+    ['received', 'sent'].forEach((direction) =>
+      Object.keys(coapCounts[direction]).forEach((uriType) =>
+        coapSamples.push({
+          labels: { direction, uri_type: uriType },
+          value: coapCounts[direction][uriType],
+        }),
+      ),
+    );
+
+    const apiSamples = [];
+    Object.keys(statusCounts).forEach((operation) =>
+      Object.keys(statusCounts[operation]).forEach((status) =>
+        apiSamples.push({
+          labels: { operation, status },
+          value: statusCounts[operation][status],
+        }),
+      ),
+    );
+
+    const metricTexts = [
+      formatMetric(
+        'collider_devices',
+        'gauge',
+        'Virtual devices started and not stopped',
+        [{ value: engine.getDeviceCount() }],
+      ),
+      formatMetric(
+        'collider_devices_connected',
+        'gauge',
+        'Virtual devices that finished the handshake',
+        [{ value: engine.getConnectedDeviceCount() }],
+      ),
+      formatMetric(
+        'collider_devices_by_phase',
+        'gauge',
+        'Virtual devices by connection phase',
+        PHASES.map((phase) => ({
+          labels: { phase },
+          value: phaseCounts[phase] || 0,
+        })),
+      ),
+      formatMetric(
+        'collider_handshakes_total',
+        'counter',
+        'Handshakes by outcome, failures lost the socket before finishing',
+        [
+          { labels: { outcome: 'success' }, value: connect.count },
+          { labels: { outcome: 'failure' }, value: connect.errors },
+        ],
+      ),
+      formatMetric(
+        'collider_disconnects_total',
+        'counter',
+        'Connected devices that went offline, including stopped ones',
+        [{ value: engine.getDeviceStats().disconnects }],
+      ),
+      formatMetric(
+        'collider_coap_messages_total',
+        'counter',
+        'CoAP messages the devices sent and received by Uri type',
+        coapSamples,
+      ),
+      formatMetric(
+        'collider_api_requests_total',
+        'counter',
+        'API calls by operation and HTTP status',
+        apiSamples,
+      ),
+      formatMetric(
+        'collider_operation_duration_seconds',
+        'histogram',
+        'Latency as the collider measured it',
+        OPERATIONS.reduce(
+          (samples, operation) =>
+            samples.concat(
+              getHistogramSamples(
+                operation,
+                metrics.getHistogram(operation, LATENCY_BOUNDS),
+              ),
+            ),
+          [],
+        ),
+      ),
+      formatMetric(
+        'collider_operation_errors_total',
+        'counter',
+        'Failed operations',
+        OPERATIONS.map((operation) => ({
+          labels: { operation },
+          value: metrics.getStats(operation).errors,
+        })),
+      ),
+    ];
+
+    if (load) {
+      metricTexts.push(
+        formatMetric(
+          'collider_load_in_flight',
+          'gauge',
+          'Rate load requests waiting for an answer',
+          [{ value: load.inFlight }],
+        ),
+        formatMetric(
+          'collider_load_dropped_total',
+          'counter',
+          'Rate load requests dropped over the in-flight limit',
+          [{ value: load.dropped }],
+        ),
+      );
+    }
+
+    return metricTexts.join('\n') + '\n';
+  }
+}
+
+export default PrometheusMetrics;
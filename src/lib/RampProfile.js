@@ -0,0 +1,123 @@
+// @flow
+
+import type { OperationStats } from './MetricsCollector';
+
+export type RampStageType = 'hold' | 'rampDown' | 'rampUp' | 'spike';
+
+export type RampStage = {
+  // spike: devices started at once
+  count?: number,
+  // ms the stage lasts
+  duration: number,
+  // rampUp and rampDown: devices started or stopped per second
+  rate?: number,
+  type: RampStageType,
+};
+
+export type RampStageResult = {
+  // Devices started or stopped per second, which can fall behind `rate`
+  // when devices take longer to create than the rate allows
+  actualRate: number,
+  // Connects and connect errors that happened while the stage ran
+  connect: OperationStats,
+  devicesStarted: number,
+  devicesStopped: number,
+  durationMs: number,
+  label: string,
+  stage: RampStage,
+  // Share of connect attempts that finished the handshake, 0 to 1
+  successRate: number,
+};
+
+const STAGE_TYPES = ['hold', 'rampDown', 'rampUp', 'spike', 'stepUp'];
+
+/**
+ * A ramp is a list of stages that run one after the other:
+ *
+ *   rampUp    starts `rate` devices per second for `duration` ms
+ *   rampDown  stops `rate` devices per second for `duration` ms
+ *   spike     starts `count` devices at once, then waits out `duration`
+ *   hold      keeps the fleet as it is for `duration` ms
+ *   stepUp    shorthand for `steps` rampUp stages of `every` ms each, the
+ *             first at `rate` and every next one `increase` faster
+ */
+class RampProfile {
+  static expand(specs: Array<Object>): Array<RampStage> {
+    if (!Array.isArray(specs) || !specs.length) {
+      throw new Error('A ramp needs "stages"');
+    }
+
+    const stages = [];
+    specs.forEach((spec, index) => {
+      const type = spec && spec.type;
+      if (STAGE_TYPES.indexOf(type) < 0) {
+        throw new Error(
+          `Ramp stage ${index + 1} has an unknown type ${String(type)}. ` +
+            `Use one of ${STAGE_TYPES.join(', ')}`,
+        );
+      }
+
+      const assertNumber = (key: string) => {
+        if (typeof spec[key] !== 'number' || spec[key] < 0) {
+          throw new Error(`Ramp stage ${index + 1} (${type}) needs a "${key}"`);
+        }
+      };
+
+      switch (type) {
+        case 'stepUp': {
+          ['every', 'increase', 'rate', 'steps'].forEach(assertNumber);
+          for (let step = 0; step < spec.steps; step++) {
+            stages.push({
+              duration: spec.every,
+              rate: spec.rate + step * spec.increase,
+              type: 'rampUp',
+            });
+          }
+          break;
+        }
+
+        case 'spike': {
+          ['count', 'duration'].forEach(assertNumber);
+          stages.push({ count: spec.count, duration: spec.duration, type });
+          break;
+        }
+
+        case 'hold': {
+          assertNumber('duration');
+          stages.push({ duration: spec.duration, type });
+          break;
+        }
+
+        default: {
+          ['duration', 'rate'].forEach(assertNumber);
+          stages.push({ duration: spec.duration, rate: spec.rate, type });
+        }
+      }
+    });
+
+    return stages;
+  }
+
+  static getLabel(stage: RampStage): string {
+    const seconds = `${stage.duration / 1000}s`;
+    switch (stage.type) {
+      case 'rampUp': {
+        return `rampUp ${String(stage.rate)}/s for ${seconds}`;
+      }
+
+      case 'rampDown': {
+        return `rampDown ${String(stage.rate)}/s for ${seconds}`;
+      }
+
+      case 'spike': {
+        return `spike of ${String(stage.count)} then ${seconds}`;
+      }
+
+      default: {
+        return `hold for ${seconds}`;
+      }
+    }
+  }
+}
+
+export default RampProfile;
@@ -0,0 +1,112 @@
+// @flow
+
+export type ReconnectPolicyType =
+  | 'exponential'
+  | 'fixed'
+  | 'immediate'
+  | 'synchronized';
+
+export type ReconnectPolicyOptions = {
+  // fixed: the wait. exponential: the first wait. synchronized: the period.
+  delay?: number,
+  // Fraction of each exponential wait that is randomized, 0 to 1
+  jitter?: number,
+  maxDelay?: number,
+  multiplier?: number,
+  type: ReconnectPolicyType,
+};
+
+// Scenarios can use the bare type name
+export type ReconnectPolicySpec = ReconnectPolicyOptions | ReconnectPolicyType;
+
+const TYPES = ['exponential', 'fixed', 'immediate', 'synchronized'];
+const DEFAULT_DELAYS = {
+  exponential: 1000,
+  fixed: 15000,
+  immediate: 0,
+  synchronized: 15000,
+};
+const DEFAULT_JITTER = 0.5;
+const DEFAULT_MAX_DELAY = 60000;
+const DEFAULT_MULTIPLIER = 2;
+
+/**
+ * Decides how long a device waits before reconnecting.
+ *
+ *   fixed         always `delay` ms, what devices always did
+ *   exponential   `delay * multiplier ^ attempt` up to `maxDelay`, with part
+ *                 of every wait randomized like firmware does
+ *   immediate     no wait at all
+ *   synchronized  waits for the next multiple of `delay` on the clock so every
+ *                 device that dropped reconnects at the same instant
+ */
+class ReconnectPolicy {
+  _options: ReconnectPolicyOptions;
+
+  constructor(spec: ReconnectPolicySpec = 'fixed') {
+    const options: ReconnectPolicyOptions =
+      typeof spec === 'string' ? { type: spec } : spec;
+    if (TYPES.indexOf(options.type) < 0) {
+      throw new Error(
+        `Unknown reconnect policy ${String(options.type)}. Use one of ` +
+          TYPES.join(', '),
+      );
+    }
+    ['delay', 'maxDelay', 'multiplier'].forEach((key) => {
+      const value = options[key];
+      if (value != null && (typeof value !== 'number' || value < 0)) {
+        throw new Error(`Reconnect ${key} must be a positive number`);
+      }
+    });
+    if (
+      options.jitter != null &&
+      (typeof options.jitter !== 'number' ||
+        options.jitter < 0 ||
+        options.jitter > 1)
+    ) {
+      throw new Error('Reconnect jitter must be between 0 and 1');
+    }
+
+    this._options = options;
+  }
+
+  getType(): ReconnectPolicyType {
+    return this._options.type;
+  }
+
+  // `attempt` counts the failed attempts since the device was last connected
+  getDelay(attempt: number): number {
+    const { type } = this._options;
+    const delay =
+      this._options.delay == null ? DEFAULT_DELAYS[type] : this._options.delay;
+
+    switch (type) {
+      case 'exponential': {
+        const {
+          jitter = DEFAULT_JITTER,
+          maxDelay = DEFAULT_MAX_DELAY,
+          multiplier = DEFAULT_MULTIPLIER,
+        } = this._options;
+        const backoff = Math.min(
+          maxDelay,
+          delay * Math.pow(multiplier, attempt),
+        );
+        return Math.round(backoff * (1 - jitter * Math.random()));
+      }
+
+      case 'immediate': {
+        return 0;
+      }
+
+      case 'synchronized': {
+        return delay ? delay - (Date.now() % delay) : 0;
+      }
+
+      default: {
+        return delay;
+      }
+    }
+  }
+}
+
+export default ReconnectPolicy;
@@ -0,0 +1,320 @@
+// @flow
+
+import fs from 'fs';
+import path from 'path';
+
+import { FOLDER_PATH } from './ConfigStore';
+import { OPERATIONS } from './MetricsCollector';
+import Thresholds from './Thresholds';
+
+import type { ChurnStats } from './ChurnGenerator';
+import type { FanOutResult } from './FanOutCheck';
+import type { FuzzResult } from '../devices/FuzzDevice';
+import type { LoadStats } from './LoadGenerator';
+import type { OperationStats } from './MetricsCollector';
+import type { RampStageResult } from './RampProfile';
+import type ScenarioEngine, {
+  CleanupResult,
+  CrossAccountResult,
+  DeviceStats,
+  FunctionCheckStats,
+} from '../ScenarioEngine';
+import type { Threshold, ThresholdResult } from './Thresholds';
+import type { WebhookReceiverStats } from './WebhookReceiver';
+
+export type ReportFormat = 'csv' | 'json' | 'junit';
+
+export type ReportOptions = {
+  directory?: string,
+  formats?: Array<ReportFormat>,
+};
+
+type RunReportData = {
+  apiUrl: string,
+  // Only for runs with chaos or churn
+  churn: ?ChurnStats,
+  // Only for runs with a cleanup step
+  cleanup: ?CleanupResult,
+  crossAccount: Array<CrossAccountResult>,
+  // `host:port` of each device server endpoint
+  deviceEndpoints: Array<string>,
+  devices: DeviceStats,
+  durationMs: number,
+  error: ?string,
+  errorRate: number,
+  fanOut: Array<FanOutResult>,
+  finishedAt: string,
+  functionChecks: FunctionCheckStats,
+  fuzz: Array<FuzzResult>,
+  // Only for runs with a rate load
+  load: ?LoadStats,
+  operations: { [operation: string]: OperationStats },
+  passed: boolean,
+  ramp: Array<RampStageResult>,
+  startedAt: string,
+  thresholds: Array<ThresholdResult>,
+  // Only for runs with a WebhookReceiver
+  webhookReceiver: ?WebhookReceiverStats,
+};
+
+export const REPORT_FORMATS: Array<ReportFormat> = ['csv', 'json', 'junit'];
+
+const CSV_COLUMNS = [
+  'count',
+  'errors',
+  'errorRate',
+  'mismatches',
+  'p50',
+  'p90',
+  'p99',
+  'max',
+  'throughput',
+];
+const FILE_NAMES = {
+  csv: 'report.csv',
+  json: 'report.json',
+  junit: 'report.xml',
+};
+
+// A fuzz case fails when it took the server down, not when it got dropped
+const isFuzzFailure = (result: FuzzResult): boolean =>
+  result.outcome === 'crashed' || result.outcome === 'hung';
+
+const escapeXML = (value: string): string =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+class RunReport {
+  _data: RunReportData;
+
+  static create(
+    engine: ScenarioEngine,
+    {
+      error,
+      startedAt,
+      thresholds,
+    }: {
+      error?: ?string,
+      startedAt: number,
+      thresholds: Array<Threshold>,
+    },
+  ): RunReport {
+    const metrics = engine.getMetrics();
+    const finishedAt = Date.now();
+    const thresholdResults = thresholds.map((threshold) =>
+      Thresholds.evaluate(threshold, metrics),
+    );
+    const crossAccount = engine.getCrossAccountResults();
+    const fanOut = engine.getFanOutResults();
+    const fuzz = engine.getFuzzResults();
+    const operations = {};
+    OPERATIONS.forEach((operation) => {
+      operations[operation] = metrics.getStats(operation);
+    });
+
+    return new RunReport({
+      apiUrl: engine.getApiUrl(),
+      churn: engine.getChurnStats(),
+      cleanup: engine.getCleanupResult(),
+      crossAccount,
+      deviceEndpoints: engine.getDeviceEndpoints(),
+      devices: engine.getDeviceStats(),
+      durationMs: finishedAt - startedAt,
+      error,
+      errorRate: metrics.getErrorRate(),
+      fanOut,
+      finishedAt: new Date(finishedAt).toISOString(),
+      functionChecks: engine.getFunctionCheckStats(),
+      fuzz,
+      load: engine.getLoadStats(),
+      operations,
+      passed:
+        !error &&
+        thresholdResults.every((result) => result.passed) &&
+        !fuzz.some(isFuzzFailure) &&
+        fanOut.every((result) => result.passed) &&
+        crossAccount.every((result) => result.passed),
+      ramp: engine.getRampResults(),
+      startedAt: new Date(startedAt).toISOString(),
+      thresholds: thresholdResults,
+      webhookReceiver: engine.getWebhookReceiverStats(),
+    });
+  }
+
+  constructor(data: RunReportData) {
+    this._data = data;
+  }
+
+  getPassed(): boolean {
+    return this._data.passed;
+  }
+
+  getFailedThresholds(): Array<ThresholdResult> {
+    return this._data.thresholds.filter((result) => !result.passed);
+  }
+
+  getFailedFuzzCases(): Array<FuzzResult> {
+    return this._data.fuzz.filter(isFuzzFailure);
+  }
+
+  getFailedFanOuts(): Array<FanOutResult> {
+    return this._data.fanOut.filter((result) => !result.passed);
+  }
+
+  getFailedCrossAccounts(): Array<CrossAccountResult> {
+    return this._data.crossAccount.filter((result) => !result.passed);
+  }
+
+  // Writes the report in each format and returns the file paths
+  write({ directory, formats }: ReportOptions = {}): Array<string> {
+    const reportDirectory =
+      directory ||
+      path.join(
+        FOLDER_PATH,
+        'reports',
+        this._data.startedAt.replace(/[:.]/g, '-'),
+      );
+    this._makeDirectory(reportDirectory);
+
+    return (formats || REPORT_FORMATS).map((format) => {
+      const filePath = path.join(reportDirectory, FILE_NAMES[format]);
+      fs.writeFileSync(filePath, this._serialize(format));
+      return filePath;
+    });
+  }
+
+  toJSON(): string {
+    return JSON.stringify(this._data, null, 2);
+  }
+
+  toCSV(): string {
+    const rows = [['operation'].concat(CSV_COLUMNS).join(',')];
+    Object.keys(this._data.operations).forEach((operation) => {
+      const stats = this._data.operations[operation];
+      rows.push(
+        [operation]
+          .concat(CSV_COLUMNS.map((column) => String(stats[column])))
+          .join(','),
+      );
+    });
+
+    return rows.join('\n') + '\n';
+  }
+
+  // One test case for the scenario itself, one per threshold, fuzz case,
+  // fan-out and cross-account check so CI shows exactly which SLO or mutation
+  // failed.
+  toJUnitXML(): string {
+    const { crossAccount, error, fanOut, fuzz, thresholds } = this._data;
+    const durationSeconds = (this._data.durationMs / 1000).toFixed(3);
+    const failures =
+      (error ? 1 : 0) +
+      thresholds.filter((result) => !result.passed).length +
+      fuzz.filter(isFuzzFailure).length +
+      fanOut.filter((result) => !result.passed).length +
+      crossAccount.filter((result) => !result.passed).length;
+
+    const testCases = [
+      `    <testcase classname="particle-collider" name="scenario" ` +
+        `time="${durationSeconds}">` +
+        (error
+          ? `\n      <failure message="${escapeXML(error)}"/>\n    `
+          : '') +
+        '</testcase>',
+    ].concat(
+      thresholds.map(
+        (result) =>
+          `    <testcase classname="particle-collider.thresholds" ` +
+          `name="${escapeXML(result.expression)}">` +
+          (result.passed
+            ? ''
+            : `\n      <failure message="${escapeXML(
+                Thresholds.format(result),
+              )}"/>\n    `) +
+          '</testcase>',
+      ),
+      fuzz.map(
+        (result) =>
+          `    <testcase classname="particle-collider.fuzz" ` +
+          `name="${escapeXML(`${result.mutation} seed ${result.seed}`)}" ` +
+          `time="${(result.durationMs / 1000).toFixed(3)}">` +
+          (isFuzzFailure(result)
+            ? `\n      <failure message="${escapeXML(
+                `${result.outcome}: ${result.detail}`,
+              )}"/>\n    `
+            : '') +
+          '</testcase>',
+      ),
+      fanOut.map(
+        (result, index) =>
+          `    <testcase classname="particle-collider.fanOut" ` +
+          `name="${escapeXML(`${result.prefix} ${index + 1}`)}" ` +
+          `time="${(result.durationMs / 1000).toFixed(3)}">` +
+          (result.passed
+            ? ''
+            : `\n      <failure message="${escapeXML(
+                `${result.missing} missing and ${result.duplicates} ` +
+                  `duplicate deliveries of ${result.expected}`,
+              )}"/>\n    `) +
+          '</testcase>',
+      ),
+      crossAccount.map(
+        (result, index) =>
+          `    <testcase classname="particle-collider.crossAccount" ` +
+          `name="${index + 1}" ` +
+          `time="${(result.durationMs / 1000).toFixed(3)}">` +
+          (result.passed
+            ? ''
+            : `\n      <failure message="${escapeXML(
+                result.failures
+                  .map(
+                    (failure) =>
+                      `${failure.caller} got the ${failure.request} of ` +
+                      `${failure.deviceID}`,
+                  )
+                  .join(', '),
+              )}"/>\n    `) +
+          '</testcase>',
+      ),
+    );
+
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<testsuite name="particle-collider" tests="${testCases.length}" ` +
+      `failures="${failures}" time="${durationSeconds}" ` +
+      `timestamp="${this._data.startedAt}">\n` +
+      testCases.join('\n') +
+      '\n</testsuite>\n'
+    );
+  }
+
+  _serialize(format: ReportFormat): string {
+    switch (format) {
+      case 'csv': {
+        return this.toCSV();
+      }
+
+      case 'junit': {
+        return this.toJUnitXML();
+      }
+
+      default: {
+        return this.toJSON();
+      }
+    }
+  }
+
+  _makeDirectory(directory: string): void {
+    if (fs.existsSync(directory)) {
+      return;
+    }
+
+    this._makeDirectory(path.dirname(directory));
+    fs.mkdirSync(directory);
+  }
+}
+
+export default RunReport;
@@ -0,0 +1,413 @@
+// @flow
+
+import fs from 'fs';
+import yaml from 'js-yaml';
+import path from 'path';
+
+import { FUZZ_MUTATIONS } from '../devices/FuzzDevice';
+import { DEFAULT_CONNECT_TIMEOUT } from '../ScenarioEngine';
+import ChurnGenerator from './ChurnGenerator';
+import ConfigStore from './ConfigStore';
+import DeviceProfiles, { MAX_HELLO_VALUE } from './DeviceProfiles';
+import { ENDPOINT_POLICIES } from './EndpointSelector';
+import EventGenerator from './EventGenerator';
+import { MAX_FAN_OUT_PREFIX_LENGTH } from './FanOutCheck';
+import NetworkProfiles from './NetworkProfiles';
+import RampProfile from './RampProfile';
+import ReconnectPolicy from './ReconnectPolicy';
+import { REPORT_FORMATS } from './RunReport';
+import Thresholds from './Thresholds';
+import WebhookReceiver from './WebhookReceiver';
+
+import type { Scenario, ScenarioStep } from '../ScenarioEngine';
+
+const LOAD_ACTIONS = ['functions', 'variables', 'webhooks'];
+const STEP_TYPES = [
+  'chaos',
+  'cleanup',
+  'createDevices',
+  'crossAccount',
+  'fanOut',
+  'fuzz',
+  'keyPool',
+  'ramp',
+  'reconnectStorm',
+  'setLoad',
+  'startChurn',
+  'startEvents',
+  'startLoad',
+  'stopChurn',
+  'stopDevices',
+  'stopEvents',
+  'stopLoad',
+  'wait',
+  'waitForConnected',
+];
+
+/**
+ * A scenario file is either a list of `steps` or the short form:
+ *
+ *   config: 0              # index in data/configs.json or an inline config
+ *   devices: 100
+ *   profile: default       # device profile from data/profiles or src/profiles
+ *   network: cellular      # network preset or profile, see NetworkProfiles
+ *   reconnect: exponential # reconnect policy, see ReconnectPolicy
+ *   product: fleet         # product the devices are added to, see below
+ *   connectTimeout: 60000  # ms to wait for every device to connect
+ *   actions: [functions, variables, webhooks] # or [chaos]
+ *   churn: { addRate: 2 }  # how chaos churns devices, see ChurnGenerator
+ *   duration: 300000       # ms to keep the load running
+ *   workers: 4             # worker processes to run the devices in
+ *   accounts: 3            # users to spread the devices over
+ *
+ * The short form is expanded into the equivalent steps. Either form can set
+ * `thresholds` (see Thresholds), `report: { directory, formats }`,
+ * `fakeServer: true` (or `{ apiPort, devicePorts, endpointPolicy }`) to run
+ * against the bundled fake spark-server and `webhookReceiver` (see
+ * WebhookReceiver) to check webhook delivery. In the steps form `network`,
+ * `product` and `reconnect` are the defaults for steps that start devices and
+ * don't have their own.
+ *
+ * `product` is a product name, created if the account doesn't have it, or
+ * `{ name, firmwareVersion }` for the version the devices say they run.
+ */
+class ScenarioLoader {
+  static load(filePath: string): Scenario {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const data =
+      extension === '.yml' || extension === '.yaml'
+        ? yaml.safeLoad(contents)
+        : JSON.parse(contents);
+
+    if (!data || typeof data !== 'object') {
+      throw new Error(`Scenario ${filePath} is empty`);
+    }
+
+    const report = data.report || {};
+    const unknownFormat = (report.formats || []).find(
+      (format) => REPORT_FORMATS.indexOf(format) < 0,
+    );
+    if (unknownFormat) {
+      throw new Error(`Unknown report format ${unknownFormat}`);
+    }
+
+    const { accounts, workers } = data;
+    if (
+      workers != null &&
+      (typeof workers !== 'number' || workers < 0 || workers % 1 !== 0)
+    ) {
+      throw new Error('"workers" must be a whole number');
+    }
+
+    if (
+      accounts != null &&
+      (typeof accounts !== 'number' || accounts < 1 || accounts % 1 !== 0)
+    ) {
+      throw new Error('"accounts" must be a whole number of at least 1');
+    }
+
+    const fakeServer = data.fakeServer === true ? {} : data.fakeServer || null;
+    if (
+      fakeServer &&
+      fakeServer.endpointPolicy != null &&
+      ENDPOINT_POLICIES.indexOf(fakeServer.endpointPolicy) < 0
+    ) {
+      throw new Error(
+        `Unknown endpoint policy ${String(fakeServer.endpointPolicy)}. ` +
+          `Use one of ${ENDPOINT_POLICIES.join(', ')}`,
+      );
+    }
+
+    return {
+      accounts,
+      config:
+        data.config && typeof data.config === 'object'
+          ? ConfigStore.migrate(data.config)
+          : data.config,
+      fakeServer,
+      report,
+      steps: (data.steps || ScenarioLoader._expandShortForm(data))
+        .map(
+          (step) =>
+            step &&
+            (step.type === 'chaos' ||
+              step.type === 'createDevices' ||
+              step.type === 'ramp' ||
+              step.type === 'startChurn')
+              ? {
+                  ...step,
+                  network: step.network == null ? data.network : step.network,
+                  product: step.product == null ? data.product : step.product,
+                  reconnect:
+                    step.reconnect == null ? data.reconnect : step.reconnect,
+                }
+              : step,
+        )
+        .map(ScenarioLoader._validateStep),
+      thresholds: (data.thresholds || []).map(Thresholds.parse),
+      webhookReceiver:
+        data.webhookReceiver == null
+          ? null
+          : WebhookReceiver.validate(
+              data.webhookReceiver === true ? {} : data.webhookReceiver,
+            ),
+      workers,
+    };
+  }
+
+  static _expandShortForm(data: Object): Array<Object> {
+    const actions: Array<string> = data.actions || [];
+    const steps = [];
+
+    if (data.devices) {
+      steps.push({
+        count: data.devices,
+        profile: data.profile,
+        type: 'createDevices',
+      });
+      steps.push({
+        timeout: data.connectTimeout || DEFAULT_CONNECT_TIMEOUT,
+        type: 'waitForConnected',
+      });
+    }
+
+    const isChaos = actions.indexOf('chaos') >= 0;
+    if (isChaos) {
+      steps.push({ churn: data.churn, profile: data.profile, type: 'chaos' });
+    } else if (actions.length) {
+      steps.push({ actions, type: 'startLoad' });
+    }
+
+    if (data.duration) {
+      steps.push({ duration: data.duration, type: 'wait' });
+    }
+
+    steps.push({ type: 'stopLoad' });
+    if (isChaos) {
+      steps.push({ type: 'stopChurn' });
+    }
+    steps.push({ type: 'stopDevices' });
+
+    return steps;
+  }
+
+  static _validateStep(step: Object, index: number): ScenarioStep {
+    if (!step || STEP_TYPES.indexOf(step.type) < 0) {
+      throw new Error(
+        `Step ${index + 1} has an unknown type ${String(step && step.type)}`,
+      );
+    }
+
+    const assertNumber = (key: string) => {
+      if (typeof step[key] !== 'number' || step[key] < 0) {
+        throw new Error(`Step ${index + 1} (${step.type}) needs a "${key}"`);
+      }
+    };
+
+    const validateChurn = (settings: Object) => {
+      try {
+        ChurnGenerator.validate(settings);
+      } catch (error) {
+        throw new Error(`Step ${index + 1} (${step.type}): ${error.message}`);
+      }
+    };
+
+    switch (step.type) {
+      case 'chaos': {
+        if (step.churn != null) {
+          validateChurn(step.churn);
+        }
+        return ScenarioLoader._validateDeviceOptions(step);
+      }
+
+      case 'cleanup': {
+        if (step.pruneKeys != null && typeof step.pruneKeys !== 'boolean') {
+          throw new Error(
+            `Step ${index + 1} (cleanup) needs true or false for "pruneKeys"`,
+          );
+        }
+        break;
+      }
+
+      case 'createDevices': {
+        assertNumber('count');
+        return ScenarioLoader._validateDeviceOptions(step);
+      }
+
+      case 'crossAccount': {
+        if (step.devices != null) {
+          assertNumber('devices');
+        }
+        break;
+      }
+
+      case 'fanOut': {
+        ['events', 'interval', 'publishers', 'subscribers', 'timeout']
+          .filter((key) => step[key] != null)
+          .forEach(assertNumber);
+        if (step.publishers === 0 || step.subscribers === 0) {
+          throw new Error(
+            `Step ${index + 1} (fanOut) needs at least one publisher and ` +
+              'subscriber',
+          );
+        }
+        const { prefix } = step;
+        if (
+          prefix != null &&
+          (typeof prefix !== 'string' ||
+            !prefix ||
+            prefix.length > MAX_FAN_OUT_PREFIX_LENGTH)
+        ) {
+          throw new Error(
+            `Step ${index + 1} (fanOut) needs a "prefix" of at most ` +
+              `${MAX_FAN_OUT_PREFIX_LENGTH} characters`,
+          );
+        }
+        break;
+      }
+
+      case 'fuzz': {
+        ['count', 'seed', 'timeout']
+          .filter((key) => step[key] != null)
+          .forEach(assertNumber);
+        const unknownMutation = (step.mutations || []).find(
+          (mutation) => FUZZ_MUTATIONS.indexOf(mutation) < 0,
+        );
+        if (unknownMutation) {
+          throw new Error(
+            `Step ${index + 1} (fuzz) has an unknown mutation ` +
+              `${unknownMutation}. Use any of ${FUZZ_MUTATIONS.join(', ')}`,
+          );
+        }
+        break;
+      }
+
+      case 'keyPool': {
+        assertNumber('size');
+        break;
+      }
+
+      case 'ramp': {
+        return ScenarioLoader._validateDeviceOptions({
+          ...step,
+          stages: RampProfile.expand(step.stages),
+        });
+      }
+
+      case 'startChurn': {
+        validateChurn(step);
+        return ScenarioLoader._validateDeviceOptions(step);
+      }
+
+      case 'startEvents': {
+        try {
+          EventGenerator.validate(step.events);
+        } catch (error) {
+          throw new Error(`Step ${index + 1} (startEvents): ${error.message}`);
+        }
+        break;
+      }
+
+      case 'setLoad': {
+        ScenarioLoader._validateLoadSettings(step, index);
+        break;
+      }
+
+      case 'startLoad': {
+        ScenarioLoader._validateLoadSettings(step, index);
+        // A mix already says which actions to run
+        const actions: Array<string> =
+          step.actions || Object.keys(step.mix || {});
+        const unknownAction = actions.find(
+          (action) => LOAD_ACTIONS.indexOf(action) < 0,
+        );
+        if (!actions.length || unknownAction) {
+          throw new Error(
+            `Step ${index + 1} (startLoad) needs "actions" from ` +
+              LOAD_ACTIONS.join(', '),
+          );
+        }
+        return { ...step, actions };
+      }
+
+      case 'wait': {
+        assertNumber('duration');
+        break;
+      }
+    }
+
+    return step;
+  }
+
+  static _validateLoadSettings(step: Object, index: number): void {
+    ['maxInFlight', 'rate']
+      .filter((key) => step[key] != null)
+      .forEach((key) => {
+        if (typeof step[key] !== 'number' || step[key] < 0) {
+          throw new Error(
+            `Step ${index + 1} (${step.type}) needs a number for "${key}"`,
+          );
+        }
+      });
+
+    const mix = step.mix || {};
+    const actions = Object.keys(mix);
+    // A mix without a positive weight would never send anything
+    if (
+      actions.some(
+        (action) =>
+          LOAD_ACTIONS.indexOf(action) < 0 ||
+          typeof mix[action] !== 'number' ||
+          mix[action] < 0,
+      ) ||
+      (step.mix != null && !actions.some((action) => mix[action] > 0))
+    ) {
+      throw new Error(
+        `Step ${index + 1} (${step.type}) has an invalid mix. Give a ` +
+          `positive weight to any of ${LOAD_ACTIONS.join(', ')}`,
+      );
+    }
+  }
+
+  // For steps that start devices
+  static _validateDeviceOptions(step: Object): ScenarioStep {
+    // Throws if the profile doesn't exist or is invalid
+    DeviceProfiles.load(step.profile);
+    if (step.reconnect != null) {
+      // Throws if the policy is invalid
+      new ReconnectPolicy(step.reconnect);
+    }
+    if (step.product != null) {
+      ScenarioLoader._validateProduct(step.product);
+    }
+    if (step.network != null) {
+      return { ...step, network: NetworkProfiles.resolve(step.network) };
+    }
+    return step;
+  }
+
+  static _validateProduct(product: mixed): void {
+    const name =
+      typeof product === 'object' && product ? product.name : product;
+    if (typeof name !== 'string' || !name) {
+      throw new Error('"product" must be a name or { name, firmwareVersion }');
+    }
+
+    const firmwareVersion =
+      typeof product === 'object' && product ? product.firmwareVersion : null;
+    if (
+      firmwareVersion != null &&
+      (typeof firmwareVersion !== 'number' ||
+        firmwareVersion < 0 ||
+        firmwareVersion > MAX_HELLO_VALUE ||
+        firmwareVersion % 1 !== 0)
+    ) {
+      throw new Error(
+        `"product.firmwareVersion" must be a whole number up to ${MAX_HELLO_VALUE}`,
+      );
+    }
+  }
+}
+
+export default ScenarioLoader;
@@ -0,0 +1,38 @@
+// @flow
+
+// mulberry32, small and good enough to make fuzz runs repeatable
+class SeededRandom {
+  _state: number;
+
+  constructor(seed: number) {
+    this._state = seed >>> 0;
+  }
+
+  // Like Math.random()
+  next(): number {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let value = this._state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Between min and max, inclusive
+  nextInt(min: number, max: number): number {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  pick<TItem>(items: Array<TItem>): TItem {
+    return items[this.nextInt(0, items.length - 1)];
+  }
+
+  bytes(count: number): Buffer {
+    const buffer = Buffer.alloc(count);
+    for (let ii = 0; ii < count; ii++) {
+      buffer[ii] = this.nextInt(0, 255);
+    }
+    return buffer;
+  }
+}
+
+export default SeededRandom;
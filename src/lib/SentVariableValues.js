@@ -0,0 +1,41 @@
+// @flow
+
+type SentValue = {
+  sentAt: number,
+  value: mixed,
+};
+
+// Values kept per variable, enough for the reads of one variable that are in
+// flight at once under load
+const HISTORY_SIZE = 20;
+
+// The last few values a device sent for each of its variables, so a read can
+// be checked against the values sent while it was in flight instead of just
+// the newest one.
+class SentVariableValues {
+  _values: Map<string, Array<SentValue>> = new Map();
+
+  add(name: string, value: mixed): void {
+    const values = this._values.get(name) || [];
+    values.push({ sentAt: Date.now(), value });
+    if (values.length > HISTORY_SIZE) {
+      values.shift();
+    }
+    this._values.set(name, values);
+  }
+
+  // Oldest first. Null when values sent since then may have been dropped
+  // already, so a reply can't be checked.
+  getSince(name: string, since: number): ?Array<mixed> {
+    const values = this._values.get(name) || [];
+    if (values.length >= HISTORY_SIZE && values[0].sentAt >= since) {
+      return null;
+    }
+
+    return values
+      .filter((item) => item.sentAt >= since)
+      .map((item) => item.value);
+  }
+}
+
+export default SentVariableValues;
@@ -0,0 +1,129 @@
+// @flow
+
+import { OPERATIONS } from './MetricsCollector';
+
+import type MetricsCollector from './MetricsCollector';
+
+type Comparator = '<' | '<=' | '>' | '>=';
+
+export type Threshold = {
+  comparator: Comparator,
+  expression: string,
+  limit: number,
+  metric: string,
+};
+
+export type ThresholdResult = {
+  // Null for a latency of an operation that has no samples
+  actual: ?number,
+  expression: string,
+  passed: boolean,
+};
+
+const STATS = [
+  'count',
+  'errorRate',
+  'errors',
+  'max',
+  'mismatches',
+  'p50',
+  'p90',
+  'p99',
+  'throughput',
+];
+// Stats that are 0 without samples, which would pass any upper limit
+const LATENCY_STATS = ['max', 'p50', 'p90', 'p99'];
+const THRESHOLD_PATTERN = /^\s*([\w.]+)\s*(<=|>=|<|>)\s*([\d.]+)\s*(ms|s|%)?\s*$/;
+const UNIT_MULTIPLIERS = { '%': 0.01, ms: 1, s: 1000 };
+
+/**
+ * Thresholds are written as `<metric> <comparator> <value>` where the metric
+ * is `errorRate` for the whole run or `<operation>.<stat>`, for example:
+ *
+ *   function.p99 < 2s
+ *   webhook.errorRate <= 5%
+ *   errorRate < 1%
+ *
+ * Latencies are in ms unless the value ends in `s`. A latency threshold fails
+ * when the operation has no successful samples.
+ */
+class Thresholds {
+  static parse(expression: string): Threshold {
+    const match = THRESHOLD_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`Could not parse threshold "${expression}"`);
+    }
+
+    const [, metric, comparator, value, unit] = match;
+    if (metric !== 'errorRate') {
+      const [operation, stat] = metric.split('.');
+      if (OPERATIONS.indexOf(operation) < 0 || STATS.indexOf(stat) < 0) {
+        throw new Error(
+          `Unknown metric "${metric}" in threshold "${expression}"`,
+        );
+      }
+    }
+
+    return {
+      comparator: (comparator: any),
+      expression,
+      limit: parseFloat(value) * (unit ? UNIT_MULTIPLIERS[unit] : 1),
+      metric,
+    };
+  }
+
+  static evaluate(
+    threshold: Threshold,
+    metrics: MetricsCollector,
+  ): ThresholdResult {
+    let actual = 0;
+    if (threshold.metric === 'errorRate') {
+      actual = metrics.getErrorRate();
+    } else {
+      const [operation, stat] = threshold.metric.split('.');
+      const stats = metrics.getStats((operation: any));
+      if (LATENCY_STATS.indexOf(stat) >= 0 && !stats.count) {
+        return {
+          actual: null,
+          expression: threshold.expression,
+          passed: false,
+        };
+      }
+      actual = (stats: Object)[stat];
+    }
+
+    const { limit } = threshold;
+    let passed = false;
+    switch (threshold.comparator) {
+      case '<': {
+        passed = actual < limit;
+        break;
+      }
+
+      case '<=': {
+        passed = actual <= limit;
+        break;
+      }
+
+      case '>': {
+        passed = actual > limit;
+        break;
+      }
+
+      case '>=': {
+        passed = actual >= limit;
+        break;
+      }
+    }
+
+    return { actual, expression: threshold.expression, passed };
+  }
+
+  static format(result: ThresholdResult): string {
+    return result.actual == null
+      ? `${result.expression} (no data)`
+      : `${result.expression} (actual ${result.actual})`;
+  }
+}
+
+export default Thresholds;
@@ -0,0 +1,127 @@
+// @flow
+
+import crypto from 'crypto';
+
+import type { VariableType } from './DeviceProfiles';
+
+// Bigger than a single byte length so strings exercise the whole payload
+const MAX_DEFAULT_STRING_LENGTH = 600;
+
+/**
+ * How firmware puts variables on the wire:
+ *
+ *   INT     4 bytes, big-endian two's complement
+ *   DOUBLE  8 bytes, little-endian IEEE 754
+ *   STRING  UTF-8 without a terminator or length prefix
+ *   BOOL    1 byte, 0 or 1
+ */
+class VariableCodec {
+  // Turns whatever a handler returned into the value the type can hold, which
+  // is also what the server should decode.
+  static coerce(type: VariableType, value: mixed): boolean | number | string {
+    switch (type) {
+      case 'BOOL': {
+        return value === 'false' ? false : !!value;
+      }
+
+      case 'DOUBLE': {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : 0;
+      }
+
+      case 'STRING': {
+        return value == null ? '' : String(value);
+      }
+
+      default: {
+        if (typeof value === 'boolean') {
+          return value ? 1 : 0;
+        }
+
+        const number =
+          typeof value === 'number' ? value : parseInt(String(value), 10);
+        return number | 0;
+      }
+    }
+  }
+
+  static encode(type: VariableType, value: mixed): Buffer {
+    const coerced = VariableCodec.coerce(type, value);
+    switch (type) {
+      case 'BOOL': {
+        return Buffer.from([coerced ? 1 : 0]);
+      }
+
+      case 'DOUBLE': {
+        const buffer = Buffer.alloc(8);
+        buffer.writeDoubleLE((coerced: any), 0);
+        return buffer;
+      }
+
+      case 'STRING': {
+        return Buffer.from(String(coerced), 'utf8');
+      }
+
+      default: {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE((coerced: any), 0);
+        return buffer;
+      }
+    }
+  }
+
+  static decode(type: ?string, payload: Buffer): boolean | number | string {
+    switch (type) {
+      case 'BOOL': {
+        return !!payload[0];
+      }
+
+      case 'DOUBLE': {
+        return payload.readDoubleLE(0);
+      }
+
+      case 'STRING': {
+        return payload.toString('utf8');
+      }
+
+      default: {
+        return payload.readInt32BE(0);
+      }
+    }
+  }
+
+  // A value derived from the device and variable name so every read of the
+  // same variable returns the same thing.
+  static getDefaultValue(
+    type: VariableType,
+    deviceID: string,
+    name: string,
+  ): boolean | number | string {
+    const digest = crypto
+      .createHash('sha1')
+      .update(`${deviceID}/${name}`)
+      .digest();
+
+    switch (type) {
+      case 'BOOL': {
+        return !!(digest[0] & 1);
+      }
+
+      case 'DOUBLE': {
+        return digest.readInt32BE(0) / 1000;
+      }
+
+      case 'STRING': {
+        const length = digest.readUInt16BE(0) % MAX_DEFAULT_STRING_LENGTH;
+        const text = `${name}:${deviceID}:`;
+        return text.repeat(Math.ceil(length / text.length)).substr(0, length);
+      }
+
+      default: {
+        return digest.readInt32BE(0);
+      }
+    }
+  }
+}
+
+export default VariableCodec;
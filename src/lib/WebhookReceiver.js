@@ -0,0 +1,297 @@
+// @flow
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+import http from 'http';
+
+import { getWebhookData } from '../devices/TCPDevice';
+import testWebhook from '../test-webhook.json';
+
+import type MetricsCollector from './MetricsCollector';
+
+export type WebhookReceiverOptions = {
+  // ms to wait before answering each request
+  delay?: number,
+  // Random free port when not set
+  port?: number,
+  // A status for every response, or relative weights like { 200: 9, 500: 1 }
+  status?: number | { [status: string]: number },
+  // ms after publishing before a webhook without a request counts as missing
+  timeout?: number,
+  // What the server calls, for servers that can't reach localhost
+  url?: string,
+};
+
+export type WebhookReceiverStats = {
+  // Requests whose rendered fields didn't match what was published
+  mismatched: number,
+  // Publishes that never got a request
+  missing: number,
+  // Publishes still inside the timeout
+  pending: number,
+  received: number,
+  // Responses by status code
+  statuses: { [status: string]: number },
+  // Requests for nothing the collider published
+  unexpected: number,
+};
+
+type ExpectedWebhook = {
+  data: string,
+  deviceID: string,
+  publishedAt: number,
+};
+
+const DEFAULT_TIMEOUT = 30000;
+const EXPIRE_INTERVAL = 1000;
+// How far PARTICLE_PUBLISHED_AT can be from the collider's clock
+const MAX_CLOCK_SKEW = 60000;
+const PATH = '/webhook';
+const PUBLISHED_AT_TEMPLATE = '{{PARTICLE_PUBLISHED_AT}}';
+
+const pickStatus = (status: number | { [status: string]: number }): number => {
+  if (typeof status === 'number') {
+    return status;
+  }
+
+  const weights = status;
+  const statuses = Object.keys(weights);
+  const total = statuses.reduce((sum, key) => sum + weights[key], 0);
+  let pick = Math.random() * total;
+  const picked = statuses.find((key) => {
+    pick -= weights[key];
+    return pick < 0;
+  });
+  return parseInt(picked || statuses[statuses.length - 1], 10);
+};
+
+const renderField = (template: string, variables: Object): string =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+    variables[key] == null ? '' : String(variables[key]),
+  );
+
+/**
+ * Receives the test webhook instead of the server's own /v1/ping, so the run
+ * sees whether webhooks fire and what they carry. Every sendWebhook publishes
+ * a token that comes back in the request, which is how requests are matched
+ * to publishes. The fields are checked against test-webhook.json rendered with
+ * what was published.
+ *
+ * Responses echo the device ID and token so the device can tell whether its
+ * hook-response was meant for it.
+ */
+class WebhookReceiver {
+  _expected: Map<string, ExpectedWebhook> = new Map();
+  _interval: ?number = null;
+  _metrics: MetricsCollector;
+  _options: WebhookReceiverOptions;
+  _port: number = 0;
+  _server: http.Server;
+  _stats: WebhookReceiverStats = {
+    mismatched: 0,
+    missing: 0,
+    pending: 0,
+    received: 0,
+    statuses: {},
+    unexpected: 0,
+  };
+
+  // Throws for the first invalid option
+  static validate(options: Object): WebhookReceiverOptions {
+    if (!options || typeof options !== 'object') {
+      throw new Error('"webhookReceiver" needs to be an object');
+    }
+
+    ['delay', 'port', 'timeout']
+      .filter((key) => options[key] != null)
+      .forEach((key) => {
+        if (typeof options[key] !== 'number' || options[key] < 0) {
+          throw new Error(`webhookReceiver needs a number for "${key}"`);
+        }
+      });
+
+    const { status } = options;
+    const isStatusCode = (value: mixed) => {
+      const code = parseInt(value, 10);
+      return code >= 100 && code < 600;
+    };
+    const isValidStatus =
+      typeof status === 'number'
+        ? isStatusCode(status)
+        : !!status &&
+          typeof status === 'object' &&
+          Object.keys(status).length > 0 &&
+          Object.keys(status).every(
+            (code) => isStatusCode(code) && typeof status[code] === 'number',
+          );
+    if (status != null && !isValidStatus) {
+      throw new Error(
+        'webhookReceiver needs a status code or weights by status code for ' +
+          '"status"',
+      );
+    }
+
+    if (options.url != null && typeof options.url !== 'string') {
+      throw new Error('webhookReceiver needs a string for "url"');
+    }
+
+    return options;
+  }
+
+  constructor(options: WebhookReceiverOptions, metrics: MetricsCollector) {
+    this._metrics = metrics;
+    this._options = options;
+    this._server = http.createServer(this._onRequest);
+  }
+
+  start(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.once('listening', () => {
+        this._port = this._server.address().port;
+        this._interval = setInterval(this._expire, EXPIRE_INTERVAL);
+        console.log(chalk.green(`Receiving webhooks at ${this.getUrl()}`));
+        resolve();
+      });
+      this._server.listen(this._options.port || 0);
+    });
+  }
+
+  stop(): Promise<void> {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    return new Promise((resolve) => this._server.close(() => resolve()));
+  }
+
+  getUrl(): string {
+    return this._options.url || `http://localhost:${this._port}${PATH}`;
+  }
+
+  getStats(): WebhookReceiverStats {
+    return { ...this._stats, pending: this._expected.size };
+  }
+
+  // Returns the token the device should publish
+  expect(deviceID: string): string {
+    const token = crypto.randomBytes(8).toString('hex');
+    this._expected.set(token, {
+      data: getWebhookData(token),
+      deviceID,
+      publishedAt: Date.now(),
+    });
+    return token;
+  }
+
+  _onRequest = (
+    request: http.IncomingMessage,
+    response: http.ServerResponse,
+  ) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      let body = null;
+      try {
+        body = JSON.parse(text);
+      } catch (ignore) {}
+
+      this._stats.received += 1;
+      const token =
+        body && typeof body.payload === 'string' ? body.payload : '';
+      const expected = this._expected.get(token);
+      if (!body || !expected) {
+        this._stats.unexpected += 1;
+        this._metrics.recordError(
+          'webhookRequest',
+          'Webhook request for nothing that was published: ' +
+            text.substr(0, 200),
+        );
+        this._respond(response, { deviceID: null, payload: token });
+        return;
+      }
+
+      this._expected.delete(token);
+      this._metrics.record('webhookRequest', Date.now() - expected.publishedAt);
+      const mismatch = this._getMismatch(body, token, expected);
+      if (mismatch) {
+        this._stats.mismatched += 1;
+        this._metrics.recordMismatch('webhookRequest');
+        console.error(
+          chalk.red(`Webhook from ${expected.deviceID}: ${mismatch}`),
+        );
+      }
+
+      this._respond(response, { deviceID: expected.deviceID, payload: token });
+    });
+  };
+
+  // Describes the first field that isn't what test-webhook.json should have
+  // rendered, null when they all are
+  _getMismatch(
+    body: Object,
+    token: string,
+    expected: ExpectedWebhook,
+  ): ?string {
+    const variables = {
+      PARTICLE_DEVICE_ID: expected.deviceID,
+      PARTICLE_EVENT_NAME: testWebhook.name,
+      PARTICLE_EVENT_VALUE: expected.data,
+      payload: token,
+    };
+    const template = testWebhook.json;
+    const key = Object.keys(template).find((field) => {
+      // The server's own clock so it can only be roughly right
+      if (template[field] === PUBLISHED_AT_TEMPLATE) {
+        const publishedAt = new Date(body[field]).getTime();
+        return (
+          isNaN(publishedAt) ||
+          Math.abs(publishedAt - expected.publishedAt) > MAX_CLOCK_SKEW
+        );
+      }
+      return body[field] !== renderField(template[field], variables);
+    });
+
+    if (!key) {
+      return null;
+    }
+
+    const actual = `${key} was ${JSON.stringify(body[key])}`;
+    return template[key] === PUBLISHED_AT_TEMPLATE
+      ? actual
+      : `${actual}, expected ` +
+          JSON.stringify(renderField(template[key], variables));
+  }
+
+  _respond(response: http.ServerResponse, body: Object): void {
+    const { delay, status } = this._options;
+    const statusCode = status == null ? 200 : pickStatus(status);
+    const { statuses } = this._stats;
+    statuses[String(statusCode)] = (statuses[String(statusCode)] || 0) + 1;
+
+    setTimeout(() => {
+      response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    }, delay || 0);
+  }
+
+  _expire = (): void => {
+    const timeout = this._options.timeout || DEFAULT_TIMEOUT;
+    const expiredAt = Date.now() - timeout;
+    for (const [token, expected] of this._expected) {
+      // Oldest first, the rest are newer
+      if (expected.publishedAt >= expiredAt) {
+        break;
+      }
+      this._expected.delete(token);
+      this._stats.missing += 1;
+      this._metrics.recordError(
+        'webhookRequest',
+        `No webhook request for ${expected.deviceID} within ${timeout}ms`,
+      );
+    }
+  };
+}
+
+export default WebhookReceiver;
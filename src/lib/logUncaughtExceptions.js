@@ -0,0 +1,14 @@
+// @flow
+
+// Logs exceptions nothing caught instead of letting them end the process.
+// Both the main process and the fleet workers call this first.
+const logUncaughtExceptions = (): void => {
+  process.on('uncaughtException', (exception: Error) => {
+    console.error('uncaughtException', {
+      message: exception.message,
+      stack: exception.stack,
+    }); // logging with MetaData
+  });
+};
+
+export default logUncaughtExceptions;
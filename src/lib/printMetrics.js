@@ -0,0 +1,65 @@
+// @flow
+
+import chalk from 'chalk';
+
+import { OPERATIONS } from './MetricsCollector';
+
+import type MetricsCollector from './MetricsCollector';
+
+// Fits the longest operation name
+const OPERATION_WIDTH =
+  Math.max(...OPERATIONS.map((operation) => operation.length)) + 1;
+
+const pad = (value: string | number, width: number): string => {
+  const text = String(value);
+  return text.length >= width ? text : ' '.repeat(width - text.length) + text;
+};
+
+// Prints a latency table. Live tables show throughput over the last few
+// seconds, summaries show it over the whole run.
+const printMetrics = (
+  metrics: MetricsCollector,
+  isSummary?: boolean = false,
+): void => {
+  if (!metrics.hasData()) {
+    return;
+  }
+
+  console.log('');
+  console.log(
+    chalk.cyan(
+      pad('operation', OPERATION_WIDTH) +
+        pad('count', 8) +
+        pad('errors', 8) +
+        pad('mismatch', 10) +
+        pad('p50', 8) +
+        pad('p90', 8) +
+        pad('p99', 8) +
+        pad('max', 8) +
+        pad('req/s', 8),
+    ),
+  );
+
+  OPERATIONS.forEach((operation) => {
+    const stats = metrics.getStats(operation);
+    if (!stats.count && !stats.errors) {
+      return;
+    }
+
+    const throughput = isSummary ? stats.throughput : stats.recentThroughput;
+    console.log(
+      pad(operation, OPERATION_WIDTH) +
+        pad(stats.count, 8) +
+        pad(stats.errors, 8) +
+        pad(stats.mismatches, 10) +
+        pad(stats.p50, 8) +
+        pad(stats.p90, 8) +
+        pad(stats.p99, 8) +
+        pad(stats.max, 8) +
+        pad(throughput.toFixed(1), 8),
+    );
+  });
+  console.log(chalk.cyan('Latencies are in milliseconds'));
+};
+
+export default printMetrics;
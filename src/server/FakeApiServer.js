@@ -0,0 +1,713 @@
+// @flow
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import querystring from 'querystring';
+import url from 'url';
+
+import VariableCodec from '../lib/VariableCodec';
+import { DEVICE_EVENT } from './FakeDeviceServer';
+
+import type FakeDeviceServer from './FakeDeviceServer';
+import type { DeviceEvent } from './FakeDeviceConnection';
+
+type Webhook = {
+  event: string,
+  id: string,
+  json?: Object,
+  owner: string,
+  requestType?: string,
+  responseTopic?: string,
+  url: string,
+};
+
+type Product = {
+  deviceIDs: Set<string>,
+  id: number,
+  name: string,
+  owner: string,
+  platformID: number,
+};
+
+type Request = {
+  body: Object,
+  params: Array<string>,
+  username: ?string,
+};
+
+type Response = {
+  body: Object | Array<Object>,
+  status?: number,
+  // Keeps the response open as server-sent events instead of sending `body`
+  stream?: (response: http.ServerResponse) => void,
+};
+
+type Route = {
+  handler: (request: Request) => Response | Promise<Response>,
+  isPublic?: boolean,
+  method: string,
+  pattern: RegExp,
+};
+
+// Numeric types are what firmware sends in the describe payload
+const VARIABLE_TYPES = {
+  '1': 'BOOL',
+  '2': 'INT',
+  '4': 'STRING',
+  '9': 'DOUBLE',
+};
+// Far enough from platform IDs that the two don't get mixed up
+const FIRST_PRODUCT_ID = 1000;
+const DEFAULT_RESPONSE_TOPIC =
+  'hook-response/{{PARTICLE_EVENT_NAME}}/{{PARTICLE_DEVICE_ID}}';
+// Where the cloud publishes webhooks that couldn't be sent
+const ERROR_RESPONSE_TOPIC =
+  'hook-error/{{PARTICLE_EVENT_NAME}}/{{PARTICLE_DEVICE_ID}}';
+
+const randomID = (): string => crypto.randomBytes(12).toString('hex');
+
+const error = (status: number, message: string): Response => ({
+  body: { error: message, ok: false },
+  status,
+});
+
+// Fills in {{PARTICLE_*}} and top level keys of JSON event data
+const renderTemplate = (template: any, variables: Object): any => {
+  if (typeof template === 'string') {
+    return template.replace(/{{\s*([\w-]+)\s*}}/g, (match, key) =>
+      variables[key] == null ? '' : String(variables[key]),
+    );
+  }
+
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, variables));
+  }
+
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    Object.keys(template).forEach((key) => {
+      rendered[key] = renderTemplate(template[key], variables);
+    });
+    return rendered;
+  }
+
+  return template;
+};
+
+/**
+ * Just enough of the spark-server REST API for the calls the collider makes:
+ * users and tokens, key provisioning, webhooks, functions, variables, device
+ * event streams and products.
+ */
+class FakeApiServer {
+  _deviceServer: FakeDeviceServer;
+  _products: Array<Product> = [];
+  _routes: Array<Route>;
+  _server: http.Server;
+  _tokens: Map<string, string> = new Map();
+  _users: Map<string, string> = new Map();
+  _webhooks: Array<Webhook> = [];
+
+  constructor(deviceServer: FakeDeviceServer) {
+    this._deviceServer = deviceServer;
+    this._deviceServer.on(DEVICE_EVENT, this._onDeviceEvent);
+    this._server = http.createServer(this._onRequest);
+    this._routes = [
+      {
+        handler: this._login,
+        isPublic: true,
+        method: 'POST',
+        pattern: /^\/oauth\/token$/,
+      },
+      {
+        handler: this._createUser,
+        isPublic: true,
+        method: 'POST',
+        pattern: /^\/v1\/users$/,
+      },
+      {
+        handler: () => ({ body: { online: true, ok: true } }),
+        isPublic: true,
+        method: '*',
+        pattern: /^\/v1\/ping$/,
+      },
+      {
+        handler: this._deleteUser,
+        method: 'DELETE',
+        pattern: /^\/v1\/users\/([^/]+)$/,
+      },
+      {
+        handler: this._provisionDevice,
+        method: 'POST',
+        pattern: /^\/v1\/provisioning\/(\w+)$/,
+      },
+      {
+        handler: this._listWebhooks,
+        method: 'GET',
+        pattern: /^\/v1\/webhooks$/,
+      },
+      {
+        handler: this._createWebhook,
+        method: 'POST',
+        pattern: /^\/v1\/webhooks$/,
+      },
+      {
+        handler: this._deleteWebhook,
+        method: 'DELETE',
+        pattern: /^\/v1\/webhooks\/(\w+)$/,
+      },
+      {
+        handler: this._listProducts,
+        method: 'GET',
+        pattern: /^\/v1\/products$/,
+      },
+      {
+        handler: this._createProduct,
+        method: 'POST',
+        pattern: /^\/v1\/products$/,
+      },
+      {
+        handler: this._listProductDevices,
+        method: 'GET',
+        pattern: /^\/v1\/products\/(\w+)\/devices$/,
+      },
+      {
+        handler: this._addProductDevice,
+        method: 'POST',
+        pattern: /^\/v1\/products\/(\w+)\/devices$/,
+      },
+      {
+        handler: this._getProductEventStream,
+        method: 'GET',
+        pattern: /^\/v1\/products\/(\w+)\/events(?:\/([^/]+))?$/,
+      },
+      // Before variables so `events` isn't taken for a variable name
+      {
+        handler: this._getEventStream,
+        method: 'GET',
+        pattern: /^\/v1\/devices\/(\w+)\/events(?:\/([^/]+))?$/,
+      },
+      {
+        handler: this._removeDevice,
+        method: 'DELETE',
+        pattern: /^\/v1\/devices\/(\w+)$/,
+      },
+      {
+        handler: this._callFunction,
+        method: 'POST',
+        pattern: /^\/v1\/devices\/(\w+)\/([^/]+)$/,
+      },
+      {
+        handler: this._getVariable,
+        method: 'GET',
+        pattern: /^\/v1\/devices\/(\w+)\/([^/]+)$/,
+      },
+    ];
+  }
+
+  listen(port: number): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.once('listening', () => resolve());
+      this._server.listen(port);
+    });
+  }
+
+  close(): Promise<void> {
+    return new Promise((resolve) => this._server.close(() => resolve()));
+  }
+
+  _onRequest = (
+    request: http.IncomingMessage,
+    response: http.ServerResponse,
+  ) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', async (): Promise<void> => {
+      let result = null;
+      try {
+        result = await this._route(request, Buffer.concat(chunks));
+      } catch (routeError) {
+        result = error(500, routeError.message);
+      }
+
+      const { stream } = result;
+      if (stream) {
+        response.writeHead(200, {
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive',
+          'Content-Type': 'text/event-stream',
+        });
+        // A comment gets the headers out, clients wait for them before they
+        // count as connected
+        response.write(':\n\n');
+        stream(response);
+        return;
+      }
+
+      response.writeHead(result.status || 200, {
+        'Content-Type': 'application/json',
+      });
+      response.end(JSON.stringify(result.body));
+    });
+  };
+
+  _route(
+    request: http.IncomingMessage,
+    rawBody: Buffer,
+  ): Response | Promise<Response> {
+    const parsedUrl = url.parse(request.url, true);
+    const pathname = parsedUrl.pathname || '/';
+    const query = parsedUrl.query || {};
+    const contentType = request.headers['content-type'] || '';
+    let body = {};
+    if (rawBody.length) {
+      body =
+        contentType.indexOf('application/json') >= 0
+          ? JSON.parse(rawBody.toString('utf8'))
+          : querystring.parse(rawBody.toString('utf8'));
+    }
+
+    const route = this._routes.find(
+      (item) =>
+        (item.method === '*' || item.method === request.method) &&
+        item.pattern.test(pathname),
+    );
+    if (!route) {
+      return error(404, `${request.method} ${pathname} is not supported`);
+    }
+
+    const authorization = request.headers.authorization || '';
+    const accessToken = authorization.startsWith('Bearer ')
+      ? authorization.substr(7)
+      : query.access_token || body.access_token;
+    const username = accessToken ? this._tokens.get(accessToken) : null;
+    if (!route.isPublic && !username) {
+      return error(401, 'invalid_token');
+    }
+
+    const params = (route.pattern.exec(pathname) || []).slice(1);
+    return route.handler({ body, params, username });
+  }
+
+  _login = ({ body }: Request): Response => {
+    if (
+      body.grant_type !== 'password' ||
+      this._users.get(body.username) !== body.password
+    ) {
+      return error(400, 'invalid_grant');
+    }
+
+    const accessToken = randomID();
+    this._tokens.set(accessToken, body.username);
+    return {
+      body: {
+        access_token: accessToken,
+        expires_in: 7776000,
+        refresh_token: randomID(),
+        token_type: 'bearer',
+      },
+    };
+  };
+
+  _createUser = ({ body }: Request): Response => {
+    if (!body.username || !body.password) {
+      return error(400, 'username and password are required');
+    }
+
+    if (this._users.has(body.username)) {
+      return error(400, 'User already exists');
+    }
+
+    this._users.set(body.username, body.password);
+    return { body: { ok: true } };
+  };
+
+  // Users can only delete themselves, along with everything they own
+  _deleteUser = ({ params, username }: Request): Response => {
+    const deletedUsername = decodeURIComponent(params[0]);
+    if (deletedUsername !== username) {
+      return error(403, 'Users can only delete themselves');
+    }
+
+    this._deviceServer
+      .getDeviceIDs(deletedUsername)
+      .forEach((deviceID) => this._deviceServer.removeDevice(deviceID));
+    this._webhooks = this._webhooks.filter(
+      (webhook) => webhook.owner !== deletedUsername,
+    );
+    this._products = this._products.filter(
+      (product) => product.owner !== deletedUsername,
+    );
+    this._tokens.forEach((owner, accessToken) => {
+      if (owner === deletedUsername) {
+        this._tokens.delete(accessToken);
+      }
+    });
+    this._users.delete(deletedUsername);
+    return { body: { ok: true } };
+  };
+
+  _provisionDevice = ({ body, params, username }: Request): Response => {
+    const [deviceID] = params;
+    const owner = this._deviceServer.getDeviceOwner(deviceID);
+    if (owner && owner !== username) {
+      return error(403, 'Device belongs to another user');
+    }
+
+    this._deviceServer.registerDevice(
+      deviceID.toLowerCase(),
+      body.publicKey,
+      (username: any),
+    );
+    return { body: { id: deviceID, ok: true } };
+  };
+
+  // Unclaims the device and forgets its key
+  _removeDevice = ({ params, username }: Request): Response => {
+    const deviceID = params[0].toLowerCase();
+    if (this._deviceServer.getDeviceOwner(deviceID) !== username) {
+      return error(404, `Could not get device for ID ${deviceID}`);
+    }
+
+    this._deviceServer.removeDevice(deviceID);
+    this._products.forEach((product) => product.deviceIDs.delete(deviceID));
+    return { body: { id: deviceID, ok: true } };
+  };
+
+  _listWebhooks = ({ username }: Request): Response => ({
+    body: this._webhooks.filter((webhook) => webhook.owner === username),
+  });
+
+  _createWebhook = ({ body, username }: Request): Response => {
+    if (!body.event || !body.url) {
+      return error(400, 'event and url are required');
+    }
+
+    const webhook = {
+      ...body,
+      id: randomID(),
+      owner: (username: any),
+    };
+    this._webhooks.push(webhook);
+    return { body: { ...webhook, ok: true } };
+  };
+
+  _deleteWebhook = ({ params, username }: Request): Response => {
+    const [hookID] = params;
+    const webhook = this._webhooks.find(
+      (item) => item.id === hookID && item.owner === username,
+    );
+    if (!webhook) {
+      return error(404, 'Webhook not found');
+    }
+
+    this._webhooks = this._webhooks.filter((item) => item !== webhook);
+    return { body: { ok: true } };
+  };
+
+  _callFunction = async ({
+    body,
+    params,
+    username,
+  }: Request): Promise<Response> => {
+    const [deviceID, functionName] = params;
+    const connection = this._getConnection(deviceID, username);
+    if (!connection) {
+      return error(404, `Could not get device for ID ${deviceID}`);
+    }
+
+    const description = connection.getDescription() || {};
+    if ((description.f || []).indexOf(functionName) < 0) {
+      return error(404, `Function ${functionName} not found`);
+    }
+
+    try {
+      const packet = await connection.callFunction(
+        functionName,
+        String(body.args == null ? '' : body.args),
+      );
+      if (!packet.code.startsWith('2.')) {
+        return error(400, `Function call failed with ${packet.code}`);
+      }
+
+      return {
+        body: {
+          connected: true,
+          id: deviceID,
+          return_value: packet.payload.readInt32BE(0),
+        },
+      };
+    } catch (requestError) {
+      return error(408, requestError.message);
+    }
+  };
+
+  _getVariable = async ({ params, username }: Request): Promise<Response> => {
+    const [deviceID, variableName] = params;
+    const connection = this._getConnection(deviceID, username);
+    if (!connection) {
+      return error(404, `Could not get device for ID ${deviceID}`);
+    }
+
+    const variables = (connection.getDescription() || {}).v || {};
+    if (!variables.hasOwnProperty(variableName)) {
+      return error(404, `Variable ${variableName} not found`);
+    }
+
+    const rawType = String(variables[variableName]);
+    const type = VARIABLE_TYPES[rawType] || rawType;
+    try {
+      const packet = await connection.getVariable(variableName);
+      if (!packet.code.startsWith('2.')) {
+        return error(400, `Variable read failed with ${packet.code}`);
+      }
+
+      return {
+        body: {
+          cmd: 'VarReturn',
+          coreInfo: { connected: true, deviceID },
+          name: variableName,
+          result: VariableCodec.decode(type, packet.payload),
+        },
+      };
+    } catch (requestError) {
+      return error(408, requestError.message);
+    }
+  };
+
+  // Only the owner gets the events of a device
+  _getEventStream = ({ params, username }: Request): Response => {
+    const [deviceID, encodedName] = params;
+    if (this._deviceServer.getDeviceOwner(deviceID) !== username) {
+      return error(404, `Could not get device for ID ${deviceID}`);
+    }
+
+    return this._streamEvents(
+      encodedName,
+      (event) => event.deviceID === deviceID,
+    );
+  };
+
+  // Only the product's owner gets the events of its devices
+  _getProductEventStream = ({ params, username }: Request): Response => {
+    const [productID, encodedName] = params;
+    const product = this._getProduct(productID, username);
+    if (!product) {
+      return error(404, `Product ${productID} not found`);
+    }
+
+    return this._streamEvents(encodedName, (event) =>
+      product.deviceIDs.has(event.deviceID),
+    );
+  };
+
+  _streamEvents(
+    encodedName: ?string,
+    filter: (event: DeviceEvent) => boolean,
+  ): Response {
+    const prefix = encodedName ? decodeURIComponent(encodedName) : '';
+    return {
+      body: {},
+      stream: (response: http.ServerResponse) => {
+        const onEvent = (event: DeviceEvent) => {
+          if (!filter(event) || !event.name.startsWith(prefix)) {
+            return;
+          }
+
+          response.write(
+            `event: ${event.name}\ndata: ` +
+              JSON.stringify({
+                coreid: event.deviceID,
+                data: event.data.toString('utf8'),
+                published_at: event.publishedAt.toISOString(),
+                ttl: event.ttl,
+              }) +
+              '\n\n',
+          );
+        };
+        this._deviceServer.on(DEVICE_EVENT, onEvent);
+        response.on('close', () =>
+          this._deviceServer.removeListener(DEVICE_EVENT, onEvent),
+        );
+      },
+    };
+  }
+
+  _listProducts = ({ username }: Request): Response => ({
+    body: {
+      products: this._products
+        .filter((product) => product.owner === username)
+        .map(this._formatProduct),
+    },
+  });
+
+  _createProduct = ({ body, username }: Request): Response => {
+    const { name, platform_id: platformID } = body.product || {};
+    if (!name || platformID == null) {
+      return error(400, 'name and platform_id are required');
+    }
+
+    if (this._products.some((product) => product.name === name)) {
+      return error(400, `Product ${name} already exists`);
+    }
+
+    const product = {
+      deviceIDs: new Set(),
+      id: FIRST_PRODUCT_ID + this._products.length,
+      name,
+      owner: (username: any),
+      platformID: parseInt(platformID, 10),
+    };
+    this._products.push(product);
+    return { body: { ok: true, product: this._formatProduct(product) } };
+  };
+
+  _addProductDevice = ({ body, params, username }: Request): Response => {
+    const [productID] = params;
+    const product = this._getProduct(productID, username);
+    if (!product) {
+      return error(404, `Product ${productID} not found`);
+    }
+
+    const deviceID = String(body.id || '').toLowerCase();
+    if (!this._deviceServer.getDeviceOwner(deviceID)) {
+      return error(404, `Could not get device for ID ${deviceID}`);
+    }
+
+    product.deviceIDs.add(deviceID);
+    return { body: { ok: true, updated: 1 } };
+  };
+
+  // What the devices said in their last hello, not what they were added as
+  _listProductDevices = ({ params, username }: Request): Response => {
+    const [productID] = params;
+    const product = this._getProduct(productID, username);
+    if (!product) {
+      return error(404, `Product ${productID} not found`);
+    }
+
+    return {
+      body: {
+        devices: Array.from(product.deviceIDs).map((deviceID) => {
+          const connection = this._deviceServer.getConnection(deviceID);
+          const hello = connection ? connection.getHello() : null;
+          return {
+            firmware_version: hello ? hello.productFirmwareVersion : null,
+            id: deviceID,
+            online: !!connection && connection.getIsReady(),
+            owner: this._deviceServer.getDeviceOwner(deviceID),
+            platform_id: hello ? hello.platformID : null,
+            product_id: hello ? hello.productID : null,
+          };
+        }),
+      },
+    };
+  };
+
+  _getProduct(productID: string, username: ?string): ?Product {
+    return this._products.find(
+      (product) =>
+        String(product.id) === productID && product.owner === username,
+    );
+  }
+
+  _formatProduct = (product: Product): Object => ({
+    device_count: product.deviceIDs.size,
+    id: product.id,
+    name: product.name,
+    platform_id: product.platformID,
+  });
+
+  _getConnection(deviceID: string, username: ?string) {
+    if (this._deviceServer.getDeviceOwner(deviceID) !== username) {
+      return null;
+    }
+
+    return this._deviceServer.getConnection(deviceID);
+  }
+
+  _onDeviceEvent = (event: DeviceEvent): void => {
+    const owner = this._deviceServer.getDeviceOwner(event.deviceID);
+    this._webhooks
+      .filter(
+        (webhook) =>
+          webhook.owner === owner && event.name.startsWith(webhook.event),
+      )
+      .forEach((webhook) => this._runWebhook(webhook, event));
+  };
+
+  _runWebhook(webhook: Webhook, event: DeviceEvent): void {
+    const data = event.data.toString('utf8');
+    let variables = {
+      PARTICLE_DEVICE_ID: event.deviceID,
+      PARTICLE_EVENT_NAME: event.name,
+      PARTICLE_EVENT_VALUE: data,
+      PARTICLE_PUBLISHED_AT: event.publishedAt.toISOString(),
+    };
+    try {
+      const json = JSON.parse(data);
+      if (json && typeof json === 'object') {
+        variables = { ...json, ...variables };
+      }
+    } catch (ignore) {}
+
+    const body = JSON.stringify(
+      renderTemplate(
+        webhook.json || { data: '{{PARTICLE_EVENT_VALUE}}' },
+        variables,
+      ),
+    );
+    // Responses are published in numbered chunks, we only ever send one
+    const publishResponse = (topic: string, data: Buffer) =>
+      this._deviceServer.publish({
+        data,
+        deviceID: event.deviceID,
+        isPrivate: true,
+        name: `${renderTemplate(topic, {
+          ...variables,
+          PARTICLE_EVENT_NAME: webhook.event,
+        })}/0`,
+        publishedAt: new Date(),
+        ttl: 60,
+      });
+    const onError = (requestError: Error) => {
+      console.error(`Webhook ${webhook.id} failed: ${requestError.message}`);
+      publishResponse(ERROR_RESPONSE_TOPIC, Buffer.from(requestError.message));
+    };
+
+    const options = url.parse(webhook.url);
+    let request;
+    try {
+      // Each module throws for the other's protocol
+      request = (options.protocol === 'https:' ? https : http).request(
+        {
+          ...options,
+          headers: {
+            'Content-Length': Buffer.byteLength(body),
+            'Content-Type': 'application/json',
+          },
+          method: webhook.requestType || 'POST',
+        },
+        (response) => {
+          const chunks = [];
+          response.on('data', (chunk) => chunks.push(chunk));
+          response.on('end', () =>
+            publishResponse(
+              webhook.responseTopic || DEFAULT_RESPONSE_TOPIC,
+              Buffer.concat(chunks),
+            ),
+          );
+        },
+      );
+    } catch (requestError) {
+      onError(requestError);
+      return;
+    }
+    request.on('error', onError);
+    request.end(body);
+  }
+}
+
+export default FakeApiServer;
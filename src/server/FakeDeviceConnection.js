@@ -0,0 +1,430 @@
+// @flow
+
+import CoapPacket from 'coap-packet';
+import EventEmitter from 'events';
+import { Socket } from 'net';
+import NodeRSA from 'node-rsa';
+
+import ChunkingStream from '../lib/ChunkingStream';
+import CoapUriType from '../lib/CoapUriType';
+import CryptoManager from '../lib/CryptoManager';
+import CryptoStream from '../lib/CryptoStream';
+
+type ConnectionState = 'nonce' | 'hello' | 'ready' | 'closed';
+
+type PendingRequest = {
+  reject: (error: Error) => void,
+  resolve: (packet: CoapPacket) => void,
+  timeout: number,
+};
+
+export type DeviceEvent = {
+  data: Buffer,
+  deviceID: string,
+  isPrivate: boolean,
+  name: string,
+  publishedAt: Date,
+  // Seconds, from the Max-Age option
+  ttl: number,
+};
+
+// What the device said about itself in the hello
+export type DeviceHello = {
+  platformID: number,
+  productFirmwareVersion: number,
+  productID: number,
+};
+
+const NONCE_LENGTH = 40;
+const DEVICE_ID_LENGTH = 12;
+const SESSION_KEY_LENGTH = 40;
+const COUNTER_MAX = 65536;
+const REQUEST_TIMEOUT = 10000;
+// Everything up to the describe reply has to happen within this
+const HANDSHAKE_TIMEOUT = 5000;
+
+// Emitted once the device has answered the describe request
+export const READY_EVENT = 'ready';
+export const DEVICE_EVENT = 'event';
+export const CLOSE_EVENT = 'close';
+
+/**
+ * The server side of a single device session. The handshake goes:
+ *
+ * 1. Server sends a 40 byte nonce.
+ * 2. Device sends nonce + device ID + its public key (DER) encrypted with
+ *    the server public key.
+ * 3. Server sends a 40 byte session key encrypted with the device public key,
+ *    followed by an HMAC of that ciphertext signed with the server private
+ *    key.
+ * 4. Everything after that is CoAP, AES-128-CBC encrypted with the first 32
+ *    bytes of the session key and framed by ChunkingStream.
+ *
+ * Once encrypted, the device says hello, the server says hello back and then
+ * asks the device to describe its functions and variables.
+ */
+class FakeDeviceConnection {
+  _cipherStream: CryptoStream;
+  _description: ?Object = null;
+  _deviceID: string = '';
+  _eventEmitter: EventEmitter = new EventEmitter();
+  _getDevicePublicKey: (deviceID: string) => ?string;
+  _handshakeBuffer: Buffer = Buffer.alloc(0);
+  _handshakeTimeout: ?number = null;
+  _hello: ?DeviceHello = null;
+  _messageID: number = Math.floor(Math.random() * COUNTER_MAX);
+  _nonce: Buffer;
+  _pendingRequests: Map<string, PendingRequest> = new Map();
+  _serverKey: NodeRSA;
+  _socket: Socket;
+  _state: ConnectionState = 'nonce';
+  _subscriptions: Array<string> = [];
+  _token: number = Math.floor(Math.random() * COUNTER_MAX);
+
+  constructor({
+    getDevicePublicKey,
+    serverKey,
+    socket,
+  }: {
+    getDevicePublicKey: (deviceID: string) => ?string,
+    serverKey: NodeRSA,
+    socket: Socket,
+  }) {
+    this._getDevicePublicKey = getDevicePublicKey;
+    this._serverKey = serverKey;
+    this._socket = socket;
+  }
+
+  start(): void {
+    this._socket.on('data', this._onHandshakeData);
+    this._socket.on('error', () => this.close());
+    this._socket.on('close', () => this.close());
+
+    this._handshakeTimeout = setTimeout(() => {
+      console.error(`Handshake timed out for ${this._deviceID || 'device'}`);
+      this.close();
+    }, HANDSHAKE_TIMEOUT);
+
+    this._nonce = CryptoManager.randomBytes(NONCE_LENGTH);
+    this._socket.write(this._nonce);
+  }
+
+  on = (event: string, callback: Function) =>
+    this._eventEmitter.on(event, callback);
+
+  getDeviceID(): string {
+    return this._deviceID;
+  }
+
+  getDescription(): ?Object {
+    return this._description;
+  }
+
+  getHello(): ?DeviceHello {
+    return this._hello;
+  }
+
+  getIsReady(): boolean {
+    return this._state === 'ready';
+  }
+
+  isSubscribedTo(eventName: string): boolean {
+    return this._subscriptions.some((prefix) => eventName.startsWith(prefix));
+  }
+
+  callFunction(name: string, argument: string): Promise<CoapPacket> {
+    return this._request({
+      code: 'POST',
+      options: [
+        { name: 'Uri-Path', value: Buffer.from(CoapUriType.Function) },
+        { name: 'Uri-Path', value: Buffer.from(name) },
+        { name: 'Uri-Query', value: Buffer.from(argument) },
+      ],
+    });
+  }
+
+  getVariable(name: string): Promise<CoapPacket> {
+    return this._request({
+      code: 'GET',
+      options: [
+        { name: 'Uri-Path', value: Buffer.from(CoapUriType.Variable) },
+        { name: 'Uri-Path', value: Buffer.from(name) },
+      ],
+    });
+  }
+
+  sendEvent(name: string, data: Buffer, isPrivate: boolean): void {
+    const uriType = isPrivate
+      ? CoapUriType.PrivateEvent
+      : CoapUriType.PublicEvent;
+    this._write(
+      CoapPacket.generate({
+        code: 'POST',
+        messageId: this._nextMessageID(),
+        options: [uriType]
+          .concat(name.split('/'))
+          .map((segment) => ({
+            name: 'Uri-Path',
+            value: Buffer.from(segment),
+          })),
+        payload: data,
+      }),
+    );
+  }
+
+  close = (): void => {
+    if (this._state === 'closed') {
+      return;
+    }
+
+    this._state = 'closed';
+    clearTimeout(this._handshakeTimeout);
+    this._pendingRequests.forEach((request) => {
+      clearTimeout(request.timeout);
+      request.reject(new Error('Device disconnected'));
+    });
+    this._pendingRequests.clear();
+
+    this._socket.removeAllListeners();
+    this._socket.on('error', () => {});
+    this._socket.destroy();
+    this._eventEmitter.emit(CLOSE_EVENT, this);
+    this._eventEmitter.removeAllListeners();
+  };
+
+  _onHandshakeData = (data: Buffer): void => {
+    // The RSA ciphertext is always the size of the server key so wait until
+    // we have all of it.
+    this._handshakeBuffer = Buffer.concat([this._handshakeBuffer, data]);
+    const cipherTextLength = this._serverKey.getKeySize() / 8;
+    if (this._handshakeBuffer.length < cipherTextLength) {
+      return;
+    }
+
+    this._socket.removeListener('data', this._onHandshakeData);
+    try {
+      this._sendSessionKey(
+        this._serverKey.decrypt(
+          this._handshakeBuffer.slice(0, cipherTextLength),
+        ),
+      );
+    } catch (error) {
+      console.error(`Handshake failed: ${error.message}`);
+      this.close();
+    }
+  };
+
+  _sendSessionKey(payload: Buffer): void {
+    const nonce = payload.slice(0, NONCE_LENGTH);
+    if (!nonce.equals(this._nonce)) {
+      throw new Error('Nonce did not match');
+    }
+
+    this._deviceID = payload
+      .slice(NONCE_LENGTH, NONCE_LENGTH + DEVICE_ID_LENGTH)
+      .toString('hex')
+      .toLowerCase();
+    const deviceKey = new NodeRSA(
+      payload.slice(NONCE_LENGTH + DEVICE_ID_LENGTH),
+      'pkcs8-public-der',
+      {
+        encryptionScheme: 'pkcs1',
+        signingScheme: 'pkcs1',
+      },
+    );
+
+    // Like spark-server, only devices whose key was provisioned can connect
+    const registeredKey = this._getDevicePublicKey(this._deviceID);
+    if (
+      !registeredKey ||
+      registeredKey.trim() !== deviceKey.exportKey('pkcs8-public-pem').trim()
+    ) {
+      throw new Error(`Unknown public key for ${this._deviceID}`);
+    }
+
+    const sessionKey = CryptoManager.randomBytes(SESSION_KEY_LENGTH);
+    const cipherText = deviceKey.encrypt(sessionKey);
+    const hmac = CryptoManager.createHmacDigest(cipherText, sessionKey);
+    const signedHMAC = this._serverKey.encryptPrivate(hmac);
+
+    const key = sessionKey.slice(0, 16);
+    const iv = sessionKey.slice(16, 32);
+    const decipherStream = new CryptoStream({
+      iv,
+      key,
+      streamType: 'decrypt',
+    });
+    this._cipherStream = new CryptoStream({
+      iv,
+      key,
+      streamType: 'encrypt',
+    });
+
+    // CryptoStream throws on bad ciphertext instead of emitting an error so
+    // write to it by hand and drop the device when it does.
+    this._socket
+      .pipe(new ChunkingStream({ outgoing: false }))
+      .on('data', (chunk: Buffer) => {
+        try {
+          decipherStream.write(chunk);
+        } catch (error) {
+          console.error(`Bad ciphertext from ${this._deviceID}`);
+          this.close();
+        }
+      });
+    this._cipherStream
+      .pipe(new ChunkingStream({ outgoing: true }))
+      .pipe(this._socket);
+
+    decipherStream.on('data', this._onCoapMessage);
+    decipherStream.on('error', () => this.close());
+
+    this._state = 'hello';
+    this._socket.write(Buffer.concat([cipherText, signedHMAC]));
+  }
+
+  _onCoapMessage = (data: Buffer): void => {
+    let packet = null;
+    try {
+      packet = CoapPacket.parse(data);
+    } catch (error) {
+      console.error(`Bad CoAP message from ${this._deviceID}`);
+      this.close();
+      return;
+    }
+
+    // Responses to our own requests are matched by token
+    const tokenKey = packet.token.toString('hex');
+    if (packet.token.length && this._pendingRequests.has(tokenKey)) {
+      const request = this._pendingRequests.get(tokenKey);
+      this._pendingRequests.delete(tokenKey);
+      if (request) {
+        clearTimeout(request.timeout);
+        request.resolve(packet);
+      }
+      return;
+    }
+
+    const segments = packet.options
+      .filter((option) => option.name === 'Uri-Path')
+      .map((option) => option.value.toString('utf8'))
+      .join('/')
+      .split('/');
+    const uriType = segments.shift();
+
+    switch (uriType) {
+      case CoapUriType.Hello: {
+        this._onHello(packet.payload);
+        break;
+      }
+
+      case CoapUriType.PrivateEvent:
+      case CoapUriType.PublicEvent: {
+        const name = segments.join('/');
+        if (packet.code === '0.01') {
+          // GET is a subscription
+          this._subscriptions.push(name);
+        } else {
+          const maxAge = packet.options.find(
+            (option) => option.name === 'Max-Age',
+          );
+          this._eventEmitter.emit(DEVICE_EVENT, {
+            data: packet.payload,
+            deviceID: this._deviceID,
+            isPrivate: uriType === CoapUriType.PrivateEvent,
+            name,
+            publishedAt: new Date(),
+            ttl: maxAge ? maxAge.value.readUIntBE(0, maxAge.value.length) : 60,
+          });
+        }
+        break;
+      }
+    }
+
+    // Pings and anything else confirmable just get acknowledged
+    if (packet.confirmable) {
+      this._write(
+        CoapPacket.generate({
+          ack: true,
+          code: '0.00',
+          messageId: packet.messageId,
+        }),
+      );
+    }
+  };
+
+  _onHello = async (payload: Buffer): Promise<void> => {
+    if (payload && payload.length >= 8) {
+      this._hello = {
+        platformID: payload.readUInt16BE(6),
+        productFirmwareVersion: payload.readUInt16BE(2),
+        productID: payload.readUInt16BE(0),
+      };
+    }
+
+    this._write(
+      CoapPacket.generate({
+        code: 'POST',
+        messageId: this._nextMessageID(),
+        options: [{ name: 'Uri-Path', value: Buffer.from(CoapUriType.Hello) }],
+      }),
+    );
+
+    try {
+      const response = await this._request({
+        code: 'GET',
+        options: [
+          { name: 'Uri-Path', value: Buffer.from(CoapUriType.Describe) },
+        ],
+      });
+      this._description = JSON.parse(response.payload.toString('utf8'));
+      this._state = 'ready';
+      clearTimeout(this._handshakeTimeout);
+      this._eventEmitter.emit(READY_EVENT, this);
+    } catch (error) {
+      console.error(`Describe failed for ${this._deviceID}: ${error.message}`);
+      this.close();
+    }
+  };
+
+  _request(packet: Object): Promise<CoapPacket> {
+    const token = this._nextToken();
+    return new Promise((resolve, reject) => {
+      const tokenKey = token.toString('hex');
+      const timeout = setTimeout(() => {
+        this._pendingRequests.delete(tokenKey);
+        reject(new Error('Timed out waiting for the device'));
+      }, REQUEST_TIMEOUT);
+      this._pendingRequests.set(tokenKey, { reject, resolve, timeout });
+
+      this._write(
+        CoapPacket.generate({
+          ...packet,
+          confirmable: true,
+          messageId: this._nextMessageID(),
+          token,
+        }),
+      );
+    });
+  }
+
+  _nextMessageID(): number {
+    this._messageID = (this._messageID + 1) % COUNTER_MAX;
+    return this._messageID;
+  }
+
+  _nextToken(): Buffer {
+    this._token = (this._token + 1) % COUNTER_MAX;
+    return Buffer.from([this._token >> 8, this._token & 0xff]);
+  }
+
+  _write(packet: Buffer): void {
+    if (this._state === 'closed' || this._socket.destroyed) {
+      return;
+    }
+
+    this._cipherStream.write(packet);
+  }
+}
+
+export default FakeDeviceConnection;
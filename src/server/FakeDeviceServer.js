@@ -0,0 +1,144 @@
+// @flow
+
+import EventEmitter from 'events';
+import net from 'net';
+import NodeRSA from 'node-rsa';
+
+import FakeDeviceConnection, {
+  CLOSE_EVENT,
+  DEVICE_EVENT,
+  READY_EVENT,
+} from './FakeDeviceConnection';
+
+import type { DeviceEvent } from './FakeDeviceConnection';
+
+type RegisteredDevice = {
+  owner: string,
+  publicKey: string,
+};
+
+export { DEVICE_EVENT };
+
+// Accepts TCPDevice connections and routes events between them. It can
+// listen on several ports, which share their devices like the gateways of a
+// spark-server cluster.
+class FakeDeviceServer {
+  _connections: Map<string, FakeDeviceConnection> = new Map();
+  _devices: Map<string, RegisteredDevice> = new Map();
+  _eventEmitter: EventEmitter = new EventEmitter();
+  _serverKey: NodeRSA;
+  _servers: Array<net.Server> = [];
+
+  constructor(serverKey: NodeRSA) {
+    this._serverKey = serverKey;
+  }
+
+  listen(port: number): Promise<void> {
+    const server = net.createServer(this._onConnection);
+    this._servers.push(server);
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.once('listening', () => resolve());
+      server.listen(port);
+    });
+  }
+
+  close(): Promise<void> {
+    this._connections.forEach((connection) => connection.close());
+    const servers = this._servers;
+    this._servers = [];
+    return Promise.all(
+      servers.map(
+        (server) => new Promise((resolve) => server.close(() => resolve())),
+      ),
+    ).then(() => {});
+  }
+
+  on = (event: string, callback: Function) =>
+    this._eventEmitter.on(event, callback);
+
+  removeListener = (event: string, callback: Function) =>
+    this._eventEmitter.removeListener(event, callback);
+
+  registerDevice(deviceID: string, publicKey: string, owner: string): void {
+    this._devices.set(deviceID, { owner, publicKey });
+  }
+
+  // Forgets the key and ends the device's session
+  removeDevice(deviceID: string): void {
+    this._devices.delete(deviceID);
+    const connection = this._connections.get(deviceID);
+    if (connection) {
+      connection.close();
+    }
+  }
+
+  // Every device claimed by `owner`
+  getDeviceIDs(owner: string): Array<string> {
+    return Array.from(this._devices.keys()).filter(
+      (deviceID) => this.getDeviceOwner(deviceID) === owner,
+    );
+  }
+
+  getDeviceOwner(deviceID: string): ?string {
+    const device = this._devices.get(deviceID);
+    return device ? device.owner : null;
+  }
+
+  getConnection(deviceID: string): ?FakeDeviceConnection {
+    const connection = this._connections.get(deviceID);
+    return connection && connection.getIsReady() ? connection : null;
+  }
+
+  // Public events go to every subscriber, private events only to devices
+  // with the same owner.
+  publish(event: DeviceEvent): void {
+    const owner = this.getDeviceOwner(event.deviceID);
+    this._connections.forEach((connection, deviceID) => {
+      if (
+        !connection.getIsReady() ||
+        !connection.isSubscribedTo(event.name) ||
+        (event.isPrivate && this.getDeviceOwner(deviceID) !== owner)
+      ) {
+        return;
+      }
+
+      connection.sendEvent(event.name, event.data, event.isPrivate);
+    });
+  }
+
+  _onConnection = (socket: net.Socket): void => {
+    const connection = new FakeDeviceConnection({
+      getDevicePublicKey: (deviceID: string) => {
+        const device = this._devices.get(deviceID);
+        return device ? device.publicKey : null;
+      },
+      serverKey: this._serverKey,
+      socket,
+    });
+
+    connection.on(READY_EVENT, () => {
+      const deviceID = connection.getDeviceID();
+      // A device reconnecting replaces its old session
+      const existingConnection = this._connections.get(deviceID);
+      if (existingConnection && existingConnection !== connection) {
+        existingConnection.close();
+      }
+      this._connections.set(deviceID, connection);
+    });
+    connection.on(CLOSE_EVENT, () => {
+      const deviceID = connection.getDeviceID();
+      if (this._connections.get(deviceID) === connection) {
+        this._connections.delete(deviceID);
+      }
+    });
+    connection.on(DEVICE_EVENT, (event: DeviceEvent) => {
+      this.publish(event);
+      this._eventEmitter.emit(DEVICE_EVENT, event);
+    });
+
+    connection.start();
+  };
+}
+
+export default FakeDeviceServer;
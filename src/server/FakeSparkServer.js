@@ -0,0 +1,104 @@
+// @flow
+
+import fs from 'fs';
+import NodeRSA from 'node-rsa';
+import path from 'path';
+
+import { FOLDER_PATH } from '../lib/ConfigStore';
+import { DEFAULT_DEVICE_PORT } from '../lib/EndpointSelector';
+import FakeApiServer from './FakeApiServer';
+import FakeDeviceServer from './FakeDeviceServer';
+
+import type { Config } from '../lib/ConfigStore';
+import type { EndpointPolicy } from '../lib/EndpointSelector';
+
+export type FakeSparkServerOptions = {
+  apiPort?: ?number,
+  devicePort?: ?number,
+  // Device servers sharing one API, wins over `devicePort`
+  devicePorts?: ?Array<number>,
+  // How devices are spread over `devicePorts`, roundRobin when not set
+  endpointPolicy?: ?EndpointPolicy,
+};
+
+const KEY_FOLDER_PATH = path.join(FOLDER_PATH, 'fake-server');
+const PRIVATE_KEY_PATH = path.join(KEY_FOLDER_PATH, 'server-key.pem');
+const PUBLIC_KEY_PATH = path.join(KEY_FOLDER_PATH, 'server-key.pub.pem');
+const DEFAULT_API_PORT = 8080;
+
+// Runs the fake device server and REST API together and hands back a config
+// that points the collider at them.
+class FakeSparkServer {
+  _apiPort: number;
+  _apiServer: ?FakeApiServer = null;
+  _devicePorts: Array<number>;
+  _deviceServer: ?FakeDeviceServer = null;
+  _endpointPolicy: EndpointPolicy;
+
+  constructor({
+    apiPort,
+    devicePort,
+    devicePorts,
+    endpointPolicy,
+  }: FakeSparkServerOptions = {}) {
+    this._apiPort = apiPort || DEFAULT_API_PORT;
+    this._devicePorts =
+      devicePorts && devicePorts.length
+        ? devicePorts
+        : [devicePort || DEFAULT_DEVICE_PORT];
+    this._endpointPolicy = endpointPolicy || 'roundRobin';
+  }
+
+  start = async (): Promise<Config> => {
+    const deviceServer = new FakeDeviceServer(this._loadServerKey());
+    const apiServer = new FakeApiServer(deviceServer);
+    // Set before listening so stop() closes whatever did start
+    this._deviceServer = deviceServer;
+    for (const port of this._devicePorts) {
+      await deviceServer.listen(port);
+    }
+    await apiServer.listen(this._apiPort);
+    this._apiServer = apiServer;
+
+    return {
+      apiUrl: `http://localhost:${this._apiPort}`,
+      deviceEndpoints: this._devicePorts.map((port) => ({
+        host: 'localhost',
+        port,
+      })),
+      endpointPolicy: this._endpointPolicy,
+      serverKeyPath: PUBLIC_KEY_PATH,
+    };
+  };
+
+  stop = async (): Promise<void> => {
+    if (this._apiServer) {
+      await this._apiServer.close();
+      this._apiServer = null;
+    }
+    if (this._deviceServer) {
+      await this._deviceServer.close();
+      this._deviceServer = null;
+    }
+  };
+
+  // The key is kept between runs so configs pointing at it stay valid
+  _loadServerKey(): NodeRSA {
+    const options = { encryptionScheme: 'pkcs1', signingScheme: 'pkcs1' };
+    if (fs.existsSync(PRIVATE_KEY_PATH)) {
+      return new NodeRSA(fs.readFileSync(PRIVATE_KEY_PATH, 'utf8'), options);
+    }
+
+    if (!fs.existsSync(KEY_FOLDER_PATH)) {
+      fs.mkdirSync(KEY_FOLDER_PATH);
+    }
+
+    const key = new NodeRSA({ b: 2048 });
+    key.setOptions(options);
+    fs.writeFileSync(PRIVATE_KEY_PATH, key.exportKey('pkcs1-private-pem'));
+    fs.writeFileSync(PUBLIC_KEY_PATH, key.exportKey('pkcs8-public-pem'));
+    return key;
+  }
+}
+
+export default FakeSparkServer;
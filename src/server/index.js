@@ -0,0 +1,52 @@
+// @flow
+
+import chalk from 'chalk';
+
+import ConfigStore from '../lib/ConfigStore';
+import EndpointSelector from '../lib/EndpointSelector';
+import FakeSparkServer from './FakeSparkServer';
+
+const getArgument = (name: string): ?number => {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? parseInt(process.argv[index + 1], 10) : null;
+};
+
+// `--device-ports 5683,5684` runs a device server on each port
+const devicePortsIndex = process.argv.indexOf('--device-ports');
+const devicePorts =
+  devicePortsIndex >= 0
+    ? (process.argv[devicePortsIndex + 1] || '')
+        .split(',')
+        .map((port) => parseInt(port, 10))
+    : null;
+if (devicePorts && devicePorts.some((port) => isNaN(port))) {
+  console.error('--device-ports needs a list of ports like 5683,5684');
+  process.exit(1);
+}
+
+// Makes sure data/ exists before the server writes its key there
+new ConfigStore().load();
+
+const server = new FakeSparkServer({
+  apiPort: getArgument('--api-port'),
+  devicePort: getArgument('--device-port'),
+  devicePorts,
+});
+
+server.start().then(
+  (config) => {
+    console.log(
+      chalk.green('Fake spark-server is running. Create a config with'),
+    );
+    console.log(`  server key: ${config.serverKeyPath}`);
+    console.log(`  API URL: ${config.apiUrl}`);
+    console.log(
+      '  device endpoints: ' +
+        config.deviceEndpoints.map(EndpointSelector.format).join(', '),
+    );
+  },
+  (error) => {
+    console.error(chalk.red(`Could not start: ${error.message}`));
+    process.exit(1);
+  },
+);
@@ -0,0 +1,9 @@
+// @flow
+
+import FleetWorker from './FleetWorker';
+import logUncaughtExceptions from './lib/logUncaughtExceptions';
+
+logUncaughtExceptions();
+
+// Started by FleetCoordinator with child_process.fork
+new FleetWorker().start();